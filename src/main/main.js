@@ -1,5 +1,6 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, dialog } = require('electron');
 const path = require('path');
+const crypto = require('crypto');
 const Store = require('electron-store');
 
 // Services
@@ -8,6 +9,10 @@ const GmailService = require('./services/gmail');
 const WhatsAppService = require('./services/whatsapp');
 const NotionService = require('./services/notion');
 const ClaudeService = require('./services/claude');
+const RetrievalService = require('./services/retrieval');
+const ActionItemService = require('./services/actions');
+const SyncScheduler = require('./services/scheduler');
+const { withDigestWriting } = require('./services/newsletters');
 
 // Initialize store for persistent data
 const store = new Store({
@@ -17,6 +22,8 @@ const store = new Store({
     notion: { type: 'object', default: {} },
     whatsapp: { type: 'object', default: {} },
     claude: { type: 'object', default: {} },
+    retention: { type: 'object', default: {} },
+    sync: { type: 'object', default: {} },
     setupComplete: { type: 'boolean', default: false }
   }
 });
@@ -27,13 +34,28 @@ let gmailService;
 let whatsappService;
 let notionService;
 let claudeService;
+let retrievalService;
+let actionItemService;
+let syncScheduler;
 
 // Cache duration: 2.5 hours in milliseconds
 const CACHE_MAX_AGE = 2.5 * 60 * 60 * 1000;
 
-// Cache helper functions
+// Conversation history sent with each Ask AI question, in tokens (~4 chars each).
+// Beyond this, older turns are folded into a summary.
+const HISTORY_TOKEN_BUDGET = 2000;
+// Messages always kept verbatim (two question/answer pairs)
+const HISTORY_KEEP_MESSAGES = 4;
+
+// Cache helper functions. Gmail summaries of one account are cached apart
+// from the combined ones.
+function summaryCacheKey(type, summaryType) {
+  const accountId = type === 'gmail' ? getGmailAccountView() : null;
+  return accountId ? `cache.${type}.${summaryType}-${accountId}` : `cache.${type}.${summaryType}`;
+}
+
 function getCachedSummary(type, summaryType) {
-  const cacheKey = `cache.${type}.${summaryType}`;
+  const cacheKey = summaryCacheKey(type, summaryType);
   const cached = store.get(cacheKey);
   if (!cached) return null;
 
@@ -47,13 +69,54 @@ function getCachedSummary(type, summaryType) {
 }
 
 function setCachedSummary(type, summaryType, data) {
-  const cacheKey = `cache.${type}.${summaryType}`;
+  const cacheKey = summaryCacheKey(type, summaryType);
   store.set(cacheKey, {
     data,
     timestamp: Date.now()
   });
 }
 
+// The Gmail account the dashboard is showing, or null for all of them
+function getGmailAccountView() {
+  const accountId = store.get('gmail.accountView', null);
+  return accountId && store.get('gmail.accounts', {})[accountId] ? accountId : null;
+}
+
+// Summaries are built from the local database, never the live APIs. A source
+// that has never synced is synced once first so its first summary isn't empty.
+// gmailAccountId limits a Gmail summary to one account.
+async function getSourceSummary(type, timeFilter, gmailAccountId = null) {
+  const services = { gmail: gmailService, whatsapp: whatsappService, notion: notionService };
+  if (!services[type]) {
+    return { error: 'Invalid type' };
+  }
+
+  if (!databaseService.getLastSyncTime(type)) {
+    await syncScheduler.runNow(type);
+  }
+
+  const data = type === 'gmail'
+    ? await gmailService.getSummary(timeFilter, gmailAccountId)
+    : await services[type].getSummary(timeFilter);
+  if (!data.error) {
+    data.freshness = getDataFreshness(type);
+  }
+  return data;
+}
+
+// How current a source's synced data is. It's stale once it has missed two
+// scheduled syncs, e.g. while offline or after repeated failures.
+function getDataFreshness(type) {
+  const lastSyncTime = databaseService.getLastSyncTime(type);
+  if (!lastSyncTime) {
+    return { lastSyncedAt: null, age: null, isStale: true };
+  }
+
+  const age = Date.now() - lastSyncTime * 1000;
+  const intervalMs = syncScheduler.settings.intervals[type] * 60 * 1000;
+  return { lastSyncedAt: lastSyncTime, age, isStale: age > 2 * intervalMs };
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -85,14 +148,40 @@ function createWindow() {
 // Initialize services
 async function initializeServices() {
   // Initialize database first - shared across all services
-  databaseService = new DatabaseService();
-  await databaseService.ready; // Wait for sql.js to initialize
+  try {
+    databaseService = new DatabaseService({ retention: store.get('retention') });
+    await databaseService.ready; // Wait for sql.js to initialize and migrations to run
+  } catch (error) {
+    console.error('Database initialization error:', error);
+    dialog.showErrorBox('MyBrain could not open its database', error.message);
+    app.quit();
+    return;
+  }
 
   claudeService = new ClaudeService(store);
+  retrievalService = new RetrievalService(databaseService);
+  actionItemService = new ActionItemService(databaseService);
   gmailService = new GmailService(store, mainWindow, databaseService);
   whatsappService = new WhatsAppService(store, mainWindow, databaseService);
   notionService = new NotionService(store, mainWindow, databaseService);
 
+  // Background sync is the only thing that calls syncToDatabase on a schedule
+  syncScheduler = new SyncScheduler({
+    whatsapp: {
+      isConnected: () => whatsappService.isReady,
+      sync: (fullSync) => whatsappService.syncToDatabase(fullSync)
+    },
+    gmail: {
+      isConnected: () => store.get('gmail.authenticated', false),
+      sync: (fullSync) => gmailService.syncToDatabase(fullSync)
+    },
+    notion: {
+      isConnected: () => store.get('notion.authenticated', false),
+      sync: (fullSync) => notionService.syncToDatabase(fullSync)
+    }
+  }, store.get('sync'));
+  syncScheduler.start();
+
   console.log('All services initialized with database support');
 }
 
@@ -108,6 +197,9 @@ app.whenReady().then(async () => {
 });
 
 app.on('window-all-closed', () => {
+  if (syncScheduler) {
+    syncScheduler.stop();
+  }
   if (whatsappService) {
     whatsappService.destroy();
   }
@@ -119,6 +211,14 @@ app.on('window-all-closed', () => {
   }
 });
 
+// window-all-closed isn't emitted on Cmd+Q / app.quit(), so make sure any
+// debounced database write still reaches disk
+app.on('will-quit', () => {
+  if (databaseService && databaseService.db) {
+    databaseService.flush();
+  }
+});
+
 // IPC Handlers
 
 // Navigation
@@ -156,8 +256,9 @@ ipcMain.handle('reset-setup', () => {
 ipcMain.handle('gmail-set-credentials', (event, clientId, clientSecret) => {
   store.set('gmail.clientId', clientId);
   store.set('gmail.clientSecret', clientSecret);
-  // Reinitialize Gmail service with new credentials
-  gmailService = new GmailService(store, mainWindow, databaseService);
+  // OAuth clients read the credentials as they're created, so the next
+  // sign-in uses these. One already waiting on the browser used the old ones.
+  gmailService.cancelAuthentication();
   return { success: true };
 });
 
@@ -169,18 +270,168 @@ ipcMain.handle('gmail-get-credentials-status', () => {
   };
 });
 
+// Add (or reconnect) an account through the browser: { success, accountId,
+// email }, or { error, cancelled } if it didn't complete
 ipcMain.handle('gmail-auth', async () => {
-  return await gmailService.authenticate();
+  try {
+    return await gmailService.authenticate();
+  } catch (error) {
+    return { error: error.message, cancelled: !!error.cancelled };
+  }
+});
+
+ipcMain.handle('gmail-cancel-auth', () => {
+  return { cancelled: gmailService.cancelAuthentication() };
 });
 
 ipcMain.handle('gmail-get-summary', async () => {
-  return await gmailService.getSummary();
+  return await getSourceSummary('gmail', undefined, getGmailAccountView());
+});
+
+// Threads waiting on the user's reply and on other people's, from synced mail
+ipcMain.handle('gmail-get-reply-tracking', () => {
+  if (!store.get('gmail.authenticated', false)) {
+    return { error: 'Not authenticated' };
+  }
+  return gmailService.getReplyTracking(50, getGmailAccountView());
+});
+
+// Connected accounts, and which one the dashboard shows (null for all)
+ipcMain.handle('gmail-get-accounts', () => {
+  return { accounts: gmailService.getAccounts(), accountView: getGmailAccountView() };
+});
+
+// Remove an account and everything synced from it
+ipcMain.handle('gmail-remove-account', (event, accountId) => {
+  const result = gmailService.removeAccount(accountId);
+  if (result.success) {
+    // Cached summaries still cover its mail
+    store.delete('cache.gmail');
+  }
+  return result;
+});
+
+// Show one account's summaries and action items, or null for all accounts
+ipcMain.handle('gmail-set-account-view', (event, accountId = null) => {
+  if (accountId && !store.get('gmail.accounts', {})[accountId]) {
+    return { error: 'Account not found' };
+  }
+  if (accountId) {
+    store.set('gmail.accountView', accountId);
+  } else {
+    store.delete('gmail.accountView');
+  }
+  return { success: true, accountView: getGmailAccountView() };
+});
+
+// filters: { sender, from, to, limit }, with from and to in unix seconds
+ipcMain.handle('get-gmail-attachments', (event, filters = {}) => {
+  return databaseService.getGmailAttachments(filters);
+});
+
+// Download an attachment on demand, to a file the user picks. The name is
+// only a suggestion from the attachment; where it's saved is up to the user.
+ipcMain.handle('gmail-download-attachment', async (event, id) => {
+  const attachment = databaseService.getGmailAttachment(id);
+  if (!attachment) {
+    return { error: 'Attachment not found' };
+  }
+
+  const choice = await dialog.showSaveDialog(mainWindow, {
+    title: 'Save attachment',
+    defaultPath: path.join(app.getPath('downloads'), gmailService.safeFilename(attachment.filename))
+  });
+  if (choice.canceled || !choice.filePath) {
+    return { cancelled: true };
+  }
+  return await gmailService.downloadAttachment(id, choice.filePath);
+});
+
+// Categorization rules: { categories, rules, fields }
+ipcMain.handle('gmail-get-categorization', () => {
+  return gmailService.getCategorizationSettings();
+});
+
+ipcMain.handle('gmail-set-categorization', (event, categorization) => {
+  try {
+    return { success: true, ...gmailService.setCategorization(categorization) };
+  } catch (error) {
+    return { error: error.message };
+  }
 });
 
+ipcMain.handle('gmail-reset-categorization', () => {
+  return { success: true, ...gmailService.resetCategorization() };
+});
+
+// Re-file stored emails under the current rules
+ipcMain.handle('gmail-recategorize', () => {
+  const result = gmailService.recategorizeStored();
+  if (result.updated > 0) {
+    // Cached summaries were written with the old categories
+    store.delete('cache.gmail');
+  }
+  return result;
+});
+
+// Newsletter digest for period 'today' or 'week'. Only Claude's writing is
+// cached: the publications are regrouped on every call, so muting one or
+// changing its priority shows straight away.
+ipcMain.handle('gmail-get-newsletter-digest', async (event, period = 'week', forceRefresh = false) => {
+  if (!claudeService.isConfigured()) {
+    return { error: 'Claude API key not configured' };
+  }
+  if (!['today', 'week'].includes(period)) {
+    return { error: 'Invalid period' };
+  }
+
+  const digest = gmailService.getNewsletterDigest(period, getGmailAccountView());
+  if (digest.error) {
+    return { error: digest.error };
+  }
+
+  const cached = getCachedSummary('gmail', `newsletters-${period}`);
+  if (cached && !cached.isStale && !forceRefresh) {
+    return { ...withDigestWriting(digest, cached.data), fromCache: true, cacheAge: cached.age };
+  }
+
+  if (cached && !forceRefresh) {
+    refreshNewsletterDigest(period, digest).catch(err => console.error('Background refresh error:', err));
+    return { ...withDigestWriting(digest, cached.data), fromCache: true, isStale: true, cacheAge: cached.age };
+  }
+
+  return await refreshNewsletterDigest(period, digest);
+});
+
+async function refreshNewsletterDigest(period, digest) {
+  try {
+    // Nothing to write about, e.g. every publication is muted
+    if (digest.publications.length === 0) {
+      return { ...withDigestWriting(digest, null), fromCache: false };
+    }
+
+    const writing = await claudeService.generateNewsletterDigest(digest);
+    setCachedSummary('gmail', `newsletters-${period}`, writing);
+    return { ...withDigestWriting(digest, writing), fromCache: false };
+  } catch (error) {
+    console.error('Newsletter digest error:', error);
+    return { error: error.message };
+  }
+}
+
+// setting: { priority: 'high' | 'normal' | 'low', muted }
+ipcMain.handle('gmail-set-newsletter-publication', (event, key, setting) => {
+  try {
+    return { success: true, ...gmailService.setNewsletterPublication(key, setting) };
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+// Sign out of every account. Credentials and the accounts' synced mail are
+// kept so the user can reconnect.
 ipcMain.handle('gmail-disconnect', () => {
-  store.delete('gmail.tokens');
-  store.delete('gmail.authenticated');
-  // Keep credentials so user can reconnect
+  gmailService.disconnectAll();
   return true;
 });
 
@@ -190,7 +441,7 @@ ipcMain.handle('whatsapp-init', async () => {
 });
 
 ipcMain.handle('whatsapp-get-summary', async () => {
-  return await whatsappService.getSummary();
+  return await getSourceSummary('whatsapp');
 });
 
 ipcMain.handle('whatsapp-disconnect', async () => {
@@ -205,7 +456,7 @@ ipcMain.handle('notion-auth', async (event, token) => {
 });
 
 ipcMain.handle('notion-get-summary', async () => {
-  return await notionService.getSummary();
+  return await getSourceSummary('notion');
 });
 
 ipcMain.handle('notion-disconnect', () => {
@@ -213,12 +464,112 @@ ipcMain.handle('notion-disconnect', () => {
   return true;
 });
 
+// Data retention handlers
+ipcMain.handle('get-retention-settings', () => {
+  return databaseService.getRetentionPolicy();
+});
+
+ipcMain.handle('set-retention-settings', (event, policy) => {
+  try {
+    const lastPrune = databaseService.setRetentionPolicy(policy);
+    store.set('retention', databaseService.getRetentionPolicy());
+    return { success: true, lastPrune };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Background sync handlers
+ipcMain.handle('get-sync-settings', () => {
+  return syncScheduler.settings;
+});
+
+ipcMain.handle('set-sync-settings', (event, settings) => {
+  syncScheduler.setSettings(settings);
+  store.set('sync', syncScheduler.settings);
+  return { success: true, settings: syncScheduler.settings };
+});
+
+ipcMain.handle('get-sync-status', () => {
+  return syncScheduler.getStatus();
+});
+
+// Sync one source now. A sync already running for it is joined, not
+// repeated, except that a full sync asked for during an incremental one
+// runs after it.
+ipcMain.handle('sync-now', async (event, source, fullSync = false) => {
+  return await syncScheduler.runNow(source, fullSync);
+});
+
+ipcMain.handle('get-data-freshness', (event, type) => {
+  return getDataFreshness(type);
+});
+
+// Recent sync runs for a source from sync_log, newest first
+ipcMain.handle('get-sync-history', (event, source, limit = 20) => {
+  try {
+    const history = databaseService.getSyncHistory(source, limit);
+    if (source === 'gmail') {
+      // Say which account each run synced
+      const emails = Object.fromEntries(gmailService.getAccounts().map(a => [a.id, a.email]));
+      history.forEach(entry => {
+        entry.account = emails[entry.account_id] || null;
+      });
+    }
+    return { history };
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('get-database-stats', () => {
+  return databaseService.getStats();
+});
+
+// Search handlers
+ipcMain.handle('search', (event, query, filters = {}) => {
+  try {
+    const results = withGmailUrls(databaseService.search(query, filters));
+    return { results };
+  } catch (error) {
+    console.error('Search error:', error);
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('get-whatsapp-chat-messages', (event, chatId, limit = 100) => {
+  return databaseService.getWhatsAppMessagesByChat(chatId, limit);
+});
+
+ipcMain.handle('get-whatsapp-message-context', (event, messageId, radius = 10) => {
+  return databaseService.getWhatsAppMessageContext(messageId, radius);
+});
+
+// { thread, messages }, or null if the thread isn't stored
+ipcMain.handle('get-gmail-thread', (event, threadId) => {
+  const result = databaseService.getGmailThread(threadId);
+  return result && { ...result, url: gmailService.threadUrl(result.thread.account_id, threadId) };
+});
+
+ipcMain.handle('get-gmail-threads', (event, timeFilter = 'week', limit = 100) => {
+  return databaseService.getGmailThreads(timeFilter, limit, { accountId: getGmailAccountView() });
+});
+
+// Open links (Gmail threads, Notion pages) in the user's browser
+ipcMain.handle('open-external', (event, targetUrl) => {
+  if (!/^https:\/\//.test(targetUrl || '')) {
+    return { error: 'Only https links can be opened' };
+  }
+  shell.openExternal(targetUrl);
+  return { success: true };
+});
+
 // Get all summaries
 ipcMain.handle('get-all-summaries', async () => {
   const [gmail, whatsapp, notion] = await Promise.allSettled([
-    gmailService.getSummary(),
-    whatsappService.getSummary(),
-    notionService.getSummary()
+    getSourceSummary('gmail'),
+    getSourceSummary('whatsapp'),
+    getSourceSummary('notion')
   ]);
 
   return {
@@ -245,8 +596,84 @@ ipcMain.handle('claude-get-api-key-status', () => {
   };
 });
 
+// Attach the items behind any [cite:ID] markers in a summary, so the
+// dashboard can render them as links
+function withCitations(result) {
+  if (result && result.summary) {
+    result.citations = withGmailUrls(retrievalService.resolveCitations(result.summary));
+  }
+  return result;
+}
+
+// Link Gmail items (search hits, citations, answer sources) to the account
+// they came from. The database doesn't know account emails, so its items
+// carry an accountId and get their url here. items is an array or an object
+// of items.
+function withGmailUrls(items) {
+  for (const item of Object.values(items)) {
+    if (item.source === 'gmail') {
+      item.url = gmailService.threadUrl(item.accountId, item.threadId);
+    }
+  }
+  return items;
+}
+
+// Streaming Claude responses. A streaming request returns { streamId } right
+// away; the reply then arrives as 'claude-stream-chunk' events carrying text
+// deltas, followed by a single 'claude-stream-done' with the same result the
+// non-streaming call would have returned, or a 'claude-stream-error'.
+const activeStreams = new Map(); // streamId -> AbortController
+
+// run(streaming) does the work and resolves to a handler result
+function startStream(event, run) {
+  const streamId = crypto.randomUUID();
+  const controller = new AbortController();
+  const sender = event.sender;
+  activeStreams.set(streamId, controller);
+
+  const send = (channel, payload) => {
+    if (!sender.isDestroyed()) {
+      sender.send(channel, { streamId, ...payload });
+    }
+  };
+
+  const streaming = {
+    signal: controller.signal,
+    onText: (text) => send('claude-stream-chunk', { text })
+  };
+
+  run(streaming)
+    .then(result => {
+      if (controller.signal.aborted) {
+        send('claude-stream-error', { error: 'Cancelled', cancelled: true });
+      } else if (result.error) {
+        send('claude-stream-error', { error: result.error });
+      } else {
+        send('claude-stream-done', { result });
+      }
+    })
+    .catch(error => {
+      console.error('Stream error:', error);
+      send('claude-stream-error', { error: error.message, cancelled: controller.signal.aborted });
+    })
+    .finally(() => activeStreams.delete(streamId));
+
+  return { streamId };
+}
+
+ipcMain.handle('cancel-stream', (event, streamId) => {
+  const controller = activeStreams.get(streamId);
+  if (!controller) {
+    return { error: 'Stream not found' };
+  }
+  controller.abort();
+  return { success: true };
+});
+
 // AI Summary handlers
-ipcMain.handle('get-today-summary', async (event, type, forceRefresh = false) => {
+// With stream = true, a fresh summary is streamed (see startStream); cached
+// summaries are still returned directly.
+ipcMain.handle('get-today-summary', async (event, type, forceRefresh = false, stream = false) => {
   if (!claudeService.isConfigured()) {
     return { error: 'Claude API key not configured' };
   }
@@ -256,7 +683,7 @@ ipcMain.handle('get-today-summary', async (event, type, forceRefresh = false) =>
 
   // If cache is fresh (< 2.5 hours), return it immediately
   if (cached && !cached.isStale && !forceRefresh) {
-    return { summary: cached.data, fromCache: true, cacheAge: cached.age };
+    return withCitations({ summary: cached.data, fromCache: true, cacheAge: cached.age });
   }
 
   // If cache exists but is stale, return it with isStale flag
@@ -264,25 +691,28 @@ ipcMain.handle('get-today-summary', async (event, type, forceRefresh = false) =>
   if (cached && !forceRefresh) {
     // Start background refresh (don't await)
     refreshTodaySummary(type).catch(err => console.error('Background refresh error:', err));
-    return { summary: cached.data, fromCache: true, isStale: true, cacheAge: cached.age };
+    return withCitations({ summary: cached.data, fromCache: true, isStale: true, cacheAge: cached.age });
   }
 
   // No cache or force refresh - fetch fresh data
-  return await refreshTodaySummary(type);
+  if (stream) {
+    return startStream(event, async (streaming) => withCitations(await refreshTodaySummary(type, streaming)));
+  }
+  return withCitations(await refreshTodaySummary(type));
 });
 
-async function refreshTodaySummary(type) {
+async function refreshTodaySummary(type, streaming = null) {
   try {
     let data;
     let dateRange = null;
 
     switch (type) {
       case 'gmail':
-        data = await gmailService.getSummary();
+        data = await getSourceSummary('gmail', undefined, getGmailAccountView());
         break;
       case 'whatsapp':
         // Use today-filtered data for WhatsApp
-        data = await whatsappService.getTodaySummary();
+        data = await getSourceSummary('whatsapp', 'today');
         // Calculate date range from messages
         if (data.messages && data.messages.length > 0) {
           const timestamps = data.messages.map(m => m.timestamp);
@@ -292,7 +722,7 @@ async function refreshTodaySummary(type) {
         }
         break;
       case 'notion':
-        data = await notionService.getSummary();
+        data = await getSourceSummary('notion');
         break;
       default:
         return { error: 'Invalid type' };
@@ -302,7 +732,7 @@ async function refreshTodaySummary(type) {
       return { error: data.error || 'Not authenticated' };
     }
 
-    const summary = await claudeService.generateTodaySummary(data, type);
+    const summary = await claudeService.generateTodaySummary(data, type, streaming);
     setCachedSummary(type, 'today', summary);
     return { summary, fromCache: false, dateRange };
   } catch (error) {
@@ -341,7 +771,7 @@ function formatDateRange(oldestTimestamp, newestTimestamp) {
   }
 }
 
-ipcMain.handle('get-week-summary', async (event, type, forceRefresh = false) => {
+ipcMain.handle('get-week-summary', async (event, type, forceRefresh = false, stream = false) => {
   if (!claudeService.isConfigured()) {
     return { error: 'Claude API key not configured' };
   }
@@ -349,30 +779,33 @@ ipcMain.handle('get-week-summary', async (event, type, forceRefresh = false) =>
   const cached = getCachedSummary(type, 'week');
 
   if (cached && !cached.isStale && !forceRefresh) {
-    return { summary: cached.data, fromCache: true, cacheAge: cached.age };
+    return withCitations({ summary: cached.data, fromCache: true, cacheAge: cached.age });
   }
 
   if (cached && !forceRefresh) {
     refreshWeekSummary(type).catch(err => console.error('Background refresh error:', err));
-    return { summary: cached.data, fromCache: true, isStale: true, cacheAge: cached.age };
+    return withCitations({ summary: cached.data, fromCache: true, isStale: true, cacheAge: cached.age });
   }
 
-  return await refreshWeekSummary(type);
+  if (stream) {
+    return startStream(event, async (streaming) => withCitations(await refreshWeekSummary(type, streaming)));
+  }
+  return withCitations(await refreshWeekSummary(type));
 });
 
-async function refreshWeekSummary(type) {
+async function refreshWeekSummary(type, streaming = null) {
   try {
     let data;
     switch (type) {
       case 'gmail':
-        data = await gmailService.getSummary();
+        data = await getSourceSummary('gmail', undefined, getGmailAccountView());
         break;
       case 'whatsapp':
         // Use week-filtered data for WhatsApp
-        data = await whatsappService.getWeekSummary();
+        data = await getSourceSummary('whatsapp', 'week');
         break;
       case 'notion':
-        data = await notionService.getSummary();
+        data = await getSourceSummary('notion');
         break;
       default:
         return { error: 'Invalid type' };
@@ -382,7 +815,7 @@ async function refreshWeekSummary(type) {
       return { error: data.error || 'Not authenticated' };
     }
 
-    const summary = await claudeService.generateWeekSummary(data, type);
+    const summary = await claudeService.generateWeekSummary(data, type, streaming);
     setCachedSummary(type, 'week', summary);
     return { summary, fromCache: false };
   } catch (error) {
@@ -391,37 +824,63 @@ async function refreshWeekSummary(type) {
   }
 }
 
+// Action items live in the database rather than the summary cache, but go
+// stale on the same schedule
 ipcMain.handle('get-action-items', async (event, type, forceRefresh = false) => {
   if (!claudeService.isConfigured()) {
     return { error: 'Claude API key not configured' };
   }
 
-  const cached = getCachedSummary(type, 'actions');
+  const lastRefresh = actionItemService.getLastRefresh(type);
+  const age = lastRefresh ? Date.now() - lastRefresh * 1000 : null;
 
-  if (cached && !cached.isStale && !forceRefresh) {
-    return { actionItems: cached.data, fromCache: true, cacheAge: cached.age };
+  if (lastRefresh && age <= CACHE_MAX_AGE && !forceRefresh) {
+    return withItemSources(forGmailAccountView(type, { actionItems: actionItemService.getItems(type), fromCache: true, cacheAge: age }));
   }
 
-  if (cached && !forceRefresh) {
+  if (lastRefresh && !forceRefresh) {
     refreshActionItems(type).catch(err => console.error('Background refresh error:', err));
-    return { actionItems: cached.data, fromCache: true, isStale: true, cacheAge: cached.age };
+    return withItemSources(forGmailAccountView(type, { actionItems: actionItemService.getItems(type), fromCache: true, isStale: true, cacheAge: age }));
   }
 
-  return await refreshActionItems(type);
+  return withItemSources(forGmailAccountView(type, await refreshActionItems(type)));
 });
 
+// Gmail action items are extracted from every account together; with one
+// account picked, keep the ones that came from its mail
+function forGmailAccountView(type, result) {
+  const accountId = getGmailAccountView();
+  if (type !== 'gmail' || !accountId || !result || !result.actionItems) {
+    return result;
+  }
+
+  const accounts = databaseService.getGmailMessageAccounts([...new Set(result.actionItems.flatMap(item => item.sourceMessageIds))]);
+  return {
+    ...result,
+    actionItems: result.actionItems.filter(item => item.sourceMessageIds.some(id => accounts[id] === accountId))
+  };
+}
+
+// Attach the messages behind each action item, in the same shape as citations
+function withItemSources(result) {
+  if (result && result.actionItems) {
+    result.citations = withGmailUrls(retrievalService.resolveIds([...new Set(result.actionItems.flatMap(item => item.sourceMessageIds))]));
+  }
+  return result;
+}
+
 async function refreshActionItems(type) {
   try {
     let data;
     switch (type) {
       case 'gmail':
-        data = await gmailService.getSummary();
+        data = await getSourceSummary('gmail');
         break;
       case 'whatsapp':
-        data = await whatsappService.getSummary();
+        data = await getSourceSummary('whatsapp');
         break;
       case 'notion':
-        data = await notionService.getSummary();
+        data = await getSourceSummary('notion');
         break;
       default:
         return { error: 'Invalid type' };
@@ -431,8 +890,8 @@ async function refreshActionItems(type) {
       return { error: data.error || 'Not authenticated' };
     }
 
-    const actionItems = await claudeService.generateActionItems(data, type);
-    setCachedSummary(type, 'actions', actionItems);
+    const rawItems = await claudeService.generateActionItems(data, type);
+    const actionItems = actionItemService.save(type, actionItemService.validate(rawItems, type, data));
     return { actionItems, fromCache: false };
   } catch (error) {
     console.error('Action items error:', error);
@@ -440,6 +899,45 @@ async function refreshActionItems(type) {
   }
 }
 
+// Action item lifecycle. Each transition returns { actionItem } with the
+// updated item, or { error } if the item is missing or can't make that move.
+function updateActionItem(change) {
+  try {
+    return { actionItem: change() };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// status is 'open', 'done', 'snoozed' or 'dismissed'; source null means every source
+ipcMain.handle('get-action-items-by-status', (event, status, source = null) => {
+  try {
+    return withItemSources(forGmailAccountView(source, { actionItems: actionItemService.getItemsByStatus(status, source) }));
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('complete-action-item', (event, id) => {
+  return updateActionItem(() => actionItemService.complete(id));
+});
+
+ipcMain.handle('reopen-action-item', (event, id) => {
+  return updateActionItem(() => actionItemService.reopen(id));
+});
+
+ipcMain.handle('snooze-action-item', (event, id, until) => {
+  return updateActionItem(() => actionItemService.snooze(id, until));
+});
+
+ipcMain.handle('dismiss-action-item', (event, id) => {
+  return updateActionItem(() => actionItemService.dismiss(id));
+});
+
+ipcMain.handle('get-action-item-history', (event, id) => {
+  return actionItemService.getHistory(id);
+});
+
 // Get topic details in real-time using Claude Haiku
 ipcMain.handle('get-topic-details', async (event, topic, chatName, source) => {
   if (!claudeService.isConfigured()) {
@@ -450,13 +948,13 @@ ipcMain.handle('get-topic-details', async (event, topic, chatName, source) => {
     let data;
     switch (source) {
       case 'whatsapp':
-        data = await whatsappService.getSummary();
+        data = await getSourceSummary('whatsapp');
         break;
       case 'gmail':
-        data = await gmailService.getSummary();
+        data = await getSourceSummary('gmail', undefined, getGmailAccountView());
         break;
       case 'notion':
-        data = await notionService.getSummary();
+        data = await getSourceSummary('notion');
         break;
       default:
         return { error: 'Invalid source' };
@@ -477,6 +975,29 @@ ipcMain.handle('get-topic-details', async (event, topic, chatName, source) => {
       }
     }
 
+    // For Gmail, send the whole of each thread that mentions the topic
+    if (source === 'gmail' && data.threads) {
+      const needle = topic.toLowerCase();
+      const relevantThreads = data.threads.filter(t =>
+        t.subject?.toLowerCase().includes(needle) ||
+        t.messages.some(m => m.snippet?.toLowerCase().includes(needle))
+      );
+      if (relevantThreads.length > 0) {
+        relevantData = {
+          threads: relevantThreads.map(t => ({
+            ...t,
+            messages: databaseService.getGmailThreadMessages(t.threadId).map(m => ({
+              id: m.id,
+              from: m.from_name || m.from_email,
+              fromMe: m.labels.includes('SENT'),
+              date: new Date(m.timestamp * 1000).toISOString(),
+              text: m.body_preview || m.snippet
+            }))
+          }))
+        };
+      }
+    }
+
     const details = await claudeService.getTopicDetails(topic, chatName || source, relevantData);
     return { details };
   } catch (error) {
@@ -485,41 +1006,139 @@ ipcMain.handle('get-topic-details', async (event, topic, chatName, source) => {
   }
 });
 
-ipcMain.handle('ask-question', async (event, type, question) => {
+// Sources the user has connected, in the order they're shown in the dashboard
+function getConnectedSources() {
+  return ['whatsapp', 'gmail', 'notion'].filter(source => store.get(`${source}.authenticated`, false));
+}
+
+// The earlier turns of a conversation to send with the next question. When
+// they no longer fit HISTORY_TOKEN_BUDGET, all but the latest few are folded
+// into the conversation's stored summary.
+async function loadConversationHistory(conversation) {
+  let turns = databaseService.getConversationMessages(conversation.id, conversation.summarized_through || 0);
+  let summary = conversation.summary || null;
+
+  const tokens = Math.ceil(turns.reduce((sum, t) => sum + (t.content || '').length, 0) / 4);
+  if (tokens > HISTORY_TOKEN_BUDGET && turns.length > HISTORY_KEEP_MESSAGES) {
+    const older = turns.slice(0, -HISTORY_KEEP_MESSAGES);
+    turns = turns.slice(-HISTORY_KEEP_MESSAGES);
+
+    try {
+      summary = await claudeService.summarizeConversation(summary, older);
+      databaseService.setConversationSummary(conversation.id, summary, older[older.length - 1].id);
+    } catch (error) {
+      // Answer without the older turns rather than failing the question
+      console.error('Conversation summary error:', error);
+    }
+  }
+
+  return { summary, turns };
+}
+
+// type is 'gmail', 'whatsapp', 'notion', or 'all' to ask across every connected source.
+// Pass the conversationId from a previous answer to ask a follow-up; without
+// one a new conversation is started. With stream = true the answer is streamed.
+ipcMain.handle('ask-question', (event, type, question, conversationId = null, stream = false) => {
+  if (stream) {
+    return startStream(event, (streaming) => askQuestion(type, question, conversationId, streaming));
+  }
+  return askQuestion(type, question, conversationId);
+});
+
+async function askQuestion(type, question, conversationId, streaming = null) {
   if (!claudeService.isConfigured()) {
     return { error: 'Claude API key not configured' };
   }
 
+  let conversation = null;
+  if (conversationId) {
+    conversation = databaseService.getConversation(conversationId);
+    if (!conversation) {
+      return { error: 'Conversation not found' };
+    }
+  }
+
+  let sources;
+  if (type === 'all') {
+    sources = getConnectedSources();
+    if (sources.length === 0) {
+      return { error: 'No sources connected' };
+    }
+  } else if (['gmail', 'whatsapp', 'notion'].includes(type)) {
+    sources = [type];
+  } else {
+    return { error: 'Invalid type' };
+  }
+
   try {
-    let data;
-    switch (type) {
-      case 'gmail':
-        data = await gmailService.getSummary();
-        break;
-      case 'whatsapp':
-        data = await whatsappService.getSummary();
-        break;
-      case 'notion':
-        data = await notionService.getSummary();
-        break;
-      default:
-        return { error: 'Invalid type' };
+    const history = conversation ? await loadConversationHistory(conversation) : null;
+    const previousQuestion = history?.turns.filter(t => t.role === 'user').pop()?.content || null;
+
+    // Answer from the local database rather than a live summary, so the whole
+    // synced history is searchable
+    const context = retrievalService.retrieve(question, { sources, previousQuestion });
+    withGmailUrls(context.sources);
+
+    let answer;
+    let citations = {};
+    if (context.excerpts.length === 0) {
+      const where = type === 'all' ? sources.join(', ') : type;
+      answer = `I couldn't find anything in your synced ${where} data related to that question.`;
+    } else {
+      answer = await claudeService.answerQuestion(context, type, question, history, streaming);
+      citations = withGmailUrls(retrievalService.resolveCitations(answer));
     }
 
-    if (data.error || !data.authenticated) {
-      return { error: data.error || 'Not authenticated' };
+    if (!conversation) {
+      const title = question.length > 60 ? `${question.substring(0, 57)}...` : question;
+      conversation = databaseService.createConversation(crypto.randomUUID(), title, type);
     }
 
-    const answer = await claudeService.answerQuestion(data, type, question);
-    return { answer };
+    // Stored as a pair so the history always alternates user/assistant
+    databaseService.transaction(() => {
+      databaseService.addConversationMessage(conversation.id, 'user', question, { scope: type });
+      databaseService.addConversationMessage(conversation.id, 'assistant', answer, { sources: context.sources, citations });
+    });
+
+    return { answer, citations, sources: context.sources, sourcesSearched: sources, conversationId: conversation.id };
   } catch (error) {
     console.error('Ask question error:', error);
     return { error: error.message };
   }
+}
+
+// Ask AI conversation history
+ipcMain.handle('get-conversations', (event, limit = 50) => {
+  return databaseService.getConversations(limit);
+});
+
+ipcMain.handle('get-conversation', (event, conversationId) => {
+  const conversation = databaseService.getConversation(conversationId);
+  if (!conversation) {
+    return { error: 'Conversation not found' };
+  }
+  return { conversation, messages: databaseService.getConversationMessages(conversationId) };
+});
+
+ipcMain.handle('rename-conversation', (event, conversationId, title) => {
+  const trimmed = (title || '').trim();
+  if (!trimmed) {
+    return { error: 'Title cannot be empty' };
+  }
+  if (!databaseService.getConversation(conversationId)) {
+    return { error: 'Conversation not found' };
+  }
+  databaseService.renameConversation(conversationId, trimmed);
+  return { success: true };
+});
+
+ipcMain.handle('delete-conversation', (event, conversationId) => {
+  databaseService.deleteConversation(conversationId);
+  return { success: true };
 });
 
 // Combined daily summary
-ipcMain.handle('get-combined-summary', async (event, forceRefresh = false) => {
+ipcMain.handle('get-combined-summary', async (event, forceRefresh = false, stream = false) => {
   if (!claudeService.isConfigured()) {
     return { error: 'Claude API key not configured' };
   }
@@ -527,24 +1146,27 @@ ipcMain.handle('get-combined-summary', async (event, forceRefresh = false) => {
   const cached = getCachedSummary('combined', 'daily');
 
   if (cached && !cached.isStale && !forceRefresh) {
-    return { summary: cached.data, fromCache: true, cacheAge: cached.age };
+    return withCitations({ summary: cached.data, fromCache: true, cacheAge: cached.age });
   }
 
   if (cached && !forceRefresh) {
     refreshCombinedSummary().catch(err => console.error('Background refresh error:', err));
-    return { summary: cached.data, fromCache: true, isStale: true, cacheAge: cached.age };
+    return withCitations({ summary: cached.data, fromCache: true, isStale: true, cacheAge: cached.age });
   }
 
-  return await refreshCombinedSummary();
+  if (stream) {
+    return startStream(event, async (streaming) => withCitations(await refreshCombinedSummary(streaming)));
+  }
+  return withCitations(await refreshCombinedSummary());
 });
 
-async function refreshCombinedSummary() {
+async function refreshCombinedSummary(streaming = null) {
   try {
     // Fetch all data in parallel
     const [gmail, whatsapp, notion] = await Promise.allSettled([
-      gmailService.getSummary(),
-      whatsappService.getSummary(),
-      notionService.getSummary()
+      getSourceSummary('gmail'),
+      getSourceSummary('whatsapp'),
+      getSourceSummary('notion')
     ]);
 
     const allData = {
@@ -553,8 +1175,26 @@ async function refreshCombinedSummary() {
       notion: notion.status === 'fulfilled' && notion.value.authenticated ? notion.value : null
     };
 
+    // Reuse the reconciled action items, refreshing any source whose list is
+    // missing or stale, instead of having Claude extract a second copy
+    const staleSources = getConnectedSources().filter(source => {
+      const lastRefresh = actionItemService.getLastRefresh(source);
+      return !lastRefresh || Date.now() - lastRefresh * 1000 > CACHE_MAX_AGE;
+    });
+    for (const source of staleSources) {
+      await refreshActionItems(source);
+    }
+
+    allData.actionItems = actionItemService.getItems(null).map(item => ({
+      text: item.text,
+      person: item.person,
+      dueDate: item.dueDate,
+      sources: item.sources,
+      source_message_ids: item.sourceMessageIds
+    }));
+
     // Generate combined summary using Claude
-    const combinedSummary = await claudeService.generateCombinedSummary(allData);
+    const combinedSummary = await claudeService.generateCombinedSummary(allData, streaming);
     setCachedSummary('combined', 'daily', combinedSummary);
     return { summary: combinedSummary, fromCache: false };
   } catch (error) {
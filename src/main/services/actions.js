@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+
+const SOURCES = ['gmail', 'whatsapp', 'notion'];
+
+const STATUSES = ['open', 'done', 'snoozed', 'dismissed'];
+
+// Which statuses an item may move to each status from
+const TRANSITIONS = {
+  open: ['done', 'snoozed', 'dismissed'],
+  done: ['open', 'snoozed'],
+  snoozed: ['open', 'snoozed'],
+  dismissed: ['open', 'snoozed']
+};
+
+const MAX_SOURCE_MESSAGE_IDS = 20;
+
+// How alike two topics must be (share of distinct words in common) for two
+// items with the same person to count as one obligation
+const TOPIC_SIMILARITY_THRESHOLD = 0.5;
+
+// Words that don't help tell two topics apart
+const TOPIC_STOP_WORDS = new Set(['the', 'a', 'an', 'to', 'of', 'for', 'on', 'in', 'at', 'about',
+  'and', 'or', 'with', 'from', 'your', 'you', 'his', 'her', 'their', 're', 'regarding']);
+
+// Validates the action items Claude generates and stores them with stable ids,
+// so an item keeps its id (and the user's state for it) across refreshes even
+// when Claude words it differently. Also owns the item lifecycle: open, done,
+// snoozed until a time, or dismissed, with every change kept in
+// action_item_events.
+class ActionItemService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Check Claude's raw items against the expected shape. Fields that can be
+   * repaired are (a bad due date becomes null, confidence is clamped to 0-1,
+   * ids that aren't in the data are dropped); items that can't be are skipped.
+   * data is what Claude was given, used to check the source message ids.
+   */
+  validate(rawItems, source, data) {
+    if (!SOURCES.includes(source)) {
+      throw new Error(`Invalid action item source: ${source}`);
+    }
+    if (!Array.isArray(rawItems)) {
+      throw new Error('Action items must be an array');
+    }
+
+    const knownIds = this.collectIds(data);
+    const items = [];
+
+    for (const raw of rawItems) {
+      if (!raw || typeof raw !== 'object') continue;
+
+      const text = this.cleanString(raw.text, 300);
+      const topic = this.cleanString(raw.topic, 200) || text;
+      if (!topic) continue;
+
+      const verb = this.cleanString(raw.verb, 40) || (text ? text.split(/\s+/)[0] : null);
+      if (!verb) continue;
+
+      const ids = Array.isArray(raw.source_message_ids) ? raw.source_message_ids : [];
+      const sourceMessageIds = [...new Set(ids.filter(id => typeof id === 'string' && (knownIds.size === 0 || knownIds.has(id))))]
+        .slice(0, MAX_SOURCE_MESSAGE_IDS);
+
+      const confidence = Number(raw.confidence);
+
+      items.push({
+        source,
+        text: text || `${verb} ${topic}`,
+        verb,
+        person: this.cleanString(raw.person, 100),
+        topic,
+        dueDate: this.parseDueDate(raw.due_date),
+        sourceMessageIds,
+        confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Store the items from one refresh, reconciled against every stored item
+   * from any source. An item that matches an existing one (see similarity) is
+   * merged into it and keeps its id; anything else gets a new id. Matching
+   * includes done and dismissed items, and a merge keeps the status, so
+   * regenerating never brings back something the user already dealt with.
+   * Returns the open items for the source.
+   */
+  save(source, items) {
+    const refreshedAt = Math.floor(Date.now() / 1000);
+    // Items stored or merged so far, so duplicates within this batch merge too
+    const pool = this.db.getActionItems(null).map(row => this.toItem(row));
+
+    this.db.transaction(() => {
+      for (const item of items) {
+        const match = this.findMatch(pool, item);
+
+        if (match) {
+          const merged = this.merge(match, item);
+          pool[pool.indexOf(match)] = merged;
+          this.db.upsertActionItem({ ...merged, lastSeenAt: refreshedAt });
+        } else {
+          const created = { ...item, id: crypto.randomUUID(), sources: [item.source] };
+          pool.push(created);
+          this.db.upsertActionItem({ ...created, lastSeenAt: refreshedAt });
+          this.db.addActionItemEvent(created.id, null, 'open', { actor: 'refresh' });
+        }
+      }
+      this.db.setActionItemRefresh(source, refreshedAt, items.length);
+    });
+
+    return this.getItems(source);
+  }
+
+  // The best match for a new item among stored ones, or null
+  findMatch(pool, item) {
+    let best = null;
+    let bestScore = 0;
+    for (const candidate of pool) {
+      const score = this.similarity(candidate, item);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * How likely two items are the same obligation, from 0 (different) to 2.
+   * The people must be the same (or both absent, or one name contained in the
+   * other, e.g. "Raj" and "Raj Patel") and the topics must overlap by
+   * TOPIC_SIMILARITY_THRESHOLD. Sharing a source message only raises the
+   * score, since one message can ask for several things.
+   */
+  similarity(a, b) {
+    if (!this.samePerson(a.person, b.person)) {
+      return 0;
+    }
+
+    const overlap = Math.max(
+      this.wordOverlap(a.topic, b.topic),
+      this.wordOverlap(a.text, b.text)
+    );
+    if (overlap < TOPIC_SIMILARITY_THRESHOLD) {
+      return 0;
+    }
+    return b.sourceMessageIds.some(id => a.sourceMessageIds.includes(id)) ? overlap + 1 : overlap;
+  }
+
+  samePerson(a, b) {
+    const wordsA = this.topicWords(a, false);
+    const wordsB = this.topicWords(b, false);
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return wordsA.size === wordsB.size;
+    }
+    const [shorter, longer] = wordsA.size <= wordsB.size ? [wordsA, wordsB] : [wordsB, wordsA];
+    return [...shorter].every(word => longer.has(word));
+  }
+
+  // Share of distinct words two phrases have in common (Jaccard index)
+  wordOverlap(a, b) {
+    const wordsA = this.topicWords(a);
+    const wordsB = this.topicWords(b);
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+  }
+
+  topicWords(value, skipStopWords = true) {
+    return new Set(this.normalize(value).split(' ')
+      .filter(word => word && !(skipStopWords && TOPIC_STOP_WORDS.has(word)))
+      // Crude stemming so "photos" matches "photo" and "deadlines" "deadline"
+      .map(word => word.length > 3 ? word.replace(/s$/, '') : word));
+  }
+
+  // Fold a new item into a stored one. The id, first source and status stay;
+  // wording comes from whichever is more confident (the new one on a tie).
+  merge(existing, item) {
+    const preferNew = item.confidence >= existing.confidence;
+    const wording = preferNew ? item : existing;
+    const dueDates = [existing.dueDate, item.dueDate].filter(Boolean).sort();
+
+    return {
+      ...existing,
+      sources: [...new Set([...existing.sources, item.source])],
+      text: wording.text,
+      verb: wording.verb,
+      person: (existing.person || '').length >= (item.person || '').length ? existing.person : item.person,
+      topic: wording.topic,
+      dueDate: dueDates[0] || null,
+      sourceMessageIds: [...new Set([...existing.sourceMessageIds, ...item.sourceMessageIds])].slice(-MAX_SOURCE_MESSAGE_IDS),
+      confidence: Math.max(existing.confidence, item.confidence)
+    };
+  }
+
+  // Open items from the latest refresh of a source (or of each source when
+  // null), including snoozed ones whose time has come
+  getItems(source) {
+    this.wakeSnoozed();
+    return this.db.getActionItems(source, { statuses: ['open'], current: true }).map(row => this.toItem(row));
+  }
+
+  // Items with one status, for one source or (source = null) all of them.
+  // Done and dismissed items come most recent first.
+  getItemsByStatus(status, source = null) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}`);
+    }
+    this.wakeSnoozed();
+
+    const items = this.db.getActionItems(source, { statuses: [status] }).map(row => this.toItem(row));
+    if (status === 'snoozed') {
+      return items.sort((a, b) => a.snoozedUntil - b.snoozedUntil);
+    }
+    if (status !== 'open') {
+      return items.sort((a, b) => b.statusChangedAt - a.statusChangedAt);
+    }
+    return items;
+  }
+
+  complete(id) {
+    return this.transition(id, 'done');
+  }
+
+  reopen(id) {
+    return this.transition(id, 'open');
+  }
+
+  dismiss(id) {
+    return this.transition(id, 'dismissed');
+  }
+
+  // until is unix seconds and must be in the future
+  snooze(id, until) {
+    const snoozedUntil = Math.floor(Number(until));
+    if (!Number.isFinite(snoozedUntil) || snoozedUntil <= Date.now() / 1000) {
+      throw new Error('Snooze time must be in the future');
+    }
+    return this.transition(id, 'snoozed', { snoozedUntil });
+  }
+
+  transition(id, toStatus, { snoozedUntil = null, actor = 'user' } = {}) {
+    const item = this.db.getActionItem(id);
+    if (!item) {
+      throw new Error('Action item not found');
+    }
+    if (!TRANSITIONS[item.status].includes(toStatus)) {
+      throw new Error(`Can't move an action item from ${item.status} to ${toStatus}`);
+    }
+
+    this.db.setActionItemStatus(id, item.status, toStatus, { snoozedUntil, actor });
+    return this.toItem(this.db.getActionItem(id));
+  }
+
+  // The audit trail for one item, oldest first
+  getHistory(id) {
+    return this.db.getActionItemEvents(id).map(e => ({
+      fromStatus: e.from_status,
+      toStatus: e.to_status,
+      snoozedUntil: e.snoozed_until,
+      actor: e.actor,
+      at: e.created_at
+    }));
+  }
+
+  // Reopen snoozed items whose snooze has run out
+  wakeSnoozed() {
+    const now = Math.floor(Date.now() / 1000);
+    const due = this.db.getActionItems(null, { statuses: ['snoozed'] }).filter(item => item.snoozed_until <= now);
+    if (due.length === 0) return;
+
+    this.db.transaction(() => {
+      for (const item of due) {
+        this.db.setActionItemStatus(item.id, 'snoozed', 'open', { actor: 'snooze' });
+      }
+    });
+  }
+
+  // Unix seconds of the last refresh for a source, or null if never refreshed
+  getLastRefresh(source) {
+    return this.db.getActionItemRefreshTime(source);
+  }
+
+  // Row shape -> the shape sent to the renderer
+  toItem(row) {
+    return {
+      id: row.id,
+      source: row.source,
+      sources: row.sources,
+      text: row.text,
+      verb: row.verb,
+      person: row.person,
+      topic: row.topic,
+      dueDate: row.due_date,
+      sourceMessageIds: row.source_message_ids,
+      confidence: row.confidence,
+      status: row.status,
+      statusChangedAt: row.status_changed_at,
+      snoozedUntil: row.snoozed_until,
+      completedAt: row.completed_at,
+      dismissedAt: row.dismissed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Every "id" value anywhere in the data Claude was given
+  collectIds(data, ids = new Set()) {
+    if (Array.isArray(data)) {
+      data.forEach(value => this.collectIds(value, ids));
+    } else if (data && typeof data === 'object') {
+      for (const [key, value] of Object.entries(data)) {
+        if (key === 'id' && typeof value === 'string') {
+          ids.add(value);
+        } else {
+          this.collectIds(value, ids);
+        }
+      }
+    }
+    return ids;
+  }
+
+  cleanString(value, maxLength) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    return trimmed ? trimmed.substring(0, maxLength) : null;
+  }
+
+  // YYYY-MM-DD for a real calendar date, otherwise null
+  parseDueDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value) ? value : null;
+  }
+
+  normalize(value) {
+    return (value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+}
+
+module.exports = ActionItemService;
@@ -0,0 +1,229 @@
+// Searchable text from email attachments: plain text, CSV, HTML and PDF.
+//
+// PDFs are read without a PDF library: the page content streams are inflated
+// and the strings drawn by the text operators collected. That covers PDFs
+// generated by invoicing, banking and office tools; scanned PDFs and ones
+// whose fonts use custom glyph encodings yield little or no text.
+
+const zlib = require('zlib');
+const { htmlToText } = require('./mime');
+
+// Most text kept per attachment
+const TEXT_LIMIT = 20000;
+
+// Most a PDF stream may inflate to. Content streams spend many bytes of
+// operators per character of text, but a stream bigger than this is a
+// compression bomb or an image, not TEXT_LIMIT worth of text, and is skipped.
+const MAX_STREAM_BYTES = TEXT_LIMIT * 100;
+
+const TEXT_TYPES = ['text/plain', 'text/csv', 'text/tab-separated-values', 'text/markdown', 'application/json', 'application/csv'];
+const TEXT_EXTENSIONS = ['txt', 'csv', 'tsv', 'md', 'json', 'log'];
+
+function extensionOf(filename) {
+  const match = (filename || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : '';
+}
+
+function kindOf(mimeType, filename) {
+  const ext = extensionOf(filename);
+  if (mimeType === 'application/pdf' || ext === 'pdf') return 'pdf';
+  if (mimeType === 'text/html' || ext === 'html' || ext === 'htm') return 'html';
+  if (TEXT_TYPES.includes(mimeType) || TEXT_EXTENSIONS.includes(ext)) return 'text';
+  return null;
+}
+
+// Whether extractText can read this kind of attachment
+function canExtractText(mimeType, filename) {
+  return kindOf(mimeType, filename) !== null;
+}
+
+/**
+ * The text of an attachment, or null if it's not a kind we can read or has
+ * no text. Capped at TEXT_LIMIT characters.
+ */
+function extractText(buffer, mimeType, filename) {
+  let text;
+  switch (kindOf(mimeType, filename)) {
+    case 'pdf':
+      text = extractPdfText(buffer);
+      break;
+    case 'html':
+      text = htmlToText(buffer.toString('utf-8'));
+      break;
+    case 'text':
+      text = buffer.toString('utf-8').replace(/^﻿/, '');
+      break;
+    default:
+      return null;
+  }
+
+  text = text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  return text ? text.substring(0, TEXT_LIMIT) : null;
+}
+
+function extractPdfText(buffer) {
+  const pdf = buffer.toString('latin1');
+  const chunks = [];
+  let length = 0;
+  let pos = 0;
+
+  while (length < TEXT_LIMIT && (pos = pdf.indexOf('stream', pos)) !== -1) {
+    if (pdf.slice(pos - 3, pos) === 'end') {
+      pos += 6;
+      continue;
+    }
+
+    let start = pos + 6;
+    if (pdf[start] === '\r') start++;
+    if (pdf[start] === '\n') start++;
+    const end = pdf.indexOf('endstream', start);
+    if (end === -1) break;
+
+    // The stream's dictionary sits between "obj" and "stream"
+    const dict = pdf.slice(pdf.lastIndexOf('obj', pos), pos);
+    pos = end + 9;
+
+    let data = buffer.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: MAX_STREAM_BYTES });
+      } catch (error) {
+        continue;
+      }
+    } else if (/\/Filter/.test(dict) || /\/Subtype\s*\/Image/.test(dict)) {
+      // Images and other encodings hold no text we can read
+      continue;
+    }
+
+    const text = textFromContentStream(data.toString('latin1'));
+    if (text) {
+      chunks.push(text);
+      length += text.length;
+    }
+  }
+
+  return chunks.join('\n');
+}
+
+// The text drawn by a page content stream's Tj, TJ, ' and " operators
+function textFromContentStream(content) {
+  if (!/\bBT\b/.test(content)) return '';
+
+  let out = '';
+  let operands = [];
+  let i = 0;
+
+  while (i < content.length) {
+    const c = content[i];
+
+    if (c === '(') {
+      const { value, next } = readLiteralString(content, i);
+      operands.push(value);
+      i = next;
+    } else if (c === '<' && content[i + 1] !== '<') {
+      const close = content.indexOf('>', i);
+      if (close === -1) break;
+      operands.push(decodeHexString(content.slice(i + 1, close)));
+      i = close + 1;
+    } else if (c === '[') {
+      operands.push('[');
+      i++;
+    } else if (c === ']') {
+      // Fold the array into one string; big negative kerning is a word gap
+      const start = operands.lastIndexOf('[');
+      const items = start === -1 ? [] : operands.splice(start);
+      let joined = '';
+      for (const item of items.slice(1)) {
+        if (typeof item === 'string') joined += item;
+        else if (item < -200) joined += ' ';
+      }
+      operands.push(joined);
+      i++;
+    } else if (/[-+.\d]/.test(c)) {
+      const match = content.slice(i).match(/^[-+]?\d*\.?\d+/);
+      if (!match) {
+        i++;
+        continue;
+      }
+      operands.push(parseFloat(match[0]));
+      i += match[0].length;
+    } else if (/[A-Za-z'"*]/.test(c)) {
+      const match = content.slice(i).match(/^[A-Za-z'"*]+/);
+      const op = match[0];
+      const last = operands[operands.length - 1];
+
+      if (op === 'Tj' || op === 'TJ') {
+        if (typeof last === 'string') out += last;
+      } else if (op === "'" || op === '"') {
+        if (typeof last === 'string') out += '\n' + last;
+      } else if (op === 'Td' || op === 'TD') {
+        // A vertical move starts a new line, a horizontal one a new word
+        out += operands[operands.length - 1] !== 0 ? '\n' : ' ';
+      } else if (op === 'T*' || op === 'ET') {
+        out += '\n';
+      }
+
+      operands = [];
+      i += op.length;
+    } else if (c === '/') {
+      // Names such as font resources aren't text
+      const match = content.slice(i).match(/^\/[^\s/[\]()<>{}%]*/);
+      operands.push(null);
+      i += match[0].length;
+    } else if (c === '%') {
+      const newline = content.indexOf('\n', i);
+      i = newline === -1 ? content.length : newline;
+    } else {
+      i++;
+    }
+  }
+
+  return out.replace(/[^\S\n]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+}
+
+// A (literal) string starting at content[start], with its escapes undone
+function readLiteralString(content, start) {
+  let value = '';
+  let depth = 0;
+  let i = start;
+
+  for (; i < content.length; i++) {
+    const c = content[i];
+    if (c === '\\') {
+      const e = content[++i];
+      const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+      if (e in escapes) {
+        value += escapes[e];
+      } else if (/[0-7]/.test(e)) {
+        const octal = content.slice(i).match(/^[0-7]{1,3}/)[0];
+        value += String.fromCharCode(parseInt(octal, 8));
+        i += octal.length - 1;
+      } else if (e === '\r' || e === '\n') {
+        // Line continuation
+        if (e === '\r' && content[i + 1] === '\n') i++;
+      } else {
+        value += e;
+      }
+    } else if (c === '(') {
+      if (depth++ > 0) value += c;
+    } else if (c === ')') {
+      if (--depth === 0) return { value, next: i + 1 };
+      value += c;
+    } else {
+      value += c;
+    }
+  }
+
+  return { value, next: i };
+}
+
+// Hex strings are often glyph ids rather than characters; keep them only
+// when they decode to printable single-byte text
+function decodeHexString(hex) {
+  const digits = hex.replace(/\s+/g, '');
+  const bytes = Buffer.from(digits.length % 2 ? digits + '0' : digits, 'hex');
+  const text = bytes.toString('latin1');
+  return /^[\x20-\x7e\xa0-\xff\s]*$/.test(text) ? text : '';
+}
+
+module.exports = { canExtractText, extractText };
@@ -0,0 +1,224 @@
+// Rules that sort Gmail messages into categories.
+//
+// A rule tests one thing about a message and, when it matches, puts the
+// message in the rule's category. Rules are tried highest priority first (in
+// list order among equals) and the first match wins; a message no rule
+// matches is personal mail. Users edit the rules and add categories of their
+// own in settings, so these are only the defaults.
+
+// Categories the summaries and prompts know about
+const BUILT_IN_CATEGORIES = [
+  { id: 'actionRequired', name: 'Action Required', builtIn: true },
+  { id: 'personal', name: 'Personal', builtIn: true },
+  { id: 'newsletters', name: 'Newsletters', builtIn: true },
+  { id: 'social', name: 'Social', builtIn: true },
+  { id: 'promotions', name: 'Promotions', builtIn: true },
+  { id: 'updates', name: 'Updates', builtIn: true }
+];
+
+// Where messages no rule matches go
+const FALLBACK_CATEGORY = 'personal';
+
+// What a rule can test:
+// - sender: the sender's name or address contains the value
+// - domain: the sender's address is at the domain or a subdomain of it
+// - subject: the subject matches the value as a case-insensitive regex
+// - label: the message has the Gmail label, e.g. CATEGORY_PROMOTIONS
+// - listUnsubscribe: the message has a List-Unsubscribe header, containing
+//   the value if one is given
+const RULE_FIELDS = ['sender', 'domain', 'subject', 'label', 'listUnsubscribe'];
+
+const DEFAULT_RULES = [
+  // Mailing list mail is bulk mail, however urgent its subject sounds and
+  // whichever Gmail tab it's in, and goes to the newsletter digest
+  { field: 'listUnsubscribe', value: '', category: 'newsletters', priority: 110 },
+  // Gmail's own tabs
+  { field: 'label', value: 'CATEGORY_PROMOTIONS', category: 'promotions', priority: 100 },
+  { field: 'label', value: 'CATEGORY_SOCIAL', category: 'social', priority: 100 },
+  { field: 'label', value: 'CATEGORY_UPDATES', category: 'updates', priority: 100 },
+  { field: 'subject', value: '\\b(action required|urgent|asap|deadline|please respond|approval needed|review needed)\\b', category: 'actionRequired', priority: 80 },
+  { field: 'subject', value: '\\b(newsletter|digest)\\b', category: 'newsletters', priority: 70 },
+  { field: 'domain', value: 'linkedin.com', category: 'social', priority: 60 },
+  { field: 'domain', value: 'twitter.com', category: 'social', priority: 60 },
+  { field: 'domain', value: 'x.com', category: 'social', priority: 60 },
+  { field: 'domain', value: 'facebookmail.com', category: 'social', priority: 60 },
+  { field: 'domain', value: 'instagram.com', category: 'social', priority: 60 },
+  { field: 'domain', value: 'github.com', category: 'social', priority: 60 },
+  { field: 'domain', value: 'slack.com', category: 'social', priority: 60 },
+  { field: 'sender', value: 'noreply', category: 'updates', priority: 50 },
+  { field: 'sender', value: 'no-reply', category: 'updates', priority: 50 },
+  { field: 'subject', value: '\\b(sale|discount|coupon|promo code|limited time|\\d+% off)\\b', category: 'promotions', priority: 40 }
+];
+
+// Subject patterns run on every message in the main process, where one that
+// backtracks without end would freeze the app. Patterns are limited in
+// length and in shape (see subjectPatternError), and only the start of a
+// subject is matched.
+const MAX_PATTERN_LENGTH = 300;
+const MAX_SUBJECT_LENGTH = 300;
+
+function defaultCategorization() {
+  return { categories: [], rules: DEFAULT_RULES.map(rule => ({ ...rule })) };
+}
+
+// Custom category ids come from their names, e.g. "Kids' School" -> kids-school
+function categoryIdFor(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Why a subject pattern can't be used, or null if it can. Besides patterns
+// that don't compile, this turns down a repeated group that itself contains a
+// repetition or alternatives, e.g. (a+)+ or (a|ab)*: the shape behind almost
+// all catastrophic backtracking.
+function subjectPatternError(value) {
+  if (value.length > MAX_PATTERN_LENGTH) {
+    return `longer than ${MAX_PATTERN_LENGTH} characters`;
+  }
+  try {
+    new RegExp(value, 'i');
+  } catch (error) {
+    return error.message;
+  }
+
+  // Open groups, innermost last: whether each has a repetition or a | inside
+  const groups = [{ repeats: false, alternates: false }];
+  const isRepetition = (i) => value[i] === '*' || value[i] === '+' || (value[i] === '{' && /^\{\d+,\d*\}/.test(value.slice(i)));
+  for (let i = 0; i < value.length; i++) {
+    const c = value[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '[') {
+      // Skip the character class
+      for (i++; i < value.length && value[i] !== ']'; i++) {
+        if (value[i] === '\\') i++;
+      }
+    } else if (c === '(') {
+      groups.push({ repeats: false, alternates: false });
+    } else if (c === ')') {
+      const group = groups.pop();
+      if (isRepetition(i + 1)) {
+        if (group.repeats || group.alternates) {
+          return 'a repeated group contains a repetition or alternatives, e.g. (a+)+, which can take forever to match';
+        }
+        groups[groups.length - 1].repeats = true;
+      } else if (group.repeats) {
+        groups[groups.length - 1].repeats = true;
+      }
+    } else if (c === '|') {
+      groups[groups.length - 1].alternates = true;
+    } else if (isRepetition(i)) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check and tidy categorization settings from the settings page:
+ * { categories: [{ id?, name }], rules: [{ field, value, category, priority }] }
+ * where categories are the user's own. Throws on anything invalid.
+ */
+function normalizeCategorization({ categories = [], rules = [] } = {}) {
+  const builtInIds = BUILT_IN_CATEGORIES.map(c => c.id);
+  const custom = [];
+
+  for (const category of categories) {
+    const name = typeof category.name === 'string' ? category.name.trim() : '';
+    if (!name) {
+      throw new Error('Every category needs a name');
+    }
+    const id = category.id || categoryIdFor(name);
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      throw new Error(`Category names need at least one letter or digit: "${name}"`);
+    }
+    // 'overall' is taken by the overview in a summary's category list
+    if (builtInIds.includes(id) || id === 'overall' || custom.some(c => c.id === id)) {
+      throw new Error(`There is already a category called "${name}"`);
+    }
+    custom.push({ id, name: name.substring(0, 60) });
+  }
+
+  const categoryIds = [...builtInIds, ...custom.map(c => c.id)];
+  const normalized = rules.map((rule, i) => {
+    if (!RULE_FIELDS.includes(rule.field)) {
+      throw new Error(`Rule ${i + 1}: unknown field "${rule.field}"`);
+    }
+    if (!categoryIds.includes(rule.category)) {
+      throw new Error(`Rule ${i + 1}: unknown category "${rule.category}"`);
+    }
+
+    let value = typeof rule.value === 'string' ? rule.value.trim() : '';
+    if (!value && rule.field !== 'listUnsubscribe') {
+      throw new Error(`Rule ${i + 1}: enter something to match`);
+    }
+    if (rule.field === 'subject') {
+      const error = subjectPatternError(value);
+      if (error) {
+        throw new Error(`Rule ${i + 1}: invalid subject pattern: ${error}`);
+      }
+    } else if (rule.field === 'domain') {
+      value = value.toLowerCase().replace(/^@/, '');
+    } else if (rule.field === 'label') {
+      value = value.toUpperCase();
+    }
+
+    const priority = Number(rule.priority);
+    return {
+      field: rule.field,
+      value,
+      category: rule.category,
+      priority: Number.isFinite(priority) ? priority : 0
+    };
+  });
+
+  return { categories: custom, rules: normalized };
+}
+
+function ruleMatches(rule, message) {
+  switch (rule.field) {
+    case 'sender':
+      return `${message.fromName || ''} <${message.fromEmail || ''}>`.toLowerCase().includes(rule.value.toLowerCase());
+    case 'domain': {
+      const domain = (message.fromEmail || '').toLowerCase().split('@')[1] || '';
+      return domain === rule.value || domain.endsWith(`.${rule.value}`);
+    }
+    case 'subject':
+      return rule.pattern.test((message.subject || '').substring(0, MAX_SUBJECT_LENGTH));
+    case 'label':
+      return (message.labels || []).some(label => label.toUpperCase() === rule.value);
+    case 'listUnsubscribe':
+      return !!message.listUnsubscribe && message.listUnsubscribe.toLowerCase().includes(rule.value.toLowerCase());
+    default:
+      return false;
+  }
+}
+
+/**
+ * A function from a message - { fromEmail, fromName, subject, labels,
+ * listUnsubscribe } - to its category id, for normalized settings.
+ */
+function createCategorizer({ rules }) {
+  const ordered = rules
+    // Settings saved before a pattern check was added may still hold one
+    .filter(rule => rule.field !== 'subject' || !subjectPatternError(rule.value))
+    .map((rule, index) => ({
+      ...rule,
+      index,
+      pattern: rule.field === 'subject' ? new RegExp(rule.value, 'i') : null
+    }))
+    .sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+  return (message) => {
+    const match = ordered.find(rule => ruleMatches(rule, message));
+    return match ? match.category : FALLBACK_CATEGORY;
+  };
+}
+
+module.exports = {
+  BUILT_IN_CATEGORIES,
+  FALLBACK_CATEGORY,
+  RULE_FIELDS,
+  defaultCategorization,
+  normalizeCategorization,
+  createCategorizer
+};
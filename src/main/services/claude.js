@@ -1,5 +1,88 @@
 const Anthropic = require('@anthropic-ai/sdk');
 
+// Appended to prompts whose output should cite the items it's based on.
+// RetrievalService.resolveCitations turns the markers back into links.
+const CITATION_RULES = `CITATIONS:
+- Items in the data have an "id" field. After each specific claim, cite the item it came from as [cite:ID], e.g. "Mom asked if you're bringing dessert [cite:false_1234@c.us_3EB0ABC]".
+- Copy ids exactly from the data. Never invent or shorten an id.
+- One id per marker. Use several markers if a claim comes from several items.
+- Only cite items that actually support the claim.`;
+
+// Added to the Gmail summary and action item prompts, whose data is grouped
+// into threads (see GmailService.toSummaryThread)
+const GMAIL_THREAD_RULES = `THREADS:
+- The emails are grouped into "threads". Each thread is one conversation - treat it as a single item, however many messages it has.
+- "messages" are the thread's latest messages, oldest first. Messages with "fromMe": true were sent by the user.
+- "userRepliedLast": true means the user sent the latest message, so the thread is waiting on someone else, not the user.
+- The message "id" fields are the ids to cite; a thread has no "id" of its own.
+- "replyTracking" lists the threads waiting on the user ("waitingOnMe") and on other people ("waitingOnThem"), worked out from sent mail. Trust it over your own reading of who owes a reply. "overdue" means the wait is longer than usual.
+- When the user has several Gmail accounts, "accounts" lists them and each thread's "account" says which one it's in. Mention the account where it helps tell work and personal mail apart.`;
+
+// Structured output for generateActionItems
+const ACTION_ITEMS_TOOL = {
+  name: 'record_action_items',
+  description: 'Record the action items found in the user\'s data.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string', description: 'The task as one short sentence starting with the verb, e.g. "Reply to Mom about Saturday dinner"' },
+            verb: { type: 'string', description: 'The action verb, e.g. Reply, Send, Review, Call' },
+            person: { type: ['string', 'null'], description: 'Who the action involves, or null if nobody' },
+            topic: { type: 'string', description: 'What the action is about, in a few words' },
+            due_date: { type: ['string', 'null'], description: 'Due date as YYYY-MM-DD if one is stated or clearly implied, otherwise null' },
+            source: { type: 'string', enum: ['gmail', 'whatsapp', 'notion'] },
+            source_message_ids: { type: 'array', items: { type: 'string' }, description: 'The "id" of each item in the data this action comes from' },
+            confidence: { type: 'number', description: 'How sure you are that this needs the user\'s action, from 0 to 1' }
+          },
+          required: ['text', 'verb', 'person', 'topic', 'due_date', 'source', 'source_message_ids', 'confidence']
+        }
+      }
+    },
+    required: ['items']
+  }
+};
+
+// Structured output for generateNewsletterDigest
+const NEWSLETTER_DIGEST_TOOL = {
+  name: 'record_newsletter_digest',
+  description: 'Record the newsletter digest for the user.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      overview: { type: 'string', description: 'Two or three sentences on the main themes across all the newsletters' },
+      publications: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            key: { type: 'string', description: 'The publication\'s "key", copied exactly' },
+            summary: { type: 'string', description: 'What the user would have read in this publication, in one to three sentences' },
+            highlights: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  text: { type: 'string', description: 'The story in a few words' },
+                  url: { type: ['string', 'null'], description: 'The headline\'s "url" copied exactly, or null if it has none' },
+                  message_id: { type: 'string', description: 'The "id" of the issue the story is in' }
+                },
+                required: ['text', 'url', 'message_id']
+              }
+            }
+          },
+          required: ['key', 'summary', 'highlights']
+        }
+      }
+    },
+    required: ['overview', 'publications']
+  }
+};
+
 class ClaudeService {
   constructor(store) {
     this.store = store;
@@ -23,7 +106,25 @@ class ClaudeService {
     return !!this.client;
   }
 
-  async summarize(content, type, prompt, useSonnet = false) {
+  // Send a request and return the reply text. With a streaming option the
+  // text is passed to streaming.onText as it arrives, and streaming.signal
+  // (an AbortSignal) cancels the request.
+  async createMessage(params, streaming = null) {
+    if (!streaming) {
+      const response = await this.client.messages.create(params);
+      return response.content[0].text;
+    }
+
+    const stream = this.client.messages.stream(params, { signal: streaming.signal });
+    if (streaming.onText) {
+      stream.on('text', (delta) => streaming.onText(delta));
+    }
+    return await stream.finalText();
+  }
+
+  // history is an optional earlier conversation: { summary, turns } where turns
+  // are { role, content } pairs sent before this request
+  async summarize(content, type, prompt, useSonnet = false, withCitations = false, history = null, streaming = null) {
     if (!this.client) {
       throw new Error('Claude API key not configured');
     }
@@ -31,32 +132,37 @@ class ClaudeService {
     const systemPrompts = {
       gmail: `You are a helpful assistant that summarizes email data. Be concise and focus on what matters most to the user. Format your response in clear sections with bullet points where appropriate.`,
       whatsapp: `You are a helpful assistant that summarizes WhatsApp conversations. Identify key topics discussed, important messages, and the overall sentiment. Be concise and respect privacy - focus on topics rather than personal details.`,
-      notion: `You are a helpful assistant that summarizes Notion workspace content. Focus on recent activity, key themes, and progress on journaling or documentation efforts.`
+      notion: `You are a helpful assistant that summarizes Notion workspace content. Focus on recent activity, key themes, and progress on journaling or documentation efforts.`,
+      all: `You are a helpful assistant that answers questions across the user's WhatsApp chats, Gmail inbox and Notion workspace. Weigh evidence from every source and always say which source each fact came from.`
     };
 
     const model = useSonnet ? 'claude-sonnet-4-20250514' : 'claude-3-5-haiku-20241022';
 
+    let system = systemPrompts[type] || 'You are a helpful assistant.';
+    if (history?.summary) {
+      system += `\n\nSummary of the earlier part of this conversation:\n${history.summary}`;
+    }
+
     try {
-      const response = await this.client.messages.create({
+      return await this.createMessage({
         model,
         max_tokens: 1024,
-        system: systemPrompts[type] || 'You are a helpful assistant.',
+        system,
         messages: [
+          ...(history?.turns || []).map(t => ({ role: t.role, content: t.content })),
           {
             role: 'user',
-            content: prompt + '\n\nHere is the data:\n' + JSON.stringify(content, null, 2)
+            content: (withCitations ? prompt + '\n\n' + CITATION_RULES : prompt) + '\n\nHere is the data:\n' + JSON.stringify(content, null, 2)
           }
         ]
-      });
-
-      return response.content[0].text;
+      }, streaming);
     } catch (error) {
       console.error('Claude API error:', error);
       throw error;
     }
   }
 
-  async generateTodaySummary(data, type) {
+  async generateTodaySummary(data, type, streaming = null) {
     const prompts = {
       gmail: `Summarize today's emails concisely:
 
@@ -67,8 +173,11 @@ class ClaudeService {
 
 RULES:
 - NO tables or category breakdowns
-- Only list emails that actually need a response/action
-- If no emails need action, say "Nothing urgent today"`,
+- Count and list threads, not individual messages - one line per conversation
+- Only list threads that actually need a response/action from the user; skip ones where userRepliedLast is true
+- If no emails need action, say "Nothing urgent today"
+
+${GMAIL_THREAD_RULES}`,
 
       whatsapp: `Write a natural 2-3 sentence summary for each active chat. Wrap key topics in [[double brackets]] so they become clickable for more details.
 
@@ -105,10 +214,10 @@ RULES:
 Keep it concise.`
     };
 
-    return this.summarize(data, type, prompts[type], true); // Use Sonnet for daily summaries
+    return this.summarize(data, type, prompts[type], true, true, null, streaming); // Use Sonnet for daily summaries
   }
 
-  async generateWeekSummary(data, type) {
+  async generateWeekSummary(data, type, streaming = null) {
     const prompts = {
       gmail: `Summarize this week's emails:
 
@@ -136,7 +245,11 @@ RULES:
 - NO tables
 - NO category breakdowns
 - NO "top contacts" section
-- Focus on what matters: important decisions and pending items`,
+- Focus on what matters: important decisions and pending items
+- Summarize each thread as one conversation, using its latest messages for where it ended up
+- "Still Pending" lists the threads in replyTracking.waitingOnMe that ask something of the user, overdue ones first
+
+${GMAIL_THREAD_RULES}`,
 
       whatsapp: `Write a natural summary for each active chat THIS WEEK. Wrap key topics in [[double brackets]] so they become clickable for more details.
 
@@ -192,14 +305,20 @@ Ideas for future entries or areas to explore.
 Use markdown formatting for a clean, readable summary.`
     };
 
-    return this.summarize(data, type, prompts[type], true); // Use Sonnet for weekly summaries
+    return this.summarize(data, type, prompts[type], true, true, null, streaming); // Use Sonnet for weekly summaries
   }
 
+  // Returns the raw items Claude recorded through the record_action_items
+  // tool. They are untrusted - ActionItemService validates them before use.
   async generateActionItems(data, type) {
+    if (!this.client) {
+      throw new Error('Claude API key not configured');
+    }
+
     const prompts = {
-      gmail: `List action items from these emails as simple todo items.
+      gmail: `Find the action items in these emails.
 
-Format each as a clear task starting with a verb:
+Good examples of "text":
 - Reply to John about the project deadline
 - Review the contract from HR by Friday
 - Send Sarah the meeting notes she requested
@@ -207,14 +326,16 @@ Format each as a clear task starting with a verb:
 RULES:
 - Start each item with an action verb (Reply, Send, Review, Call, Schedule, etc.)
 - Include WHO and WHAT in each item
-- NO metadata like "From:", "Urgency:", "Priority:"
-- NO numbered lists - just bullet points
 - Only include items that actually need action
-- If nothing needs action, say "No action items right now"`,
+- At most one item per thread, based on where the conversation stands now
+- Reply items only for threads in replyTracking.waitingOnMe - the user already answered the rest
+- For overdue threads in replyTracking.waitingOnThem, add a follow-up item (e.g. "Follow up with Sarah about the contract") if the user is clearly waiting on an answer
 
-      whatsapp: `List ONLY specific action items from these WhatsApp messages.
+${GMAIL_THREAD_RULES}`,
 
-Good examples (SPECIFIC):
+      whatsapp: `Find ONLY specific action items in these WhatsApp messages.
+
+Good examples of "text" (SPECIFIC):
 - Reply to Mom about whether you're bringing dessert on Saturday
 - Send Raj the Goa trip photos he asked for
 - Tell the group your answer about the Friday dinner plan
@@ -232,42 +353,170 @@ RULES:
 - ONLY include items where someone specifically asked YOU something
 - Must have a specific person AND specific topic
 - NO vague items like "respond to messages" or "check updates"
-- NO generic relationship advice like "stay in touch"
-- If no SPECIFIC action items exist, say "No action items right now"`,
+- NO generic relationship advice like "stay in touch"`,
 
-      notion: `List suggested actions based on this Notion activity.
+      notion: `Suggest actions based on this Notion activity.
 
-Format as simple tasks:
+Good examples of "text":
 - Continue writing the journal entry from Monday
 - Review and organize the project notes
-- Add details to the trip planning page
+- Add details to the trip planning page`
+    };
 
-RULES:
-- Write as clear, actionable tasks
-- NO metadata or labels
-- NO numbered lists - just bullet points
-- If nothing needs action, say "No action items right now"`
+    const today = new Date().toISOString().split('T')[0];
+
+    try {
+      const response = await this.client.messages.create({
+        model: 'claude-3-5-haiku-20241022',
+        max_tokens: 2048,
+        system: 'You extract action items for the user from their data. Record them with the record_action_items tool.',
+        tools: [ACTION_ITEMS_TOOL],
+        tool_choice: { type: 'tool', name: ACTION_ITEMS_TOOL.name },
+        messages: [
+          {
+            role: 'user',
+            content: `${prompts[type]}
+
+Today is ${today}. Set "source" to "${type}" and list the "id" of every item in the data the action comes from. If nothing needs action, record an empty list.
+
+Here is the data:
+${JSON.stringify(data, null, 2)}`
+          }
+        ]
+      });
+
+      const toolUse = response.content.find(block => block.type === 'tool_use');
+      if (!toolUse || !Array.isArray(toolUse.input?.items)) {
+        throw new Error('Claude did not return action items');
+      }
+      return toolUse.input.items;
+    } catch (error) {
+      console.error('Claude action items error:', error);
+      throw error;
+    }
+  }
+
+  // digest is GmailService.getNewsletterDigest's, with muted publications
+  // already left out. Returns { overview, publications } as recorded by
+  // NEWSLETTER_DIGEST_TOOL.
+  async generateNewsletterDigest(digest) {
+    if (!this.client) {
+      throw new Error('Claude API key not configured');
+    }
+
+    const data = {
+      period: digest.period,
+      publications: digest.publications.map(p => ({
+        key: p.key,
+        name: p.name,
+        priority: p.priority,
+        issueCount: p.issueCount,
+        issues: p.issues.map(({ id, subject, date, headlines, preview }) => ({ id, subject, date, headlines, preview }))
+      }))
     };
 
-    return this.summarize(data, type, prompts[type]);
+    try {
+      const response = await this.client.messages.create({
+        model: 'claude-3-5-haiku-20241022',
+        max_tokens: 4096,
+        system: 'You write a newsletter digest: what the user would have read if they had opened every newsletter. Record it with the record_newsletter_digest tool.',
+        tools: [NEWSLETTER_DIGEST_TOOL],
+        tool_choice: { type: 'tool', name: NEWSLETTER_DIGEST_TOOL.name },
+        messages: [
+          {
+            role: 'user',
+            content: `Write a digest of these newsletters (${digest.period}).
+
+RULES:
+- One entry per publication, using its "key"
+- "summary": the substance of what the publication covered - the news, ideas or recommendations themselves, not "this issue discusses..."
+- "highlights": the key stories, picked from each issue's "headlines" where it has them, otherwise from its subject and preview. Skip ads, sponsors and housekeeping
+- Publications with "priority": "high" get up to 5 highlights and the fullest summary; "normal" up to 3; "low" at most 1 and a one-sentence summary
+- Copy urls and ids exactly from the data. Never invent a link
+
+Here is the data:
+${JSON.stringify(data, null, 2)}`
+          }
+        ]
+      });
+
+      const toolUse = response.content.find(block => block.type === 'tool_use');
+      if (!toolUse || !Array.isArray(toolUse.input?.publications)) {
+        throw new Error('Claude did not return a newsletter digest');
+      }
+      return toolUse.input;
+    } catch (error) {
+      console.error('Claude newsletter digest error:', error);
+      throw error;
+    }
   }
 
-  async answerQuestion(data, type, question) {
+  // data is the output of RetrievalService.retrieve: excerpts picked from the
+  // local database for this question, plus the date window it refers to.
+  // type is a single source, or 'all' to answer across every source.
+  // history holds the earlier turns when this is a follow-up in a conversation.
+  async answerQuestion(data, type, question, history = null, streaming = null) {
+    const context = {
+      dateRange: data.dateRange,
+      sourcesSearched: data.sourcesSearched,
+      excerpts: data.excerpts
+    };
+
     const prompts = {
-      gmail: `The user is asking about their emails. Answer this question based on the email data provided: "${question}"
+      gmail: `The user is asking about their emails. Answer this question using the email excerpts provided, which were retrieved from their synced inbox as the most relevant matches: "${question}"
+
+Be specific and reference actual emails (sender, subject, date) when possible. An excerpt with an "attachment" matched through that attached file - name the file when it's what the user is looking for. If the excerpts don't contain the answer, say so.`,
+
+      whatsapp: `The user is asking about their WhatsApp conversations. Answer this question using the message excerpts provided, which were retrieved from their synced chat history as the most relevant matches: "${question}"
 
-Be specific and reference actual emails when possible. If the information isn't in the data, say so.`,
+Be specific and reference actual chats, senders and dates when possible. Respect privacy - focus on topics rather than personal details. If the excerpts don't contain the answer, say so.`,
 
-      whatsapp: `The user is asking about their WhatsApp conversations. Answer this question based on the chat data provided: "${question}"
+      notion: `The user is asking about their Notion workspace. Answer this question using the page excerpts provided, which were retrieved from their synced workspace as the most relevant matches: "${question}"
 
-Be specific and reference actual chats or messages when possible. Respect privacy - focus on topics rather than personal details. If the information isn't in the data, say so.`,
+Be specific and reference actual pages or entries when possible. If the excerpts don't contain the answer, say so.`,
 
-      notion: `The user is asking about their Notion workspace. Answer this question based on the Notion data provided: "${question}"
+      all: `The user is asking a question that may span their WhatsApp chats, emails and Notion pages. Answer it using the excerpts provided; each one has a "source" field saying where it came from: "${question}"
 
-Be specific and reference actual pages or entries when possible. If the information isn't in the data, say so.`
+Combine evidence from all sources into one answer, citing the excerpt each fact came from. If sources disagree, point that out. Finish with a short "Sources checked" line listing which sources had relevant information and which didn't. If nothing answers the question, say so.`
     };
 
-    return this.summarize(data, type, prompts[type]);
+    let prompt = prompts[type];
+    if (history?.turns?.length || history?.summary) {
+      prompt += `\n\nThis is a follow-up in an ongoing conversation. Use the earlier questions and answers to work out what the user is referring to, but answer from the excerpts below.`;
+    }
+
+    return this.summarize(context, type, prompt, false, true, history, streaming);
+  }
+
+  // Fold older conversation turns into a running summary, so long
+  // conversations stay within the context budget
+  async summarizeConversation(previousSummary, turns) {
+    if (!this.client) {
+      throw new Error('Claude API key not configured');
+    }
+
+    const transcript = turns
+      .map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.content}`)
+      .join('\n\n');
+
+    try {
+      const response = await this.client.messages.create({
+        model: 'claude-3-5-haiku-20241022',
+        max_tokens: 500,
+        system: 'You condense conversations between a user and an assistant that answers questions about their WhatsApp chats, emails and Notion pages. Keep the questions asked, the key facts, names, dates and conclusions. Drop pleasantries. Keep any [cite:ID] markers next to the facts they support.',
+        messages: [
+          {
+            role: 'user',
+            content: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}Newer turns:\n${transcript}\n\nWrite an updated summary of the whole conversation in under 200 words.`
+          }
+        ]
+      });
+
+      return response.content[0].text;
+    } catch (error) {
+      console.error('Conversation summary error:', error);
+      throw error;
+    }
   }
 
   async getTopicDetails(topic, chatName, messagesData) {
@@ -308,7 +557,9 @@ ${JSON.stringify(messagesData, null, 2)}`
     }
   }
 
-  async generateCombinedSummary(allData) {
+  // allData.actionItems is the user's reconciled list of open action items;
+  // the overview picks from it rather than extracting its own
+  async generateCombinedSummary(allData, streaming = null) {
     if (!this.client) {
       throw new Error('Claude API key not configured');
     }
@@ -316,7 +567,7 @@ ${JSON.stringify(messagesData, null, 2)}`
     const prompt = `Create a daily overview from the user's data:
 
 **ACTION ITEMS**
-List 3-5 specific things needing attention today:
+List 3-5 specific things needing attention today, chosen from "actionItems" - the user's open action items, already deduplicated across sources. Don't add items that aren't in that list. Use the rest of the data only for context. An item found in several sources lists them all, e.g. [Gmail + WhatsApp]:
 1. [Source] Specific action - brief context
 
 Example:
@@ -332,11 +583,14 @@ RULES:
 - Only include actionable items, not FYI updates
 - Skip sources with nothing actionable
 
+${CITATION_RULES}
+- An action item has no "id" of its own; cite the ids in its "source_message_ids".
+
 Data:
 ${JSON.stringify(allData, null, 2)}`;
 
     try {
-      const response = await this.client.messages.create({
+      return await this.createMessage({
         model: 'claude-3-5-haiku-20241022',
         max_tokens: 1024,
         system: 'You are a helpful personal assistant that provides concise, actionable daily summaries. Be direct and prioritize what matters most.',
@@ -346,9 +600,7 @@ ${JSON.stringify(allData, null, 2)}`;
             content: prompt
           }
         ]
-      });
-
-      return response.content[0].text;
+      }, streaming);
     } catch (error) {
       console.error('Claude combined summary error:', error);
       throw error;
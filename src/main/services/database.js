@@ -2,11 +2,102 @@ const initSqlJs = require('sql.js');
 const path = require('path');
 const fs = require('fs');
 const { app } = require('electron');
+const migrations = require('./migrations');
+
+const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+// Default retention window per source, in days. null means keep forever.
+const DEFAULT_RETENTION = {
+  whatsapp: 30,
+  gmail: 30,
+  notion: 30
+};
+
+// Which table and timestamp column each source's retention applies to
+const RETENTION_TARGETS = {
+  whatsapp: { table: 'whatsapp_messages', column: 'timestamp' },
+  gmail: { table: 'gmail_messages', column: 'timestamp' },
+  notion: { table: 'notion_pages', column: 'last_edited_time' }
+};
+
+// Full-text indexes (the bundled sql.js build has FTS4 but not FTS5). Each one
+// is an external-content table over the source table, kept in sync by triggers
+// created in migrations.js. weights rank a hit in that column relative to the others.
+const SEARCH_INDEXES = {
+  whatsapp: {
+    fts: 'whatsapp_fts',
+    table: 'whatsapp_messages',
+    columns: ['body'],
+    weights: [1],
+    timeColumn: 'timestamp',
+    hitColumns: ['id', 'timestamp', 'chat_id', 'chat_name', 'sender', 'from_me']
+  },
+  gmail: {
+    fts: 'gmail_fts',
+    table: 'gmail_messages',
+    columns: ['subject', 'snippet', 'body_preview'],
+    weights: [3, 1, 1],
+    timeColumn: 'timestamp',
+    hitColumns: ['id', 'timestamp', 'subject', 'from_name', 'from_email', 'thread_id', 'account_id']
+  },
+  notion: {
+    fts: 'notion_fts',
+    table: 'notion_pages',
+    columns: ['title', 'content_preview'],
+    weights: [3, 1],
+    timeColumn: 'last_edited_time',
+    hitColumns: ['id', 'last_edited_time', 'title', 'url']
+  }
+};
+
+// Attachment filenames and text are searched along with their emails, and
+// hits are reported as the email they came with
+const ATTACHMENT_SEARCH_INDEX = {
+  fts: 'gmail_attachments_fts',
+  table: 'gmail_attachments',
+  weights: [3, 1]
+};
+
+// Markers wrapped around matched terms in search snippets
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+
+// Writes are coalesced: a flush happens this long after the last change,
+// but never later than SAVE_MAX_WAIT_MS after the first unsaved change
+const SAVE_DEBOUNCE_MS = 1000;
+const SAVE_MAX_WAIT_MS = 5000;
+
+// Sync runs kept in sync_log per source
+const SYNC_LOG_KEEP = 100;
+
+// Split a To/Cc header into { name, email } pairs
+function parseAddressList(header) {
+  if (!header) return [];
+  return (header.match(/(?:"[^"]*"|[^,])+/g) || [])
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const match = part.match(/^(.*?)\s*<([^>]+)>$/);
+      if (match) {
+        return { name: match[1].replace(/"/g, '').trim() || match[2], email: match[2].toLowerCase() };
+      }
+      return { name: part, email: part.toLowerCase() };
+    });
+}
 
 class DatabaseService {
-  constructor() {
+  constructor(options = {}) {
     this.db = null;
     this.dbPath = path.join(app.getPath('userData'), 'mybrain.db');
+    this.retention = this.loadRetention(options.retention);
+    this.lastPrune = null;
+
+    // Persistence state
+    this.dirty = false;
+    this.saveTimer = null;
+    this.firstDirtyAt = null;
+    this.transactionDepth = 0;
+    this.writeCount = 0;
     this.ready = this.initialize();
   }
 
@@ -21,97 +112,139 @@ class DatabaseService {
       this.db = new SQL.Database();
     }
 
-    this.initTables();
+    // INSERT OR REPLACE only fires the search index delete triggers with this on
+    this.db.run('PRAGMA recursive_triggers = ON');
+    // Search ranks rows in SQL so only the best ones are read; weights is a
+    // comma separated list, one per indexed column
+    this.db.create_function('search_rank', (matchinfo, weights) => this.rankMatch(matchinfo, String(weights).split(',').map(Number)));
+
+    try {
+      this.migrate();
+    } catch (error) {
+      // Don't let close() write a half-migrated or too-new database back out
+      this.db.close();
+      this.db = null;
+      throw error;
+    }
+
+    this.applyRetention();
     return true;
   }
 
-  initTables() {
-    // WhatsApp messages
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS whatsapp_messages (
-        id TEXT PRIMARY KEY,
-        chat_id TEXT,
-        chat_name TEXT,
-        is_group INTEGER,
-        sender TEXT,
-        body TEXT,
-        timestamp INTEGER,
-        from_me INTEGER,
-        has_media INTEGER,
-        created_at INTEGER DEFAULT (strftime('%s', 'now'))
-      )
-    `);
-
-    // WhatsApp chats
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS whatsapp_chats (
-        id TEXT PRIMARY KEY,
-        name TEXT,
-        is_group INTEGER,
-        participant_count INTEGER,
-        last_message_at INTEGER,
-        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
-      )
-    `);
-
-    // Gmail messages
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS gmail_messages (
-        id TEXT PRIMARY KEY,
-        thread_id TEXT,
-        from_email TEXT,
-        from_name TEXT,
-        to_email TEXT,
-        subject TEXT,
-        snippet TEXT,
-        body_preview TEXT,
-        timestamp INTEGER,
-        is_unread INTEGER,
-        labels TEXT,
-        category TEXT,
-        created_at INTEGER DEFAULT (strftime('%s', 'now'))
-      )
-    `);
-
-    // Notion pages
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS notion_pages (
-        id TEXT PRIMARY KEY,
-        title TEXT,
-        parent_id TEXT,
-        parent_type TEXT,
-        url TEXT,
-        created_time INTEGER,
-        last_edited_time INTEGER,
-        content_preview TEXT,
-        properties TEXT,
-        created_at INTEGER DEFAULT (strftime('%s', 'now'))
-      )
-    `);
-
-    // Sync log to track last sync time
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS sync_log (
-        source TEXT PRIMARY KEY,
-        last_sync_at INTEGER,
-        records_synced INTEGER
-      )
-    `);
+  // Bring the schema up to date. Each pending migration runs in its own
+  // transaction, and the file is backed up first so a failed upgrade can be
+  // recovered by hand.
+  migrate() {
+    const currentVersion = this.getSchemaVersion();
+    const latestVersion = LATEST_SCHEMA_VERSION;
 
-    // Create indexes for faster queries
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_whatsapp_timestamp ON whatsapp_messages(timestamp)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_whatsapp_chat ON whatsapp_messages(chat_id)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_gmail_timestamp ON gmail_messages(timestamp)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_notion_edited ON notion_pages(last_edited_time)`);
+    if (currentVersion > latestVersion) {
+      throw new Error(`mybrain.db uses schema version ${currentVersion}, but this version of MyBrain only supports up to ${latestVersion}. Please update the app.`);
+    }
 
-    this.save();
+    const pending = migrations.filter(m => m.version > currentVersion);
+    if (pending.length === 0) return;
+
+    this.backupDatabaseFile(currentVersion);
+
+    for (const migration of pending) {
+      console.log(`Applying database migration ${migration.version}: ${migration.description}`);
+      this.transaction(() => {
+        migration.up(this);
+        this.runSql(`PRAGMA user_version = ${migration.version}`);
+        this.save();
+      });
+    }
   }
 
+  getSchemaVersion() {
+    const row = this.queryOne('PRAGMA user_version');
+    return row ? row.user_version : 0;
+  }
+
+  backupDatabaseFile(version) {
+    if (!fs.existsSync(this.dbPath)) return null;
+    const backupPath = `${this.dbPath}.v${version}.bak`;
+    fs.copyFileSync(this.dbPath, backupPath);
+    return backupPath;
+  }
+
+  // Rebuild every full-text index from its content table. Needed after VACUUM,
+  // which may renumber the implicit rowids the indexes point at.
+  rebuildSearchIndex() {
+    for (const { fts } of [...Object.values(SEARCH_INDEXES), ATTACHMENT_SEARCH_INDEX]) {
+      this.db.run(`INSERT INTO ${fts} (${fts}) VALUES ('rebuild')`);
+    }
+  }
+
+  // Mark the database as changed and schedule a debounced flush to disk
   save() {
-    if (this.db) {
-      const data = this.db.export();
-      const buffer = Buffer.from(data);
-      fs.writeFileSync(this.dbPath, buffer);
+    if (!this.db) return;
+    this.dirty = true;
+
+    // The outermost transaction schedules the flush once it commits
+    if (this.transactionDepth > 0) return;
+
+    const now = Date.now();
+    if (!this.firstDirtyAt) {
+      this.firstDirtyAt = now;
+    }
+    const delay = Math.max(0, Math.min(SAVE_DEBOUNCE_MS, this.firstDirtyAt + SAVE_MAX_WAIT_MS - now));
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.flush(), delay);
+  }
+
+  // Write the database to disk now. The file is written to a temp path and
+  // renamed over mybrain.db so a crash mid-write can't truncate it.
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    if (!this.db || !this.dirty) return false;
+
+    // sql.js can't export in the middle of a transaction
+    if (this.transactionDepth > 0) return false;
+
+    this.firstDirtyAt = null;
+
+    const buffer = Buffer.from(this.db.export());
+    const tmpPath = `${this.dbPath}.tmp`;
+
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, buffer, 0, buffer.length);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.dbPath);
+
+    this.dirty = false;
+    this.writeCount++;
+    return true;
+  }
+
+  // Run fn inside a single transaction. Nested calls join the outer one.
+  transaction(fn) {
+    if (this.transactionDepth > 0) {
+      return fn();
+    }
+
+    this.db.run('BEGIN');
+    this.transactionDepth++;
+    try {
+      const result = fn();
+      this.db.run('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.run('ROLLBACK');
+      throw error;
+    } finally {
+      this.transactionDepth--;
+      if (this.dirty) {
+        this.save();
+      }
     }
   }
 
@@ -146,9 +279,9 @@ class DatabaseService {
   upsertWhatsAppChat(chat) {
     const now = Math.floor(Date.now() / 1000);
     this.runSql(`
-      INSERT OR REPLACE INTO whatsapp_chats (id, name, is_group, participant_count, last_message_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [chat.id, chat.name, chat.isGroup ? 1 : 0, chat.participantCount || 0, chat.lastMessageAt || 0, now]);
+      INSERT OR REPLACE INTO whatsapp_chats (id, name, is_group, participant_count, last_message_at, unread_count, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [chat.id, chat.name, chat.isGroup ? 1 : 0, chat.participantCount || 0, chat.lastMessageAt || 0, chat.unreadCount || 0, now]);
     this.save();
   }
 
@@ -171,13 +304,15 @@ class DatabaseService {
   }
 
   bulkUpsertWhatsAppMessages(messages) {
-    for (const m of messages) {
-      this.runSql(`
-        INSERT OR REPLACE INTO whatsapp_messages (id, chat_id, chat_name, is_group, sender, body, timestamp, from_me, has_media)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [m.id, m.chatId, m.chatName, m.isGroup ? 1 : 0, m.sender, m.body, m.timestamp, m.fromMe ? 1 : 0, m.hasMedia ? 1 : 0]);
-    }
-    this.save();
+    this.transaction(() => {
+      for (const m of messages) {
+        this.runSql(`
+          INSERT OR REPLACE INTO whatsapp_messages (id, chat_id, chat_name, is_group, sender, body, timestamp, from_me, has_media)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [m.id, m.chatId, m.chatName, m.isGroup ? 1 : 0, m.sender, m.body, m.timestamp, m.fromMe ? 1 : 0, m.hasMedia ? 1 : 0]);
+      }
+      this.save();
+    });
   }
 
   getWhatsAppMessages(timeFilter = 'all') {
@@ -208,13 +343,43 @@ class DatabaseService {
     return this.queryAll(`SELECT * FROM whatsapp_messages WHERE chat_id = ? ORDER BY timestamp DESC LIMIT ?`, [chatId, limit]);
   }
 
+  // A WhatsApp message plus up to `radius` messages either side of it in its chat
+  getWhatsAppMessageContext(messageId, radius = 10) {
+    const message = this.queryOne(`SELECT rowid AS row_order, * FROM whatsapp_messages WHERE id = ?`, [messageId]);
+    if (!message) return null;
+
+    const before = this.queryAll(`
+      SELECT * FROM whatsapp_messages
+      WHERE chat_id = ? AND (timestamp < ? OR (timestamp = ? AND rowid < ?))
+      ORDER BY timestamp DESC, rowid DESC
+      LIMIT ?
+    `, [message.chat_id, message.timestamp, message.timestamp, message.row_order, radius]);
+
+    const after = this.queryAll(`
+      SELECT * FROM whatsapp_messages
+      WHERE chat_id = ? AND (timestamp > ? OR (timestamp = ? AND rowid > ?))
+      ORDER BY timestamp ASC, rowid ASC
+      LIMIT ?
+    `, [message.chat_id, message.timestamp, message.timestamp, message.row_order, radius]);
+
+    delete message.row_order;
+
+    return {
+      message,
+      chatId: message.chat_id,
+      chatName: message.chat_name,
+      messages: [...before.reverse(), message, ...after]
+    };
+  }
+
   // Gmail methods
   upsertGmailMessage(email) {
     this.runSql(`
-      INSERT OR REPLACE INTO gmail_messages (id, thread_id, from_email, from_name, to_email, subject, snippet, body_preview, timestamp, is_unread, labels, category)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO gmail_messages (id, account_id, thread_id, from_email, from_name, to_email, subject, snippet, body_preview, timestamp, is_unread, labels, category, list_unsubscribe, list_id, headlines)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       email.id,
+      email.accountId || null,
       email.threadId,
       email.fromEmail,
       email.fromName,
@@ -225,21 +390,88 @@ class DatabaseService {
       email.timestamp,
       email.isUnread ? 1 : 0,
       JSON.stringify(email.labels || []),
-      email.category
+      email.category,
+      email.listUnsubscribe || null,
+      email.listId || null,
+      email.headlines?.length ? JSON.stringify(email.headlines) : null
     ]);
     this.save();
   }
 
   bulkUpsertGmailMessages(emails) {
-    for (const e of emails) {
+    this.transaction(() => {
+      for (const e of emails) {
+        this.runSql(`
+          INSERT OR REPLACE INTO gmail_messages (id, account_id, thread_id, from_email, from_name, to_email, subject, snippet, body_preview, timestamp, is_unread, labels, category, list_unsubscribe, list_id, headlines)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [e.id, e.accountId || null, e.threadId, e.fromEmail, e.fromName, e.toEmail, e.subject, e.snippet, e.bodyPreview, e.timestamp, e.isUnread ? 1 : 0, JSON.stringify(e.labels || []), e.category, e.listUnsubscribe || null, e.listId || null, e.headlines?.length ? JSON.stringify(e.headlines) : null]);
+        // Only emails downloaded in full come with their attachments
+        if (e.attachments) {
+          this.replaceGmailAttachments(e.id, e.attachments, e.accountId || null);
+        }
+      }
+      this.save();
+    });
+  }
+
+  // attachments: [{ partId, attachmentId, filename, mimeType, size, textContent }]
+  replaceGmailAttachments(messageId, attachments, accountId = null) {
+    this.runSql(`DELETE FROM gmail_attachments WHERE message_id = ?`, [messageId]);
+    for (const a of attachments) {
       this.runSql(`
-        INSERT OR REPLACE INTO gmail_messages (id, thread_id, from_email, from_name, to_email, subject, snippet, body_preview, timestamp, is_unread, labels, category)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [e.id, e.threadId, e.fromEmail, e.fromName, e.toEmail, e.subject, e.snippet, e.bodyPreview, e.timestamp, e.isUnread ? 1 : 0, JSON.stringify(e.labels || []), e.category]);
+        INSERT INTO gmail_attachments (id, message_id, account_id, part_id, attachment_id, filename, mime_type, size, text_content)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [`${messageId}:${a.partId}`, messageId, accountId, a.partId, a.attachmentId, a.filename, a.mimeType, a.size, a.textContent || null]);
     }
     this.save();
   }
 
+  /**
+   * Stored attachments with the email each came with, newest first.
+   * filters: { sender, from, to, messageIds, accountId, limit } - sender
+   * matches the sender's name or address, from/to are unix seconds.
+   */
+  getGmailAttachments(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.accountId) {
+      where.push(`a.account_id = ?`);
+      params.push(filters.accountId);
+    }
+    if (filters.sender) {
+      where.push(`(m.from_name LIKE ? OR m.from_email LIKE ?)`);
+      params.push(`%${filters.sender}%`, `%${filters.sender}%`);
+    }
+    if (filters.from) {
+      where.push(`m.timestamp >= ?`);
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push(`m.timestamp <= ?`);
+      params.push(filters.to);
+    }
+    if (filters.messageIds) {
+      if (filters.messageIds.length === 0) return [];
+      where.push(`a.message_id IN (${filters.messageIds.map(() => '?').join(', ')})`);
+      params.push(...filters.messageIds);
+    }
+
+    return this.queryAll(`
+      SELECT a.id, a.message_id, a.account_id, a.filename, a.mime_type, a.size, a.text_content IS NOT NULL AS has_text,
+        m.thread_id, m.subject, m.from_name, m.from_email, m.timestamp
+      FROM gmail_attachments a
+      JOIN gmail_messages m ON m.id = a.message_id
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY m.timestamp DESC
+      LIMIT ?
+    `, [...params, filters.limit || 100]);
+  }
+
+  getGmailAttachment(id) {
+    return this.queryOne(`SELECT * FROM gmail_attachments WHERE id = ?`, [id]);
+  }
+
   getGmailMessages(timeFilter = 'all') {
     const now = Math.floor(Date.now() / 1000);
     const todayStart = new Date();
@@ -266,6 +498,236 @@ class DatabaseService {
     }));
   }
 
+  // Mailing list emails - ones with a List-Id or List-Unsubscribe header,
+  // whatever category the rules gave them - received in timeFilter ('today',
+  // 'week', 'month' or 'all'), newest first, optionally from one account
+  getGmailNewsletters(timeFilter = 'week', { accountId = null, limit = 500 } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+    const from = {
+      today: Math.floor(todayStart.getTime() / 1000),
+      week: now - (7 * 24 * 60 * 60),
+      month: now - (30 * 24 * 60 * 60)
+    }[timeFilter] || 0;
+
+    const rows = this.queryAll(`
+      SELECT * FROM gmail_messages
+      WHERE (list_id IS NOT NULL OR list_unsubscribe IS NOT NULL)
+        AND timestamp >= ? ${accountId ? 'AND account_id = ?' : ''}
+      ORDER BY timestamp DESC
+      LIMIT ?
+    `, [from, ...(accountId ? [accountId] : []), limit]);
+
+    return rows.map(r => ({
+      ...r,
+      labels: JSON.parse(r.labels || '[]'),
+      headlines: JSON.parse(r.headlines || '[]'),
+      isUnread: r.is_unread === 1
+    }));
+  }
+
+  hasGmailMessage(id) {
+    return !!this.queryOne(`SELECT 1 AS found FROM gmail_messages WHERE id = ?`, [id]);
+  }
+
+  // updates: [{ id, labels }] with each message's full current label list
+  updateGmailMessageLabels(updates) {
+    if (updates.length === 0) return;
+    this.transaction(() => {
+      for (const u of updates) {
+        this.runSql(`
+          UPDATE gmail_messages SET labels = ?, is_unread = ? WHERE id = ?
+        `, [JSON.stringify(u.labels), u.labels.includes('UNREAD') ? 1 : 0, u.id]);
+      }
+      this.save();
+    });
+  }
+
+  // updates: [{ id, category }]
+  updateGmailMessageCategories(updates) {
+    if (updates.length === 0) return;
+    this.transaction(() => {
+      for (const u of updates) {
+        this.runSql(`UPDATE gmail_messages SET category = ? WHERE id = ?`, [u.category, u.id]);
+      }
+      this.save();
+    });
+  }
+
+  deleteGmailMessages(ids) {
+    if (ids.length === 0) return;
+    this.transaction(() => {
+      for (const id of ids) {
+        this.runSql(`DELETE FROM gmail_messages WHERE id = ?`, [id]);
+        this.runSql(`DELETE FROM gmail_attachments WHERE message_id = ?`, [id]);
+      }
+      this.save();
+    });
+  }
+
+  // All stored messages in a Gmail thread, oldest first
+  getGmailThreadMessages(threadId) {
+    const rows = this.queryAll(`SELECT * FROM gmail_messages WHERE thread_id = ? ORDER BY timestamp ASC`, [threadId]);
+
+    return rows.map(r => ({
+      ...r,
+      labels: JSON.parse(r.labels || '[]'),
+      isUnread: r.is_unread === 1
+    }));
+  }
+
+  // Thread ids of the given stored messages
+  getGmailMessageThreadIds(messageIds) {
+    if (messageIds.length === 0) return [];
+    const placeholders = messageIds.map(() => '?').join(', ');
+    return this.queryAll(`
+      SELECT DISTINCT thread_id FROM gmail_messages WHERE id IN (${placeholders})
+    `, messageIds).map(r => r.thread_id);
+  }
+
+  // { messageId: accountId } for the given stored messages
+  getGmailMessageAccounts(messageIds) {
+    if (messageIds.length === 0) return {};
+    const placeholders = messageIds.map(() => '?').join(', ');
+    const rows = this.queryAll(`SELECT id, account_id FROM gmail_messages WHERE id IN (${placeholders})`, messageIds);
+    return Object.fromEntries(rows.map(r => [r.id, r.account_id]));
+  }
+
+  // Forget everything synced from a Gmail account that's been removed
+  deleteGmailAccountData(accountId) {
+    this.transaction(() => {
+      for (const table of ['gmail_messages', 'gmail_threads', 'gmail_attachments']) {
+        this.runSql(`DELETE FROM ${table} WHERE account_id = ?`, [accountId]);
+      }
+      this.runSql(`DELETE FROM sync_log WHERE source = 'gmail' AND account_id = ?`, [accountId]);
+      this.save();
+    });
+  }
+
+  // Gmail thread methods
+
+  // Rebuild the gmail_threads rows for threadIds, plus any thread whose row is
+  // missing or out of step with its stored messages, and drop threads with no
+  // messages left. Label-only changes don't alter a thread's message count,
+  // so pass those threads in explicitly.
+  refreshGmailThreads(threadIds = []) {
+    const stale = this.queryAll(`
+      SELECT m.thread_id FROM (
+        SELECT thread_id, COUNT(*) AS message_count FROM gmail_messages
+        WHERE thread_id IS NOT NULL
+        GROUP BY thread_id
+      ) m
+      LEFT JOIN gmail_threads t ON t.id = m.thread_id
+      WHERE t.id IS NULL OR t.message_count != m.message_count
+    `).map(r => r.thread_id);
+
+    const ids = [...new Set([...threadIds, ...stale])].filter(Boolean);
+    const now = Math.floor(Date.now() / 1000);
+
+    this.transaction(() => {
+      this.runSql(`DELETE FROM gmail_threads WHERE id NOT IN (SELECT thread_id FROM gmail_messages WHERE thread_id IS NOT NULL)`);
+      if (ids.length === 0 && this.db.getRowsModified() === 0) return;
+
+      for (const id of ids) {
+        const messages = this.getGmailThreadMessages(id);
+        if (messages.length === 0) continue;
+
+        const t = this.buildGmailThread(messages);
+        this.runSql(`
+          INSERT OR REPLACE INTO gmail_threads (id, account_id, subject, participants, message_count, unread_count, first_message_at,
+            last_message_at, last_message_id, last_sender_email, last_sender_name, user_replied_last, in_inbox, category, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [id, messages[0].account_id, t.subject, JSON.stringify(t.participants), messages.length, t.unreadCount, t.firstMessageAt,
+          t.lastMessageAt, t.lastMessageId, t.lastSenderEmail, t.lastSenderName, t.userRepliedLast ? 1 : 0,
+          t.inInbox ? 1 : 0, t.category, now]);
+      }
+      this.save();
+    });
+  }
+
+  // messages are one thread's parsed rows, oldest first. The user's own
+  // messages are the ones Gmail labels SENT.
+  buildGmailThread(messages) {
+    const participants = new Map();
+    const addParticipant = (name, email) => {
+      const key = (email || name || '').toLowerCase();
+      if (key && !participants.has(key)) {
+        participants.set(key, { name: name || email, email: email || null });
+      }
+    };
+
+    for (const m of messages) {
+      addParticipant(m.from_name, m.from_email);
+      for (const address of parseAddressList(m.to_email)) {
+        addParticipant(address.name, address.email);
+      }
+    }
+
+    const last = messages[messages.length - 1];
+    const lastInbound = [...messages].reverse().find(m => !m.labels.includes('SENT'));
+
+    return {
+      subject: messages.find(m => m.subject)?.subject || '',
+      participants: [...participants.values()],
+      unreadCount: messages.filter(m => m.isUnread).length,
+      firstMessageAt: messages[0].timestamp,
+      lastMessageAt: last.timestamp,
+      lastMessageId: last.id,
+      lastSenderEmail: last.from_email,
+      lastSenderName: last.from_name,
+      userRepliedLast: last.labels.includes('SENT'),
+      inInbox: messages.some(m => m.labels.includes('INBOX')),
+      category: (lastInbound || last).category
+    };
+  }
+
+  // Threads whose latest message falls in timeFilter ('today', 'week', 'month'
+  // or 'all'), most recent first. Unless inboxOnly is false, only threads with
+  // a message in the inbox - not ones that are all sent or archived mail.
+  // accountId limits them to one Gmail account.
+  getGmailThreads(timeFilter = 'all', limit = 100, { inboxOnly = true, accountId = null } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+    const from = {
+      today: Math.floor(todayStart.getTime() / 1000),
+      week: now - (7 * 24 * 60 * 60),
+      month: now - (30 * 24 * 60 * 60)
+    }[timeFilter] || 0;
+
+    const rows = this.queryAll(`
+      SELECT * FROM gmail_threads
+      WHERE last_message_at >= ? ${inboxOnly ? 'AND in_inbox = 1' : ''} ${accountId ? 'AND account_id = ?' : ''}
+      ORDER BY last_message_at DESC
+      LIMIT ?
+    `, [from, ...(accountId ? [accountId] : []), limit]);
+
+    return rows.map(r => this.parseGmailThread(r));
+  }
+
+  // A thread and its messages in order, each with its attachments, or null if
+  // it isn't stored
+  getGmailThread(threadId) {
+    const row = this.queryOne(`SELECT * FROM gmail_threads WHERE id = ?`, [threadId]);
+    if (!row) return null;
+
+    const messages = this.getGmailThreadMessages(threadId);
+    const attachments = this.getGmailAttachments({ messageIds: messages.map(m => m.id), limit: 500 });
+    return {
+      thread: this.parseGmailThread(row),
+      messages: messages.map(m => ({ ...m, attachments: attachments.filter(a => a.message_id === m.id) }))
+    };
+  }
+
+  parseGmailThread(row) {
+    return {
+      ...row,
+      participants: JSON.parse(row.participants || '[]'),
+      userRepliedLast: row.user_replied_last === 1
+    };
+  }
+
   // Notion methods
   upsertNotionPage(page) {
     this.runSql(`
@@ -286,13 +748,15 @@ class DatabaseService {
   }
 
   bulkUpsertNotionPages(pages) {
-    for (const p of pages) {
-      this.runSql(`
-        INSERT OR REPLACE INTO notion_pages (id, title, parent_id, parent_type, url, created_time, last_edited_time, content_preview, properties)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [p.id, p.title, p.parentId, p.parentType, p.url, p.createdTime, p.lastEditedTime, p.contentPreview, JSON.stringify(p.properties || {})]);
-    }
-    this.save();
+    this.transaction(() => {
+      for (const p of pages) {
+        this.runSql(`
+          INSERT OR REPLACE INTO notion_pages (id, title, parent_id, parent_type, url, created_time, last_edited_time, content_preview, properties)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [p.id, p.title, p.parentId, p.parentType, p.url, p.createdTime, p.lastEditedTime, p.contentPreview, JSON.stringify(p.properties || {})]);
+      }
+      this.save();
+    });
   }
 
   getNotionPages(timeFilter = 'all') {
@@ -315,19 +779,637 @@ class DatabaseService {
     }));
   }
 
+  // Entries of a Notion database, most recently edited first
+  getNotionPagesByParent(parentId, limit = 50) {
+    const rows = this.queryAll(`
+      SELECT * FROM notion_pages WHERE parent_id = ? ORDER BY last_edited_time DESC LIMIT ?
+    `, [parentId, limit]);
+
+    return rows.map(r => ({
+      ...r,
+      properties: JSON.parse(r.properties || '{}')
+    }));
+  }
+
+  bulkUpsertNotionDatabases(databases) {
+    const now = Math.floor(Date.now() / 1000);
+    this.transaction(() => {
+      for (const d of databases) {
+        this.runSql(`
+          INSERT OR REPLACE INTO notion_databases (id, title, url, icon, last_edited_time, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [d.id, d.title, d.url, d.icon, d.lastEditedTime, now]);
+      }
+      this.save();
+    });
+  }
+
+  getNotionDatabases() {
+    return this.queryAll(`SELECT * FROM notion_databases ORDER BY last_edited_time DESC`);
+  }
+
+  // Search methods
+
+  // Turn free text into an FTS4 query of prefix terms. By default every word
+  // must match; with matchAny a row matching any word is a hit.
+  buildMatchQuery(text, matchAny = false) {
+    const terms = (text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(t => t.length > 0);
+    return terms.map(t => `${t}*`).join(matchAny ? ' OR ' : ' ');
+  }
+
+  // Score a row from its matchinfo('pcx') blob: for each phrase and column,
+  // hits in this row relative to hits across all rows, weighted per column
+  rankMatch(matchinfo, weights) {
+    const bytes = matchinfo instanceof Uint8Array ? matchinfo : new Uint8Array(0);
+    const ints = new Uint32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    const phraseCount = ints[0];
+    const columnCount = ints[1];
+    let score = 0;
+
+    for (let p = 0; p < phraseCount; p++) {
+      for (let c = 0; c < columnCount; c++) {
+        const base = 2 + (p * columnCount + c) * 3;
+        const hitsThisRow = ints[base];
+        const hitsAllRows = ints[base + 1];
+        if (hitsThisRow > 0) {
+          score += (weights[c] || 1) * (hitsThisRow / hitsAllRows);
+        }
+      }
+    }
+
+    return score;
+  }
+
+  /**
+   * Full-text search across synced messages, emails and pages.
+   * filters: { sources, from, to, sender, chat, limit, matchAny }
+   *   from/to are unix seconds; sender matches WhatsApp senders and Gmail
+   *   senders; chat matches a WhatsApp chat id or name.
+   */
+  search(query, filters = {}) {
+    const match = this.buildMatchQuery(query, filters.matchAny);
+    if (!match) return [];
+
+    const limit = filters.limit || 50;
+    let sources = filters.sources && filters.sources.length > 0
+      ? filters.sources.filter(s => SEARCH_INDEXES[s])
+      : Object.keys(SEARCH_INDEXES);
+
+    // Sender and chat filters only make sense for some sources
+    if (filters.sender) {
+      sources = sources.filter(s => s !== 'notion');
+    }
+    if (filters.chat) {
+      sources = sources.filter(s => s === 'whatsapp');
+    }
+
+    const results = [];
+    for (const source of sources) {
+      results.push(...this.searchSource(source, match, filters, limit));
+    }
+
+    // An email found through its attachment is listed once, at its best rank
+    if (sources.includes('gmail')) {
+      for (const hit of this.searchGmailAttachments(match, filters, limit)) {
+        const existing = results.find(r => r.source === 'gmail' && r.id === hit.id);
+        if (!existing) {
+          results.push(hit);
+        } else if (hit.rank > existing.rank) {
+          Object.assign(existing, { rank: hit.rank, snippet: hit.snippet, attachment: hit.attachment });
+        } else if (!existing.attachment) {
+          existing.attachment = hit.attachment;
+        }
+      }
+    }
+
+    return results
+      .sort((a, b) => b.rank - a.rank || b.timestamp - a.timestamp)
+      .slice(0, limit);
+  }
+
+  searchSource(source, match, filters, limit) {
+    const { fts, table, weights, timeColumn, hitColumns } = SEARCH_INDEXES[source];
+    const where = [];
+    const params = [];
+
+    if (filters.from) {
+      where.push(`m.${timeColumn} >= ?`);
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push(`m.${timeColumn} <= ?`);
+      params.push(filters.to);
+    }
+    if (filters.sender) {
+      const like = `%${filters.sender}%`;
+      if (source === 'whatsapp') {
+        where.push(`m.sender LIKE ?`);
+        params.push(like);
+      } else if (source === 'gmail') {
+        where.push(`(m.from_name LIKE ? OR m.from_email LIKE ?)`);
+        params.push(like, like);
+      }
+    }
+    if (filters.chat && source === 'whatsapp') {
+      where.push(`(m.chat_id = ? OR m.chat_name LIKE ?)`);
+      params.push(filters.chat, `%${filters.chat}%`);
+    }
+
+    const rows = this.queryRankedMatches({
+      fts,
+      join: `JOIN ${table} m ON m.rowid = ${fts}.docid`,
+      columns: hitColumns.map(c => `m.${c}`).join(', '),
+      match, where, params, weights, timeColumn, limit
+    });
+
+    return rows.map(r => {
+      const hit = {
+        source,
+        id: r.id,
+        snippet: r.hit_snippet,
+        rank: r.hit_rank,
+        timestamp: r[timeColumn]
+      };
+
+      if (source === 'whatsapp') {
+        hit.title = r.chat_name;
+        hit.sender = r.from_me ? 'You' : r.sender;
+        hit.chatId = r.chat_id;
+        hit.chatName = r.chat_name;
+      } else if (source === 'gmail') {
+        hit.title = r.subject || '(no subject)';
+        hit.sender = r.from_name || r.from_email;
+        hit.threadId = r.thread_id;
+        hit.accountId = r.account_id;
+      } else {
+        hit.title = r.title || 'Untitled';
+        hit.url = r.url;
+      }
+
+      return hit;
+    });
+  }
+
+  // Gmail hits for emails whose attachments match, with the attachment's
+  // filename and a snippet of its text
+  searchGmailAttachments(match, filters, limit) {
+    const { fts, table, weights } = ATTACHMENT_SEARCH_INDEX;
+    const where = [];
+    const params = [];
+
+    if (filters.from) {
+      where.push(`m.timestamp >= ?`);
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push(`m.timestamp <= ?`);
+      params.push(filters.to);
+    }
+    if (filters.sender) {
+      where.push(`(m.from_name LIKE ? OR m.from_email LIKE ?)`);
+      params.push(`%${filters.sender}%`, `%${filters.sender}%`);
+    }
+
+    const rows = this.queryRankedMatches({
+      fts,
+      join: `JOIN ${table} a ON a.rowid = ${fts}.docid JOIN gmail_messages m ON m.id = a.message_id`,
+      columns: [...SEARCH_INDEXES.gmail.hitColumns.map(c => `m.${c}`), 'a.id AS attachment_id', 'a.filename AS attachment_filename'].join(', '),
+      match, where, params, weights, timeColumn: 'timestamp', limit
+    });
+
+    return rows.map(r => ({
+      source: 'gmail',
+      id: r.id,
+      snippet: r.hit_snippet,
+      rank: r.hit_rank,
+      timestamp: r.timestamp,
+      title: r.subject || '(no subject)',
+      sender: r.from_name || r.from_email,
+      threadId: r.thread_id,
+      accountId: r.account_id,
+      attachment: { id: r.attachment_id, filename: r.attachment_filename }
+    }));
+  }
+
+  // The best `limit` rows for a full-text query, best first, with a snippet
+  // and rank for each. Rows are ranked by search_rank in a subquery first,
+  // so snippets are only built for the rows returned however many match.
+  // join brings in the content table as m; where and params are extra
+  // conditions on top of the MATCH.
+  queryRankedMatches({ fts, join, columns, match, where, params, weights, timeColumn, limit }) {
+    const rank = `search_rank(matchinfo(${fts}, 'pcx'), ?)`;
+    return this.queryAll(`
+      SELECT ${columns},
+        snippet(${fts}, ?, ?, '…', -1, 16) AS hit_snippet,
+        ${rank} AS hit_rank
+      FROM ${fts} ${join}
+      WHERE ${fts} MATCH ? AND ${fts}.docid IN (
+        SELECT ${fts}.docid FROM ${fts} ${join}
+        WHERE ${[`${fts} MATCH ?`, ...where].join(' AND ')}
+        ORDER BY ${rank} DESC, m.${timeColumn} DESC
+        LIMIT ?
+      )
+      ORDER BY hit_rank DESC, m.${timeColumn} DESC
+    `, [HIGHLIGHT_START, HIGHLIGHT_END, weights.join(','), match, match, ...params, weights.join(','), limit]);
+  }
+
+  // Fetch full rows for one source by id, e.g. to expand search hits
+  getRecordsByIds(source, ids) {
+    const { table } = SEARCH_INDEXES[source];
+    if (!ids || ids.length === 0) return [];
+    const placeholders = ids.map(() => '?').join(', ');
+    return this.queryAll(`SELECT * FROM ${table} WHERE id IN (${placeholders})`, ids);
+  }
+
+  // Most recent rows for one source, optionally within [from, to]
+  getRecentRecords(source, { from, to, limit = 50 } = {}) {
+    const { table, timeColumn } = SEARCH_INDEXES[source];
+    const where = [];
+    const params = [];
+    if (from) {
+      where.push(`${timeColumn} >= ?`);
+      params.push(from);
+    }
+    if (to) {
+      where.push(`${timeColumn} <= ?`);
+      params.push(to);
+    }
+    params.push(limit);
+
+    return this.queryAll(`
+      SELECT * FROM ${table}
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY ${timeColumn} DESC
+      LIMIT ?
+    `, params);
+  }
+
   // Sync log methods
-  updateSyncLog(source, recordsSynced) {
+  // One row per sync run. startedAt (unix seconds) and fullSync describe the
+  // run; accountId which account it synced, for sources with several (Gmail).
+  updateSyncLog(source, recordsSynced, { startedAt = null, fullSync = false, accountId = null } = {}) {
+    this.addSyncLogEntry(source, { startedAt, fullSync, accountId, recordsSynced, status: 'success' });
+  }
+
+  recordSyncFailure(source, error, { startedAt = null, fullSync = false, accountId = null } = {}) {
+    this.addSyncLogEntry(source, { startedAt, fullSync, accountId, recordsSynced: 0, status: 'error', error });
+  }
+
+  addSyncLogEntry(source, { startedAt, fullSync, accountId = null, recordsSynced, status, error = null }) {
+    const now = Math.floor(Date.now() / 1000);
+    this.transaction(() => {
+      this.runSql(`
+        INSERT INTO sync_log (source, account_id, started_at, last_sync_at, records_synced, full_sync, status, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [source, accountId, startedAt || now, now, recordsSynced, fullSync ? 1 : 0, status, error]);
+
+      // Keep the most recent SYNC_LOG_KEEP runs per source and account
+      this.runSql(`
+        DELETE FROM sync_log WHERE source = ? AND account_id IS ? AND id NOT IN (
+          SELECT id FROM sync_log WHERE source = ? AND account_id IS ? ORDER BY id DESC LIMIT ?
+        )
+      `, [source, accountId, source, accountId, SYNC_LOG_KEEP]);
+      this.save();
+    });
+  }
+
+  // Time of the last successful sync, of one account if accountId is given
+  getLastSyncTime(source, accountId = null) {
+    const row = this.queryOne(`
+      SELECT MAX(last_sync_at) AS last_sync_at FROM sync_log
+      WHERE source = ? AND status = 'success' ${accountId ? 'AND account_id = ?' : ''}
+    `, accountId ? [source, accountId] : [source]);
+    return row ? row.last_sync_at : null;
+  }
+
+  // Most recent runs first
+  getSyncHistory(source, limit = 20) {
+    return this.queryAll(`
+      SELECT * FROM sync_log WHERE source = ? ORDER BY id DESC LIMIT ?
+    `, [source, limit]);
+  }
+
+  // Conversation methods
+  createConversation(id, title, scope) {
+    this.runSql(`
+      INSERT INTO conversations (id, title, scope) VALUES (?, ?, ?)
+    `, [id, title, scope]);
+    this.save();
+    return this.getConversation(id);
+  }
+
+  getConversation(id) {
+    return this.queryOne(`SELECT * FROM conversations WHERE id = ?`, [id]);
+  }
+
+  // Most recently used first, with a message count for the history list
+  getConversations(limit = 50) {
+    return this.queryAll(`
+      SELECT c.id, c.title, c.scope, c.created_at, c.updated_at,
+        (SELECT COUNT(*) FROM conversation_messages m WHERE m.conversation_id = c.id) AS message_count
+      FROM conversations c
+      ORDER BY c.updated_at DESC
+      LIMIT ?
+    `, [limit]);
+  }
+
+  // Messages oldest first; sources and citations are stored as JSON
+  getConversationMessages(conversationId, afterId = 0) {
+    return this.queryAll(`
+      SELECT * FROM conversation_messages
+      WHERE conversation_id = ? AND id > ?
+      ORDER BY id ASC
+    `, [conversationId, afterId]).map(m => ({
+      ...m,
+      sources: m.sources ? JSON.parse(m.sources) : [],
+      citations: m.citations ? JSON.parse(m.citations) : {}
+    }));
+  }
+
+  addConversationMessage(conversationId, role, content, { sources, citations, scope } = {}) {
     const now = Math.floor(Date.now() / 1000);
+    let id;
+    this.transaction(() => {
+      this.runSql(`
+        INSERT INTO conversation_messages (conversation_id, role, content, sources, citations, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        conversationId,
+        role,
+        content,
+        sources ? JSON.stringify(sources) : null,
+        citations ? JSON.stringify(citations) : null,
+        now
+      ]);
+      id = this.queryOne(`SELECT last_insert_rowid() AS id`).id;
+
+      if (scope) {
+        this.runSql(`UPDATE conversations SET updated_at = ?, scope = ? WHERE id = ?`, [now, scope, conversationId]);
+      } else {
+        this.runSql(`UPDATE conversations SET updated_at = ? WHERE id = ?`, [now, conversationId]);
+      }
+      this.save();
+    });
+    return id;
+  }
+
+  setConversationSummary(conversationId, summary, summarizedThrough) {
+    this.runSql(`
+      UPDATE conversations SET summary = ?, summarized_through = ? WHERE id = ?
+    `, [summary, summarizedThrough, conversationId]);
+    this.save();
+  }
+
+  renameConversation(id, title) {
+    this.runSql(`UPDATE conversations SET title = ? WHERE id = ?`, [title, id]);
+    this.save();
+  }
+
+  deleteConversation(id) {
+    this.transaction(() => {
+      this.runSql(`DELETE FROM conversation_messages WHERE conversation_id = ?`, [id]);
+      this.runSql(`DELETE FROM conversations WHERE id = ?`, [id]);
+      this.save();
+    });
+  }
+
+  // Action item methods
+  upsertActionItem(item) {
+    const now = Math.floor(Date.now() / 1000);
+    this.runSql(`
+      INSERT INTO action_items (id, source, sources, text, verb, person, topic, due_date, source_message_ids, confidence, created_at, updated_at, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        sources = excluded.sources,
+        text = excluded.text,
+        verb = excluded.verb,
+        person = excluded.person,
+        topic = excluded.topic,
+        due_date = excluded.due_date,
+        source_message_ids = excluded.source_message_ids,
+        confidence = excluded.confidence,
+        updated_at = excluded.updated_at,
+        last_seen_at = excluded.last_seen_at
+    `, [
+      item.id,
+      item.source,
+      JSON.stringify(item.sources || [item.source]),
+      item.text,
+      item.verb,
+      item.person,
+      item.topic,
+      item.dueDate,
+      JSON.stringify(item.sourceMessageIds || []),
+      item.confidence,
+      now,
+      now,
+      item.lastSeenAt || now
+    ]);
+    this.save();
+  }
+
+  // Note that itemCount action items were generated for source at
+  // refreshedAt (unix seconds)
+  setActionItemRefresh(source, refreshedAt, itemCount) {
     this.runSql(`
-      INSERT OR REPLACE INTO sync_log (source, last_sync_at, records_synced)
+      INSERT OR REPLACE INTO action_item_refreshes (source, refreshed_at, item_count)
       VALUES (?, ?, ?)
-    `, [source, now, recordsSynced]);
+    `, [source, refreshedAt, itemCount]);
     this.save();
   }
 
-  getLastSyncTime(source) {
-    const row = this.queryOne(`SELECT last_sync_at FROM sync_log WHERE source = ?`, [source]);
-    return row ? row.last_sync_at : null;
+  // Unix seconds of the last time action items were generated for source
+  getActionItemRefreshTime(source) {
+    const row = this.queryOne(`SELECT refreshed_at FROM action_item_refreshes WHERE source = ?`, [source]);
+    return row ? row.refreshed_at : null;
+  }
+
+  // Action items found in one source (or every source when null), optionally
+  // limited to the given statuses. current keeps only items the latest
+  // refresh of that source produced, or whose status has changed since it
+  // (reopened, or back from a snooze), so items Claude no longer finds drop out.
+  getActionItems(source, { statuses = null, current = false } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (current) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM json_each(action_items.sources) AS s
+        JOIN action_item_refreshes AS r ON r.source = s.value
+        WHERE ${source ? 's.value = ? AND ' : ''}(action_items.last_seen_at >= r.refreshed_at OR action_items.status_changed_at >= r.refreshed_at)
+      )`);
+      if (source) params.push(source);
+    } else if (source) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(action_items.sources) WHERE value = ?)');
+      params.push(source);
+    }
+    if (statuses) {
+      conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.queryAll(`
+      SELECT * FROM action_items
+      ${where}
+      ORDER BY (due_date IS NULL), due_date ASC, confidence DESC
+    `, params).map(row => this.parseActionItem(row));
+  }
+
+  getActionItem(id) {
+    const row = this.queryOne(`SELECT * FROM action_items WHERE id = ?`, [id]);
+    return row ? this.parseActionItem(row) : null;
+  }
+
+  parseActionItem(row) {
+    return {
+      ...row,
+      sources: row.sources ? JSON.parse(row.sources) : [row.source],
+      source_message_ids: row.source_message_ids ? JSON.parse(row.source_message_ids) : []
+    };
+  }
+
+  // Change an item's status and record the change in action_item_events
+  setActionItemStatus(id, fromStatus, toStatus, { snoozedUntil = null, actor = 'user' } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    this.transaction(() => {
+      this.runSql(`
+        UPDATE action_items SET
+          status = ?,
+          status_changed_at = ?,
+          snoozed_until = ?,
+          completed_at = CASE WHEN ? = 'done' THEN ? ELSE NULL END,
+          dismissed_at = CASE WHEN ? = 'dismissed' THEN ? ELSE NULL END
+        WHERE id = ?
+      `, [toStatus, now, snoozedUntil, toStatus, now, toStatus, now, id]);
+
+      this.addActionItemEvent(id, fromStatus, toStatus, { snoozedUntil, actor });
+    });
+  }
+
+  addActionItemEvent(itemId, fromStatus, toStatus, { snoozedUntil = null, actor = 'user' } = {}) {
+    this.runSql(`
+      INSERT INTO action_item_events (item_id, from_status, to_status, snoozed_until, actor, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [itemId, fromStatus, toStatus, snoozedUntil, actor, Math.floor(Date.now() / 1000)]);
+    this.save();
+  }
+
+  getActionItemEvents(id) {
+    return this.queryAll(`
+      SELECT * FROM action_item_events WHERE item_id = ? ORDER BY id ASC
+    `, [id]);
+  }
+
+  // Retention methods
+
+  // Check a policy from the settings page. Throws on an invalid value.
+  normalizeRetention(policy = {}) {
+    const retention = { ...DEFAULT_RETENTION };
+    for (const source of Object.keys(RETENTION_TARGETS)) {
+      if (!(source in policy)) continue;
+      const days = policy[source];
+      if (days === null) {
+        retention[source] = null;
+      } else if (Number.isInteger(days) && days > 0) {
+        retention[source] = days;
+      } else {
+        throw new Error(`Invalid retention for ${source}: expected a positive number of days or null`);
+      }
+    }
+    return retention;
+  }
+
+  // A stored policy. An invalid value, e.g. from a hand-edited config, falls
+  // back to that source's default instead of stopping the app from starting.
+  loadRetention(policy) {
+    const retention = { ...DEFAULT_RETENTION };
+    if (!policy || typeof policy !== 'object') return retention;
+
+    for (const source of Object.keys(RETENTION_TARGETS)) {
+      if (!(source in policy)) continue;
+      try {
+        retention[source] = this.normalizeRetention({ [source]: policy[source] })[source];
+      } catch (error) {
+        console.warn(`${error.message}, using the default`);
+      }
+    }
+    return retention;
+  }
+
+  getRetentionPolicy() {
+    return { ...this.retention };
+  }
+
+  // Unix seconds before which a source's rows are pruned, or null if they're
+  // kept forever. Syncs skip anything older so they don't store what
+  // applyRetention would delete straight away.
+  getRetentionCutoff(source) {
+    const days = this.retention[source];
+    return days === null ? null : Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
+  }
+
+  setRetentionPolicy(policy) {
+    this.retention = this.normalizeRetention({ ...this.retention, ...policy });
+    return this.applyRetention();
+  }
+
+  // Delete rows older than each source's retention window, then VACUUM so the
+  // exported database file actually shrinks
+  applyRetention(sources = Object.keys(RETENTION_TARGETS)) {
+    if (!this.db) return null;
+
+    const list = Array.isArray(sources) ? sources : [sources];
+    const now = Math.floor(Date.now() / 1000);
+    const removed = {};
+    let totalRemoved = 0;
+
+    for (const source of list) {
+      const target = RETENTION_TARGETS[source];
+      const cutoff = target ? this.getRetentionCutoff(source) : null;
+      if (cutoff === null) continue;
+
+      this.runSql(`DELETE FROM ${target.table} WHERE ${target.column} < ?`, [cutoff]);
+      removed[source] = this.db.getRowsModified();
+      totalRemoved += removed[source];
+
+      if (source === 'whatsapp') {
+        // Drop chats that went quiet before the cutoff and have nothing left
+        this.runSql(`
+          DELETE FROM whatsapp_chats
+          WHERE last_message_at < ?
+            AND id NOT IN (SELECT DISTINCT chat_id FROM whatsapp_messages)
+        `, [cutoff]);
+      }
+    }
+
+    // Threads and attachments belong to messages, so tidy up after any removed
+    if (list.includes('gmail')) {
+      this.runSql(`DELETE FROM gmail_attachments WHERE message_id NOT IN (SELECT id FROM gmail_messages)`);
+      this.refreshGmailThreads();
+    }
+
+    if (totalRemoved > 0) {
+      this.db.run('VACUUM');
+      this.rebuildSearchIndex();
+      this.save();
+    }
+
+    this.lastPrune = {
+      at: now,
+      removed,
+      totalRemoved,
+      vacuumed: totalRemoved > 0
+    };
+
+    if (totalRemoved > 0) {
+      console.log(`Retention: pruned ${totalRemoved} rows`, removed);
+    }
+
+    return this.lastPrune;
   }
 
   // Stats
@@ -339,13 +1421,20 @@ class DatabaseService {
     return {
       whatsapp: whatsappCount ? whatsappCount.count : 0,
       gmail: gmailCount ? gmailCount.count : 0,
-      notion: notionCount ? notionCount.count : 0
+      notion: notionCount ? notionCount.count : 0,
+      retention: this.getRetentionPolicy(),
+      lastPrune: this.lastPrune,
+      schemaVersion: this.getSchemaVersion(),
+      persistence: {
+        fileWrites: this.writeCount,
+        pendingWrite: this.dirty
+      }
     };
   }
 
   close() {
     if (this.db) {
-      this.save();
+      this.flush();
       this.db.close();
       this.db = null;
     }
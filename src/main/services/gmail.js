@@ -1,9 +1,74 @@
 const { google } = require('googleapis');
 const { shell } = require('electron');
 const http = require('http');
-const url = require('url');
-
-const REDIRECT_URI = 'http://localhost:3000/oauth2callback';
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { extractBody, extractHeadlines, findAttachments } = require('./mime');
+const { canExtractText, extractText } = require('./attachments');
+const {
+  BUILT_IN_CATEGORIES,
+  FALLBACK_CATEGORY,
+  RULE_FIELDS,
+  defaultCategorization,
+  normalizeCategorization,
+  createCategorizer
+} = require('./categories');
+const { normalizePublicationSetting, groupByPublication } = require('./newsletters');
+const { emitSyncProgress } = require('./progress');
+
+// Google sends the browser back to this path on a loopback server with a
+// free port, which Desktop app OAuth clients accept without registering it
+const CALLBACK_PATH = '/oauth2callback';
+
+// How long a sign-in may wait for the browser
+const AUTH_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Most recent threads included in a summary, and the latest messages
+// included from each
+const SUMMARY_THREAD_LIMIT = 50;
+const SUMMARY_THREAD_MESSAGES = 5;
+
+const SUMMARY_PERIODS = {
+  today: 'Today',
+  week: 'Last 7 Days',
+  month: 'Last 30 Days',
+  all: 'All Synced Email'
+};
+
+// Message downloads in flight at once during a sync
+const FETCH_CONCURRENCY = 10;
+
+// Retries for rate-limited (429, or 403 with a rate limit reason) and 5xx
+// responses, backing off exponentially from RETRY_BASE_MS unless the server
+// sends Retry-After
+const MAX_RETRIES = 5;
+const RETRY_BASE_MS = 500;
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+// Headers a metadata fetch asks for
+const METADATA_HEADERS = ['From', 'To', 'Subject', 'Date'];
+
+// Attachments larger than this are indexed by name only, not downloaded for
+// their text
+const MAX_EXTRACT_BYTES = 10 * 1024 * 1024;
+
+// Reply tracking (see getReplyState). A thread waiting on a reply is overdue
+// after REPLY_OVERDUE_DAYS, and one that's been quiet for REPLY_CLOSED_DAYS
+// is treated as closed.
+const REPLY_OVERDUE_DAYS = {
+  waiting_on_me: 2,
+  waiting_on_them: 5
+};
+const REPLY_CLOSED_DAYS = 21;
+
+// Mail nobody expects a reply to
+const NO_REPLY_CATEGORIES = ['newsletters', 'promotions', 'social', 'updates'];
+const NO_REPLY_SENDER = /no-?reply|do-?not-?reply|notifications?@|mailer-daemon/i;
+
+// Id of the account connected before several accounts were supported; rows
+// synced back then are tagged with it (migration 11)
+const LEGACY_ACCOUNT_ID = 'primary';
 
 const SCOPES = [
   'https://www.googleapis.com/auth/gmail.readonly',
@@ -15,35 +80,184 @@ class GmailService {
     this.store = store;
     this.mainWindow = mainWindow;
     this.db = database;
-    this.oauth2Client = null;
+    // { cancel } while a sign-in is waiting on the browser
+    this.pendingAuth = null;
+    // Built from the categorization settings when first needed
+    this.categorizer = null;
 
-    // Initialize OAuth client with stored credentials
-    this.initializeOAuthClient();
+    this.migrateLegacyAccount();
   }
 
-  initializeOAuthClient() {
-    const clientId = this.store.get('gmail.clientId');
-    const clientSecret = this.store.get('gmail.clientSecret');
+  // Before several accounts were supported the tokens and sync state sat
+  // directly under gmail.*; move them into gmail.accounts
+  migrateLegacyAccount() {
+    const tokens = this.store.get('gmail.tokens');
+    if (!tokens || this.store.has('gmail.accounts')) return;
+
+    this.store.set('gmail.accounts', {
+      [LEGACY_ACCOUNT_ID]: {
+        email: null,
+        tokens,
+        historyId: this.store.get('gmail.historyId') || null,
+        labelCounts: this.store.get('gmail.labelCounts') || {},
+        addedAt: Date.now()
+      }
+    });
+    this.store.delete('gmail.tokens');
+    this.store.delete('gmail.historyId');
+    this.store.delete('gmail.labelCounts');
+    this.updateAuthenticated();
+  }
 
-    if (clientId && clientSecret) {
-      this.oauth2Client = new google.auth.OAuth2(
-        clientId,
-        clientSecret,
-        REDIRECT_URI
-      );
+  // An OAuth client for the shared app credentials. With accountId it's
+  // signed in as that account and saves refreshed tokens back to it;
+  // redirectUri is only needed to sign in.
+  createOAuthClient(accountId = null, redirectUri = undefined) {
+    const options = {
+      clientId: this.store.get('gmail.clientId'),
+      clientSecret: this.store.get('gmail.clientSecret'),
+      redirectUri
+    };
+    // Lets sign-in run against a local fake authorization server
+    if (process.env.GMAIL_OAUTH_BASE_URL) {
+      options.endpoints = {
+        oauth2AuthBaseUrl: `${process.env.GMAIL_OAUTH_BASE_URL}/auth`,
+        oauth2TokenUrl: `${process.env.GMAIL_OAUTH_BASE_URL}/token`
+      };
+    }
+    const oauth2Client = new google.auth.OAuth2(options);
 
-      // Load saved tokens if available
-      const tokens = this.store.get('gmail.tokens');
+    if (accountId) {
+      const tokens = this.getAccount(accountId)?.tokens;
       if (tokens) {
-        this.oauth2Client.setCredentials(tokens);
+        oauth2Client.setCredentials(tokens);
       }
 
       // Handle token refresh
-      this.oauth2Client.on('tokens', (tokens) => {
-        const currentTokens = this.store.get('gmail.tokens', {});
-        this.store.set('gmail.tokens', { ...currentTokens, ...tokens });
+      oauth2Client.on('tokens', (tokens) => {
+        if (!this.getAccount(accountId)) return;
+        const currentTokens = this.getAccount(accountId).tokens || {};
+        this.updateAccount(accountId, { tokens: { ...currentTokens, ...tokens } });
       });
     }
+
+    return oauth2Client;
+  }
+
+  // Account methods. Each account is stored under gmail.accounts by an id of
+  // our own: { email, tokens, historyId, labelCounts, addedAt }.
+
+  getAccount(accountId) {
+    return this.store.get('gmail.accounts', {})[accountId] || null;
+  }
+
+  updateAccount(accountId, changes) {
+    const accounts = this.store.get('gmail.accounts', {});
+    accounts[accountId] = { ...accounts[accountId], ...changes };
+    this.store.set('gmail.accounts', accounts);
+    this.updateAuthenticated();
+  }
+
+  // Ids of the accounts we hold tokens for, oldest first
+  getConnectedAccountIds() {
+    return Object.entries(this.store.get('gmail.accounts', {}))
+      .filter(([, account]) => account.tokens)
+      .sort((a, b) => (a[1].addedAt || 0) - (b[1].addedAt || 0))
+      .map(([id]) => id);
+  }
+
+  // Link to a thread in Gmail on the web, signed in as the account it's in
+  threadUrl(accountId, threadId) {
+    const email = this.getAccount(accountId)?.email;
+    const authuser = email ? `?authuser=${encodeURIComponent(email)}` : '';
+    return `https://mail.google.com/mail/${authuser}#all/${threadId}`;
+  }
+
+  /**
+   * The accounts for the setup page and account picker:
+   * [{ id, email, connected, lastSyncedAt }], oldest first.
+   */
+  getAccounts() {
+    return Object.entries(this.store.get('gmail.accounts', {}))
+      .sort((a, b) => (a[1].addedAt || 0) - (b[1].addedAt || 0))
+      .map(([id, account]) => {
+        const lastSync = this.db ? this.db.getLastSyncTime('gmail', id) : null;
+        return {
+          id,
+          email: account.email,
+          connected: !!account.tokens,
+          lastSyncedAt: lastSync ? new Date(lastSync * 1000).toISOString() : null
+        };
+      });
+  }
+
+  // gmail.authenticated stays the "is Gmail connected" flag the rest of the
+  // app checks: true while any account is connected
+  updateAuthenticated() {
+    this.store.set('gmail.authenticated', this.getConnectedAccountIds().length > 0);
+  }
+
+  // Remove an account along with everything synced from it
+  removeAccount(accountId) {
+    const accounts = this.store.get('gmail.accounts', {});
+    if (!accounts[accountId]) {
+      return { error: 'Account not found' };
+    }
+
+    delete accounts[accountId];
+    this.store.set('gmail.accounts', accounts);
+    if (this.store.get('gmail.accountView') === accountId) {
+      this.store.delete('gmail.accountView');
+    }
+    this.updateAuthenticated();
+
+    if (this.db) {
+      this.db.deleteGmailAccountData(accountId);
+    }
+    return { success: true };
+  }
+
+  // Sign every account out, keeping the accounts and their synced mail so
+  // reconnecting picks up where it left off
+  disconnectAll() {
+    const accounts = this.store.get('gmail.accounts', {});
+    for (const account of Object.values(accounts)) {
+      account.tokens = null;
+      account.historyId = null;
+    }
+    this.store.set('gmail.accounts', accounts);
+    this.updateAuthenticated();
+  }
+
+  // The account a new sign-in belongs to: the existing one with that address,
+  // so reconnecting an account doesn't add it twice, or a new id
+  accountIdForEmail(email) {
+    const accounts = this.store.get('gmail.accounts', {});
+    const existing = Object.keys(accounts).find(id =>
+      accounts[id].email && accounts[id].email.toLowerCase() === email.toLowerCase()
+    );
+    if (existing) return existing;
+
+    let id;
+    do {
+      id = Math.random().toString(36).slice(2, 10);
+    } while (accounts[id]);
+    return id;
+  }
+
+  // Look up the address of accounts that don't have one yet (the legacy
+  // account until its first sync), so accountIdForEmail can match them
+  async fillMissingEmails() {
+    for (const accountId of this.getConnectedAccountIds()) {
+      if (this.getAccount(accountId).email) continue;
+      try {
+        const gmail = this.getGmailClient(this.createOAuthClient(accountId));
+        const profile = await this.request(() => gmail.users.getProfile({ userId: 'me' }));
+        this.updateAccount(accountId, { email: profile.data.emailAddress });
+      } catch (error) {
+        console.error(`Gmail: could not look up the address of account ${accountId}:`, error.message);
+      }
+    }
   }
 
   isCredentialsConfigured() {
@@ -52,87 +266,175 @@ class GmailService {
     return !!(clientId && clientSecret);
   }
 
+  // Sign in to a Gmail account in the browser and add it, or reconnect it if
+  // it's already added. Resolves { success, accountId, email }; rejects if the
+  // user denies access, cancels (error.cancelled) or doesn't finish in time.
+  //
+  // Google redirects back to a one-off server on a free loopback port. The
+  // state parameter makes that server ignore callbacks this sign-in didn't
+  // start, and PKCE means a code intercepted on the way can't be exchanged by
+  // anyone else. One sign-in runs at a time.
   async authenticate() {
     // Check if credentials are configured
     if (!this.isCredentialsConfigured()) {
       throw new Error('Gmail OAuth credentials not configured. Please enter your Client ID and Client Secret.');
     }
 
-    // Reinitialize OAuth client in case credentials were just set
-    this.initializeOAuthClient();
+    if (this.pendingAuth) {
+      throw new Error('A Gmail sign-in is already in progress. Finish it in your browser or cancel it.');
+    }
 
     return new Promise((resolve, reject) => {
-      // Create a local server to handle the OAuth callback
+      const state = crypto.randomBytes(32).toString('hex');
+      let oauth2Client = null;
+      let codeVerifier = null;
+      // Set once a callback with our state arrives, so it's only acted on once
+      let answered = false;
+      let finished = false;
+      let timer = null;
+
       const server = http.createServer(async (req, res) => {
+        const requestUrl = new URL(req.url, 'http://127.0.0.1');
+        if (requestUrl.pathname !== CALLBACK_PATH) {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+
+        const params = requestUrl.searchParams;
+        if (answered || !codeVerifier || params.get('state') !== state) {
+          this.sendAuthPage(res, 400, false, 'This sign-in link is not valid or has already been used. Start again from MyBrain.');
+          return;
+        }
+        answered = true;
+
+        const denied = params.get('error');
+        if (denied) {
+          const message = denied === 'access_denied'
+            ? 'Access to Gmail was denied.'
+            : `Google sign-in failed: ${denied}`;
+          this.sendAuthPage(res, 400, false, message);
+          finish(new Error(message));
+          return;
+        }
+
         try {
-          const queryParams = new url.URL(req.url, 'http://localhost:3000').searchParams;
-          const code = queryParams.get('code');
-
-          if (code) {
-            // Exchange code for tokens
-            const { tokens } = await this.oauth2Client.getToken(code);
-            this.oauth2Client.setCredentials(tokens);
-
-            // Save tokens
-            this.store.set('gmail.tokens', tokens);
-            this.store.set('gmail.authenticated', true);
-
-            res.writeHead(200, { 'Content-Type': 'text/html' });
-            res.end(`
-              <html>
-                <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: #1a1a2e; color: white;">
-                  <div style="text-align: center;">
-                    <h1>✓ Gmail Connected!</h1>
-                    <p>You can close this window and return to the app.</p>
-                  </div>
-                </body>
-              </html>
-            `);
-
-            server.close();
-
-            // Notify renderer
-            this.mainWindow.webContents.send('gmail-auth-success');
-            resolve({ success: true });
+          const code = params.get('code');
+          if (!code) {
+            throw new Error('Google did not return an authorization code.');
           }
+
+          // Exchange code for tokens
+          const { tokens } = await oauth2Client.getToken({ code, codeVerifier });
+          oauth2Client.setCredentials(tokens);
+
+          // Which mailbox this is decides whether it's a new account
+          const profile = await this.request(() => this.getGmailClient(oauth2Client).users.getProfile({ userId: 'me' }));
+          const email = profile.data.emailAddress;
+          await this.fillMissingEmails();
+          const accountId = this.accountIdForEmail(email);
+          const existing = this.getAccount(accountId);
+
+          // Save tokens
+          this.updateAccount(accountId, {
+            email,
+            tokens,
+            addedAt: existing?.addedAt || Date.now()
+          });
+
+          this.sendAuthPage(res, 200, true, `${email} is connected. You can close this window and return to the app.`);
+
+          // Notify renderer
+          this.mainWindow.webContents.send('gmail-auth-success', { accountId, email });
+          finish(null, { success: true, accountId, email });
         } catch (error) {
-          res.writeHead(500, { 'Content-Type': 'text/html' });
-          res.end(`
-            <html>
-              <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: #1a1a2e; color: #ff6b6b;">
-                <div style="text-align: center;">
-                  <h1>✗ Authentication Failed</h1>
-                  <p>${error.message}</p>
-                </div>
-              </body>
-            </html>
-          `);
-          server.close();
-          reject(error);
+          this.sendAuthPage(res, 500, false, error.message);
+          finish(error);
         }
       });
 
-      server.listen(3000, () => {
-        // Generate auth URL and open in browser
-        const authUrl = this.oauth2Client.generateAuthUrl({
-          access_type: 'offline',
-          scope: SCOPES,
-          prompt: 'consent'
-        });
+      const finish = (error, result) => {
+        if (finished) return;
+        finished = true;
+        this.pendingAuth = null;
+        clearTimeout(timer);
+        server.close();
+        server.closeIdleConnections();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
 
-        shell.openExternal(authUrl);
+      this.pendingAuth = {
+        cancel: () => {
+          const error = new Error('Gmail sign-in was cancelled.');
+          error.cancelled = true;
+          finish(error);
+        }
+      };
+
+      server.on('error', finish);
+      server.listen(0, '127.0.0.1', async () => {
+        try {
+          const { port } = server.address();
+          oauth2Client = this.createOAuthClient(null, `http://127.0.0.1:${port}${CALLBACK_PATH}`);
+          const pkce = await oauth2Client.generateCodeVerifierAsync();
+          codeVerifier = pkce.codeVerifier;
+          if (finished) return;
+
+          const authUrl = oauth2Client.generateAuthUrl({
+            access_type: 'offline',
+            scope: SCOPES,
+            // Let the user pick which Google account to add
+            prompt: 'consent select_account',
+            state,
+            code_challenge_method: 'S256',
+            code_challenge: pkce.codeChallenge
+          });
+          await shell.openExternal(authUrl);
+        } catch (error) {
+          finish(error);
+        }
       });
 
-      // Timeout after 5 minutes
-      setTimeout(() => {
-        server.close();
-        reject(new Error('Authentication timed out'));
-      }, 300000);
+      timer = setTimeout(() => finish(new Error('Authentication timed out')), AUTH_TIMEOUT_MS);
     });
   }
 
+  // Stop a sign-in that's waiting on the browser. Returns whether one was.
+  cancelAuthentication() {
+    if (!this.pendingAuth) return false;
+    this.pendingAuth.cancel();
+    return true;
+  }
+
+  // The page the browser lands on after signing in
+  sendAuthPage(res, status, success, message) {
+    const safeMessage = String(message).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    res.writeHead(status, { 'Content-Type': 'text/html', Connection: 'close' });
+    res.end(`
+      <html>
+        <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: #1a1a2e; color: ${success ? 'white' : '#ff6b6b'};">
+          <div style="text-align: center;">
+            <h1>${success ? '✓ Gmail Connected!' : '✗ Authentication Failed'}</h1>
+            <p>${safeMessage}</p>
+          </div>
+        </body>
+      </html>
+    `);
+  }
+
+  // A full sync stores the last 30 days of the inbox and remembers the
+  // mailbox's historyId. Incremental syncs then replay users.history.list from
+  // that point - new and deleted messages plus label changes such as
+  // read/unread or archived - and fall back to a full resync once Gmail no
+  // longer has history that old. Each connected account syncs in turn, with
+  // its own history and sync log; the sync only fails if every account does.
   async syncToDatabase(fullSync = false) {
-    if (!this.store.get('gmail.authenticated')) {
+    const accountIds = this.getConnectedAccountIds();
+    if (accountIds.length === 0) {
       return { error: 'Not authenticated' };
     }
 
@@ -140,294 +442,783 @@ class GmailService {
       return { error: 'Database not initialized' };
     }
 
+    const results = [];
+    for (const accountId of accountIds) {
+      results.push({ accountId, ...await this.syncAccount(accountId, fullSync) });
+    }
+
+    const succeeded = results.filter(r => r.success);
+    if (succeeded.length === 0) {
+      return { error: results.map(r => r.error).join('; '), accounts: results };
+    }
+
+    const total = (key) => succeeded.reduce((sum, r) => sum + (r[key] || 0), 0);
+    return {
+      success: true,
+      newEmails: total('newEmails'),
+      deleted: total('deleted'),
+      labelChanges: total('labelChanges'),
+      errors: total('errors'),
+      isIncremental: succeeded.every(r => r.isIncremental),
+      accounts: results
+    };
+  }
+
+  async syncAccount(accountId, fullSync = false) {
+    const account = this.getAccount(accountId);
+    const startedAt = Math.floor(Date.now() / 1000);
+    emitSyncProgress(this.mainWindow, 'gmail', { phase: 'started', accountId, fullSync, done: 0, total: null });
+
     try {
-      const gmail = google.gmail({ version: 'v1', auth: this.oauth2Client });
-
-      // Get last sync time for incremental sync
-      const lastSyncTime = this.db.getLastSyncTime('gmail');
-      const monthAgo = Math.floor(Date.now() / 1000) - (30 * 24 * 60 * 60);
-
-      // Build query: get emails from last month (or since last sync for incremental)
-      let query = 'in:inbox newer_than:30d';
-      if (!fullSync && lastSyncTime) {
-        // Gmail uses seconds since epoch for after:
-        const afterDate = new Date(lastSyncTime * 1000).toISOString().split('T')[0];
-        query = `in:inbox after:${afterDate}`;
+      const gmail = this.getGmailClient(this.createOAuthClient(accountId));
+
+      const historyId = account.historyId;
+      const isIncremental = !fullSync && !!historyId && !!this.db.getLastSyncTime('gmail', accountId);
+      console.log(`Syncing Gmail account ${account.email || accountId} to database (${isIncremental ? 'incremental' : 'full'} sync)...`);
+
+      let result;
+      if (isIncremental) {
+        try {
+          result = await this.syncHistory(gmail, accountId, historyId);
+        } catch (error) {
+          // Gmail only keeps about a week of history; older ids return 404
+          if (this.statusOf(error) !== 404) throw error;
+          console.log('Gmail history expired, falling back to a full resync');
+          fullSync = true;
+          result = await this.syncFull(gmail, accountId);
+        }
+      } else {
+        result = await this.syncFull(gmail, accountId, fullSync, fullSync);
       }
 
-      const isIncremental = !fullSync && lastSyncTime;
-      console.log(`Syncing Gmail data to database (${isIncremental ? 'incremental' : 'full'} sync)...`);
+      this.updateAccount(accountId, {
+        historyId: result.historyId,
+        ...(result.email ? { email: result.email } : {}),
+        labelCounts: await this.syncLabelCounts(gmail)
+      });
+
+      this.db.updateSyncLog('gmail', result.newEmails, { startedAt, fullSync, accountId });
+      this.db.refreshGmailThreads(result.threadIds);
+      this.db.applyRetention('gmail');
 
-      // Fetch emails
-      const messagesResponse = await gmail.users.messages.list({
+      console.log(`Gmail sync complete: ${result.newEmails} emails stored, ${result.deleted || 0} deleted, ${result.labelChanges || 0} label changes`);
+      emitSyncProgress(this.mainWindow, 'gmail', { phase: 'complete', accountId, fullSync, done: result.fetched, total: result.fetched, errors: result.errors, recordsSynced: result.newEmails });
+      return {
+        success: true,
+        newEmails: result.newEmails,
+        deleted: result.deleted || 0,
+        labelChanges: result.labelChanges || 0,
+        errors: result.errors,
+        isIncremental: isIncremental && !fullSync
+      };
+    } catch (error) {
+      console.error('Gmail sync error:', error);
+
+      // Handle token expiration: the account needs signing in again
+      if (error.code === 401) {
+        this.updateAccount(accountId, { tokens: null });
+      }
+
+      this.db.recordSyncFailure('gmail', error.message, { startedAt, fullSync, accountId });
+      emitSyncProgress(this.mainWindow, 'gmail', { phase: 'error', accountId, fullSync, error: error.message });
+      return { error: error.message };
+    }
+  }
+
+  getGmailClient(auth) {
+    // Retries are handled by request() rather than the client's own retry
+    const options = { version: 'v1', auth, retry: false };
+    // Lets the sync run against a local fake Gmail API server
+    if (process.env.GMAIL_API_ROOT_URL) {
+      options.rootUrl = process.env.GMAIL_API_ROOT_URL;
+    }
+    return google.gmail(options);
+  }
+
+  // With redownload, emails already stored are downloaded in full again, so a
+  // resync the user asks for picks up changes to how bodies are parsed
+  async syncFull(gmail, accountId, fullSync = true, redownload = false) {
+    // Read the historyId before listing, so anything that changes while the
+    // messages download is replayed by the next incremental sync
+    const profile = await this.request(() => gmail.users.getProfile({ userId: 'me' }));
+
+    const ids = [];
+    let pageToken;
+    do {
+      const response = await this.request(() => gmail.users.messages.list({
         userId: 'me',
-        maxResults: isIncremental ? 100 : 500,
-        q: query
-      });
+        maxResults: 500,
+        // Sent mail too, so threads know who replied last
+        q: '{in:inbox in:sent} newer_than:30d',
+        pageToken
+      }));
+      ids.push(...(response.data.messages || []).map(m => m.id));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    // Emails already stored only need their labels refreshed, which the much
+    // smaller metadata format covers; new ones are downloaded in full
+    const known = redownload ? [] : ids.filter(id => this.db.hasGmailMessage(id));
+    const unknown = redownload ? ids : ids.filter(id => !this.db.hasGmailMessage(id));
+
+    const { emails, errors } = await this.fetchMessages(gmail, accountId, unknown, fullSync);
+    const { emails: refreshed, errors: refreshErrors } = await this.fetchMessages(gmail, accountId, known, fullSync, 'metadata');
+
+    emitSyncProgress(this.mainWindow, 'gmail', { phase: 'saving', accountId, fullSync, done: ids.length, total: ids.length, errors: errors + refreshErrors });
+    this.db.transaction(() => {
+      if (emails.length > 0) {
+        this.db.bulkUpsertGmailMessages(emails);
+      }
+      this.db.updateGmailMessageLabels(refreshed.map(e => ({ id: e.id, labels: e.labels })));
+    });
+
+    return {
+      historyId: profile.data.historyId,
+      email: profile.data.emailAddress,
+      threadIds: [...emails, ...refreshed].map(e => e.threadId),
+      newEmails: emails.length,
+      labelChanges: refreshed.length,
+      fetched: ids.length,
+      errors: errors + refreshErrors
+    };
+  }
+
+  async syncHistory(gmail, accountId, startHistoryId) {
+    // What to do with each message, in the order the changes happened:
+    // 'fetch' (new to the inbox), 'delete', or 'labels' with its current labels
+    const changes = new Map();
+    let historyId = startHistoryId;
+    let pageToken;
 
-      const messages = messagesResponse.data.messages || [];
-      let newEmails = 0;
-
-      const emailsToStore = [];
-
-      for (const msg of messages) {
-        const details = await gmail.users.messages.get({
-          userId: 'me',
-          id: msg.id,
-          format: 'full'
-        });
-
-        const headers = details.data.payload.headers;
-        const getHeader = (name) => headers.find(h => h.name === name)?.value || '';
-
-        const from = getHeader('From');
-        const subject = getHeader('Subject');
-        const to = getHeader('To');
-        const dateStr = getHeader('Date');
-        const labels = details.data.labelIds || [];
-
-        // Parse timestamp from date header
-        const timestamp = Math.floor(new Date(dateStr).getTime() / 1000);
-
-        // Extract body text
-        let bodyText = '';
-        if (details.data.payload.body?.data) {
-          bodyText = Buffer.from(details.data.payload.body.data, 'base64').toString('utf-8');
-        } else if (details.data.payload.parts) {
-          const textPart = details.data.payload.parts.find(p => p.mimeType === 'text/plain');
-          if (textPart?.body?.data) {
-            bodyText = Buffer.from(textPart.body.data, 'base64').toString('utf-8');
+    do {
+      const response = await this.request(() => gmail.users.history.list({
+        userId: 'me',
+        startHistoryId,
+        historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+        pageToken
+      }));
+
+      for (const record of response.data.history || []) {
+        for (const { message } of record.messagesAdded || []) {
+          const labels = message.labelIds || [];
+          if (labels.includes('INBOX') || labels.includes('SENT')) {
+            changes.set(message.id, { action: 'fetch' });
           }
         }
 
-        const category = this.categorizeEmail({ from, subject, snippet: details.data.snippet, labels });
-
-        emailsToStore.push({
-          id: msg.id,
-          threadId: details.data.threadId,
-          fromEmail: this.extractEmail(from),
-          fromName: this.extractSenderName(from),
-          toEmail: to,
-          subject,
-          snippet: details.data.snippet,
-          bodyPreview: bodyText.substring(0, 500),
-          timestamp,
-          isUnread: labels.includes('UNREAD'),
-          labels,
-          category
-        });
+        for (const { message } of [...(record.labelsAdded || []), ...(record.labelsRemoved || [])]) {
+          if (changes.get(message.id)?.action === 'fetch') continue;
+          changes.set(message.id, { action: 'labels', labels: message.labelIds || [] });
+        }
+
+        for (const { message } of record.messagesDeleted || []) {
+          changes.set(message.id, { action: 'delete' });
+        }
+      }
+
+      historyId = response.data.historyId || historyId;
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    const toFetch = [];
+    const toDelete = [];
+    const labelUpdates = [];
+
+    for (const [id, change] of changes) {
+      if (change.action === 'delete') {
+        toDelete.push(id);
+      } else if (change.action === 'fetch') {
+        toFetch.push(id);
+      } else if (change.labels.includes('INBOX') && !this.db.hasGmailMessage(id)) {
+        // Moved back into the inbox - we've never stored it
+        toFetch.push(id);
+      } else {
+        labelUpdates.push({ id, labels: change.labels });
+      }
+    }
+
+    const { emails, errors } = await this.fetchMessages(gmail, accountId, toFetch, false);
+    // Deletes change a thread's message count, which refreshGmailThreads
+    // notices by itself; label changes don't, so note their threads
+    const threadIds = [
+      ...emails.map(e => e.threadId),
+      ...this.db.getGmailMessageThreadIds(labelUpdates.map(u => u.id))
+    ];
+
+    emitSyncProgress(this.mainWindow, 'gmail', { phase: 'saving', accountId, fullSync: false, done: toFetch.length, total: toFetch.length, errors });
+    this.db.transaction(() => {
+      if (emails.length > 0) {
+        this.db.bulkUpsertGmailMessages(emails);
+      }
+      this.db.updateGmailMessageLabels(labelUpdates);
+      this.db.deleteGmailMessages(toDelete);
+    });
+
+    return {
+      historyId,
+      threadIds,
+      newEmails: emails.length,
+      deleted: toDelete.length,
+      labelChanges: labelUpdates.length,
+      fetched: toFetch.length,
+      errors
+    };
+  }
+
+  // Download and parse messages, FETCH_CONCURRENCY at a time, skipping (and
+  // counting) any that fail. format is 'full', or 'metadata' when the body
+  // isn't needed.
+  async fetchMessages(gmail, accountId, ids, fullSync, format = 'full') {
+    const emails = [];
+    let errors = 0;
+    let done = 0;
+    let next = 0;
+    emitSyncProgress(this.mainWindow, 'gmail', { phase: 'fetching', accountId, fullSync, done: 0, total: ids.length });
+
+    const worker = async () => {
+      while (next < ids.length) {
+        const id = ids[next++];
+        try {
+          const details = await this.request(() => gmail.users.messages.get({
+            userId: 'me',
+            id,
+            format,
+            metadataHeaders: format === 'metadata' ? METADATA_HEADERS : undefined
+          }));
+          const email = this.parseMessage(details.data, accountId);
+          if (format === 'full') {
+            email.attachments = await this.fetchAttachments(gmail, details.data);
+          }
+          emails.push(email);
+          done++;
+          emitSyncProgress(this.mainWindow, 'gmail', { phase: 'fetching', accountId, fullSync, done, total: ids.length, errors });
+        } catch (error) {
+          done++;
+          // A message deleted since it was listed is gone, not a failure
+          if (this.statusOf(error) === 404) continue;
+
+          errors++;
+          console.error(`Gmail sync: could not fetch message ${id}:`, error.message);
+          emitSyncProgress(this.mainWindow, 'gmail', { phase: 'fetching', accountId, fullSync, done, total: ids.length, errors, error: error.message });
+        }
       }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, ids.length) }, worker));
+    return { emails, errors };
+  }
 
-      if (emailsToStore.length > 0) {
-        this.db.bulkUpsertGmailMessages(emailsToStore);
-        newEmails = emailsToStore.length;
+  // A message's attachments, with the text of the ones extractText can read.
+  // One that can't be downloaded is still listed, just without its text.
+  async fetchAttachments(gmail, message) {
+    const attachments = [];
+    for (const part of findAttachments(message.payload)) {
+      let textContent = null;
+      if (canExtractText(part.mimeType, part.filename) && part.size <= MAX_EXTRACT_BYTES) {
+        try {
+          textContent = extractText(await this.getAttachmentData(gmail, message.id, part), part.mimeType, part.filename);
+        } catch (error) {
+          console.error(`Gmail sync: could not read attachment ${part.filename} of ${message.id}:`, error.message);
+        }
       }
 
-      this.db.updateSyncLog('gmail', newEmails);
+      attachments.push({
+        partId: part.partId,
+        attachmentId: part.attachmentId,
+        filename: part.filename,
+        mimeType: part.mimeType,
+        size: part.size,
+        textContent
+      });
+    }
+    return attachments;
+  }
 
-      console.log(`Gmail sync complete: ${newEmails} emails stored`);
-      return { success: true, newEmails, isIncremental };
+  // The bytes of an attachment part from findAttachments
+  async getAttachmentData(gmail, messageId, part) {
+    if (part.data) {
+      return Buffer.from(part.data, 'base64');
+    }
+    const response = await this.request(() => gmail.users.messages.attachments.get({
+      userId: 'me',
+      messageId,
+      id: part.attachmentId
+    }));
+    return Buffer.from(response.data.data, 'base64');
+  }
+
+  /**
+   * Save a stored attachment (by its gmail_attachments id) to filePath, which
+   * the user picked in a save dialog. Returns { success, path } or { error }.
+   */
+  async downloadAttachment(id, filePath) {
+    if (!this.store.get('gmail.authenticated')) {
+      return { error: 'Not authenticated' };
+    }
+
+    const attachment = this.db.getGmailAttachment(id);
+    if (!attachment) {
+      return { error: 'Attachment not found' };
+    }
+    if (!this.getAccount(attachment.account_id)?.tokens) {
+      return { error: 'The Gmail account this attachment came from is not connected' };
+    }
+
+    try {
+      const gmail = this.getGmailClient(this.createOAuthClient(attachment.account_id));
+
+      // Attachment ids from an earlier sync may no longer work, so find the
+      // part in the message as it is now
+      const { data: message } = await this.request(() => gmail.users.messages.get({
+        userId: 'me',
+        id: attachment.message_id,
+        format: 'full'
+      }));
+      const part = findAttachments(message.payload).find(p => p.partId === attachment.part_id);
+      if (!part) {
+        return { error: 'This attachment is no longer in Gmail' };
+      }
+
+      const data = await this.getAttachmentData(gmail, attachment.message_id, part);
+      fs.writeFileSync(filePath, data);
+      return { success: true, path: filePath };
     } catch (error) {
-      console.error('Gmail sync error:', error);
+      console.error('Gmail attachment download error:', error);
       return { error: error.message };
     }
   }
 
+  // A file name for an attachment, to suggest in the save dialog. Names come
+  // from the sender, so only the base name is kept and characters that
+  // aren't allowed in file names are replaced.
+  safeFilename(filename) {
+    const safeName = path.basename(filename || '').replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').trim();
+    return /^\.*$/.test(safeName) ? 'attachment' : safeName;
+  }
+
+  // Run a Gmail API call, retrying rate limits and server errors
+  async request(call) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await call();
+      } catch (error) {
+        if (attempt >= MAX_RETRIES || !this.isRetryable(error)) throw error;
+
+        const retryAfter = Number(error.response?.headers?.['retry-after']);
+        const delay = Number.isFinite(retryAfter) && retryAfter > 0
+          ? retryAfter * 1000
+          : RETRY_BASE_MS * Math.pow(2, attempt) * (0.5 + Math.random() / 2);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  isRetryable(error) {
+    const status = this.statusOf(error);
+    if (status === 429 || status >= 500) return true;
+    if (status === 403) {
+      const reasons = (error.errors || error.response?.data?.error?.errors || []).map(e => e.reason);
+      return reasons.some(reason => RATE_LIMIT_REASONS.includes(reason));
+    }
+    return false;
+  }
+
+  // HTTP status of a failed API call, if it got a response
+  statusOf(error) {
+    return error.response?.status || (typeof error.code === 'number' ? error.code : null);
+  }
+
+  // Turn a users.messages.get response from accountId into a gmail_messages row
+  parseMessage(message, accountId) {
+    const headers = message.payload.headers;
+    const getHeader = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+
+    const from = getHeader('From');
+    const subject = getHeader('Subject');
+    const to = getHeader('To');
+    const dateStr = getHeader('Date');
+    const labels = message.labelIds || [];
+
+    // Parse timestamp from date header, falling back to when Gmail received it
+    const timestamp = Math.floor(new Date(dateStr).getTime() / 1000) || Math.floor(Number(message.internalDate) / 1000);
+
+    // Readable text from the MIME parts, without quoted history or signature
+    const bodyText = extractBody(message.payload);
+
+    const fromEmail = this.extractEmail(from);
+    const fromName = this.extractSenderName(from);
+    const listUnsubscribe = getHeader('List-Unsubscribe') || null;
+    const listId = getHeader('List-Id') || null;
+    const category = this.categorizeEmail({ fromEmail, fromName, subject, labels, listUnsubscribe });
+    // For the newsletter digest, which takes all mailing list mail
+    const headlines = listId || listUnsubscribe ? extractHeadlines(message.payload) : [];
+
+    return {
+      id: message.id,
+      accountId,
+      threadId: message.threadId,
+      fromEmail,
+      fromName,
+      toEmail: to,
+      subject,
+      snippet: message.snippet,
+      bodyPreview: bodyText.substring(0, 500),
+      timestamp,
+      isUnread: labels.includes('UNREAD'),
+      labels,
+      category,
+      listUnsubscribe,
+      listId,
+      headlines
+    };
+  }
+
   extractEmail(from) {
     if (!from) return '';
     const match = from.match(/<([^>]+)>/);
     return match ? match[1] : from;
   }
 
-  async getSummary() {
+  // Summaries are built from the emails syncToDatabase has stored, so loading
+  // the dashboard makes no Gmail API calls and works offline. Emails are
+  // grouped into threads, so a long back-and-forth counts once and is judged
+  // by its latest message. timeFilter is 'today', 'week', 'month' or 'all';
+  // accountId limits the summary to one account, otherwise it covers them all.
+  async getSummary(timeFilter = 'week', accountId = null) {
     if (!this.store.get('gmail.authenticated')) {
       return { error: 'Not authenticated', authenticated: false };
     }
 
-    try {
-      // Sync to database in background
-      this.syncToDatabase().catch(err => console.error('Background Gmail sync error:', err));
+    if (!this.db) {
+      return { error: 'Database not initialized', authenticated: true };
+    }
 
-      const gmail = google.gmail({ version: 'v1', auth: this.oauth2Client });
+    const accounts = this.getAccounts();
+    const threads = this.db.getGmailThreads(timeFilter, SUMMARY_THREAD_LIMIT, { accountId });
+    const threadsData = threads.map(t => this.toSummaryThread(t, this.db.getGmailThreadMessages(t.id)));
+    const replyTracking = this.getReplyTracking(SUMMARY_THREAD_LIMIT, accountId);
 
-      // Get unread count
-      const unreadResponse = await gmail.users.messages.list({
-        userId: 'me',
-        q: 'is:unread',
-        maxResults: 1
+    // With several accounts in one summary, say which one each thread is in
+    if (!accountId && accounts.length > 1) {
+      const emails = Object.fromEntries(accounts.map(a => [a.id, a.email]));
+      threads.forEach((t, i) => {
+        threadsData[i].account = emails[t.account_id] || null;
       });
-      const unreadCount = unreadResponse.data.resultSizeEstimate || 0;
+    }
 
-      // Get recent emails with full content for summarization
-      const messagesResponse = await gmail.users.messages.list({
-        userId: 'me',
-        maxResults: 50,
-        q: 'in:inbox newer_than:7d'
+    const categories = this.getCategories();
+    const categorizedEmails = Object.fromEntries(categories.map(c => [c.id, []]));
+    for (const thread of threadsData) {
+      let category = thread.category;
+      // Once the user has answered, the thread no longer waits on them
+      if (category === 'actionRequired' && thread.userRepliedLast) {
+        category = 'personal';
+      }
+      // Including mail filed under a category that's since been deleted
+      (categorizedEmails[category] || categorizedEmails[FALLBACK_CATEGORY]).push(thread);
+    }
+
+    // Generate summaries by category
+    const summaries = this.generateEmailSummaries(categorizedEmails, SUMMARY_PERIODS[timeFilter], categories);
+
+    // Get top senders, counting every message they sent in these threads
+    const senderCounts = {};
+    threadsData.forEach(thread => {
+      thread.messages.filter(m => !m.fromMe).forEach(message => {
+        const senderName = this.extractSenderName(message.from);
+        senderCounts[senderName] = (senderCounts[senderName] || 0) + 1;
       });
+    });
+
+    const topSenders = Object.entries(senderCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([name, count]) => ({ name, count }));
+
+    // Mailbox totals are saved by the last sync of each account
+    const labelCounts = this.getLabelCounts(accountId);
+    const unreadCount = labelCounts.inbox ? labelCounts.inbox.unread : threads.reduce((sum, t) => sum + t.unread_count, 0);
+
+    const lastSyncTime = this.db.getLastSyncTime('gmail', accountId);
+
+    return {
+      authenticated: true,
+      fromDatabase: true,
+      timeFilter,
+      account: accountId ? accounts.find(a => a.id === accountId)?.email || null : null,
+      accounts: accounts.map(a => a.email),
+      unreadCount,
+      totalThreadsAnalyzed: threadsData.length,
+      totalEmailsAnalyzed: threads.reduce((sum, t) => sum + t.message_count, 0),
+      summaries,
+      categorizedCounts: Object.fromEntries(Object.entries(categorizedEmails).map(([id, list]) => [id, list.length])),
+      topSenders,
+      threads: threadsData,
+      replyTracking,
+      labelCounts,
+      lastUpdated: lastSyncTime ? new Date(lastSyncTime * 1000).toISOString() : null
+    };
+  }
+
+  // One thread as sent to Claude. from and subject are the latest sender's,
+  // so categorizeEmail and the category summaries work on threads too. The
+  // messages carry their own ids for citations and action items.
+  toSummaryThread(thread, messages) {
+    const formatAddress = (name, email) => (name && email && name !== email ? `${name} <${email}>` : email || name);
+    const latest = messages.slice(-SUMMARY_THREAD_MESSAGES);
+
+    return {
+      threadId: thread.id,
+      subject: thread.subject,
+      from: formatAddress(thread.last_sender_name, thread.last_sender_email) || '',
+      participants: thread.participants.map(p => formatAddress(p.name, p.email)),
+      messageCount: thread.message_count,
+      unreadCount: thread.unread_count,
+      isUnread: thread.unread_count > 0,
+      lastMessageAt: new Date(thread.last_message_at * 1000).toISOString(),
+      userRepliedLast: thread.userRepliedLast,
+      replyState: this.getReplyState(thread).state,
+      category: thread.category,
+      messages: latest.map((m, i) => ({
+        id: m.id,
+        from: formatAddress(m.from_name, m.from_email),
+        fromMe: m.labels.includes('SENT'),
+        date: new Date(m.timestamp * 1000).toISOString(),
+        snippet: m.snippet,
+        // Only the latest message's body - the earlier ones are usually quoted in it
+        ...(i === latest.length - 1 ? { bodyPreview: m.body_preview } : {}),
+        isUnread: m.isUnread
+      }))
+    };
+  }
+
+  /**
+   * Who a thread is waiting on, worked out from its stored messages rather
+   * than guessed from the inbox. Returns { state, waitingDays, overdue } where
+   * state is:
+   * - 'waiting_on_me': someone else wrote last, it's still in the inbox and
+   *   it's a conversation rather than a newsletter or notification
+   * - 'waiting_on_them': the user wrote last
+   * - 'closed': neither, or quiet for REPLY_CLOSED_DAYS
+   */
+  getReplyState(thread, now = Math.floor(Date.now() / 1000)) {
+    const waitingDays = Math.floor((now - thread.last_message_at) / (24 * 60 * 60));
+
+    let state;
+    if (waitingDays >= REPLY_CLOSED_DAYS) {
+      state = 'closed';
+    } else if (thread.userRepliedLast) {
+      state = 'waiting_on_them';
+    } else if (thread.in_inbox === 1 && !NO_REPLY_CATEGORIES.includes(thread.category) && !NO_REPLY_SENDER.test(thread.last_sender_email || '')) {
+      state = 'waiting_on_me';
+    } else {
+      state = 'closed';
+    }
 
-      const messages = messagesResponse.data.messages || [];
-      const emailsData = [];
-      const categorizedEmails = {
-        actionRequired: [],
-        newsletters: [],
-        social: [],
-        promotions: [],
-        updates: [],
-        personal: []
+    return {
+      state,
+      waitingDays,
+      overdue: state !== 'closed' && waitingDays >= REPLY_OVERDUE_DAYS[state]
+    };
+  }
+
+  // Threads waiting on the user and on other people, longest wait first, in
+  // one account or all of them. Each entry's id is the thread's latest
+  // message, so it can be cited.
+  getReplyTracking(limit = 50, accountId = null) {
+    const now = Math.floor(Date.now() / 1000);
+    const threads = this.db.getGmailThreads('all', 1000, { inboxOnly: false, accountId })
+      .filter(t => now - t.last_message_at < REPLY_CLOSED_DAYS * 24 * 60 * 60);
+
+    const waitingOnMe = [];
+    const waitingOnThem = [];
+    for (const thread of threads) {
+      const { state, waitingDays, overdue } = this.getReplyState(thread, now);
+      if (state === 'closed') continue;
+
+      // Whoever the reply is expected from: the last sender, or everyone the
+      // user wrote to
+      const others = state === 'waiting_on_me'
+        ? [thread.last_sender_name || thread.last_sender_email]
+        : thread.participants.filter(p => p.email !== thread.last_sender_email).map(p => p.name || p.email);
+
+      const entry = {
+        id: thread.last_message_id,
+        threadId: thread.id,
+        accountId: thread.account_id,
+        subject: thread.subject,
+        with: others,
+        lastMessageAt: thread.last_message_at,
+        waitingDays,
+        overdue
       };
+      (state === 'waiting_on_me' ? waitingOnMe : waitingOnThem).push(entry);
+    }
 
-      // Fetch email details
-      for (const msg of messages.slice(0, 30)) {
-        const details = await gmail.users.messages.get({
-          userId: 'me',
-          id: msg.id,
-          format: 'full'
-        });
-
-        const headers = details.data.payload.headers;
-        const getHeader = (name) => headers.find(h => h.name === name)?.value || '';
-
-        const from = getHeader('From');
-        const subject = getHeader('Subject');
-        const date = getHeader('Date');
-        const labels = details.data.labelIds || [];
-
-        // Extract body text
-        let bodyText = '';
-        if (details.data.payload.body?.data) {
-          bodyText = Buffer.from(details.data.payload.body.data, 'base64').toString('utf-8');
-        } else if (details.data.payload.parts) {
-          const textPart = details.data.payload.parts.find(p => p.mimeType === 'text/plain');
-          if (textPart?.body?.data) {
-            bodyText = Buffer.from(textPart.body.data, 'base64').toString('utf-8');
-          }
-        }
+    const longestFirst = (a, b) => a.lastMessageAt - b.lastMessageAt;
+    return {
+      waitingOnMe: waitingOnMe.sort(longestFirst).slice(0, limit),
+      waitingOnThem: waitingOnThem.sort(longestFirst).slice(0, limit),
+      counts: {
+        waitingOnMe: waitingOnMe.length,
+        waitingOnThem: waitingOnThem.length,
+        overdue: [...waitingOnMe, ...waitingOnThem].filter(e => e.overdue).length
+      },
+      thresholds: { overdueDays: REPLY_OVERDUE_DAYS, closedDays: REPLY_CLOSED_DAYS }
+    };
+  }
 
-        const emailInfo = {
-          id: msg.id,
-          from,
-          subject,
-          date,
-          snippet: details.data.snippet,
-          bodyPreview: bodyText.substring(0, 500),
-          isUnread: labels.includes('UNREAD'),
-          labels
-        };
+  // Label counts of one account, or added up across all of them
+  getLabelCounts(accountId = null) {
+    const accounts = this.store.get('gmail.accounts', {});
+    if (accountId) {
+      return accounts[accountId]?.labelCounts || {};
+    }
 
-        emailsData.push(emailInfo);
+    const totals = {};
+    for (const account of Object.values(accounts)) {
+      for (const [label, counts] of Object.entries(account.labelCounts || {})) {
+        totals[label] = {
+          total: (totals[label]?.total || 0) + counts.total,
+          unread: (totals[label]?.unread || 0) + counts.unread
+        };
+      }
+    }
+    return totals;
+  }
 
-        // Categorize emails
-        const category = this.categorizeEmail(emailInfo);
-        if (categorizedEmails[category]) {
-          categorizedEmails[category].push(emailInfo);
-        }
+  // Message counts for the main mailboxes, kept with the account for getSummary
+  async syncLabelCounts(gmail) {
+    const labelCounts = {};
+    for (const id of ['INBOX', 'SENT', 'DRAFT', 'SPAM']) {
+      try {
+        const { data } = await this.request(() => gmail.users.labels.get({ userId: 'me', id }));
+        labelCounts[data.name.toLowerCase()] = {
+          total: data.messagesTotal || 0,
+          unread: data.messagesUnread || 0
+        };
+      } catch (error) {
+        console.error(`Gmail sync: could not get label ${id}:`, error.message);
       }
+    }
+    return labelCounts;
+  }
 
-      // Generate summaries by category
-      const summaries = this.generateEmailSummaries(categorizedEmails);
+  // Categorization settings: { categories, rules } as normalizeCategorization
+  // returns them, where categories are the user's own
+  getCategorization() {
+    return this.store.get('gmail.categorization') || defaultCategorization();
+  }
 
-      // Get top senders
-      const senderCounts = {};
-      emailsData.forEach(email => {
-        const senderName = this.extractSenderName(email.from);
-        senderCounts[senderName] = (senderCounts[senderName] || 0) + 1;
-      });
+  // Every category, built-in ones first: [{ id, name, builtIn }]
+  getCategories() {
+    return [...BUILT_IN_CATEGORIES, ...this.getCategorization().categories.map(c => ({ ...c, builtIn: false }))];
+  }
 
-      const topSenders = Object.entries(senderCounts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 5)
-        .map(([name, count]) => ({ name, count }));
+  // What the settings page edits
+  getCategorizationSettings() {
+    return {
+      categories: this.getCategories(),
+      rules: this.getCategorization().rules,
+      fields: RULE_FIELDS
+    };
+  }
 
-      // Get labels/categories summary
-      const labelsResponse = await gmail.users.labels.list({ userId: 'me' });
-      const importantLabels = ['INBOX', 'SENT', 'DRAFT', 'SPAM'];
-      const labelCounts = {};
+  // Save new categories and rules; throws if they're invalid. Stored emails
+  // keep their categories until recategorizeStored runs.
+  setCategorization(categorization) {
+    this.store.set('gmail.categorization', normalizeCategorization(categorization));
+    this.categorizer = null;
+    return this.getCategorizationSettings();
+  }
 
-      for (const label of labelsResponse.data.labels || []) {
-        if (importantLabels.includes(label.id)) {
-          const labelDetails = await gmail.users.labels.get({
-            userId: 'me',
-            id: label.id
-          });
-          labelCounts[label.name.toLowerCase()] = {
-            total: labelDetails.data.messagesTotal || 0,
-            unread: labelDetails.data.messagesUnread || 0
-          };
-        }
-      }
+  resetCategorization() {
+    this.store.delete('gmail.categorization');
+    this.categorizer = null;
+    return this.getCategorizationSettings();
+  }
 
-      return {
-        authenticated: true,
-        unreadCount,
-        totalEmailsAnalyzed: emailsData.length,
-        summaries,
-        categorizedCounts: {
-          actionRequired: categorizedEmails.actionRequired.length,
-          newsletters: categorizedEmails.newsletters.length,
-          social: categorizedEmails.social.length,
-          promotions: categorizedEmails.promotions.length,
-          updates: categorizedEmails.updates.length,
-          personal: categorizedEmails.personal.length
-        },
-        topSenders,
-        recentEmails: emailsData.slice(0, 5),
-        labelCounts,
-        lastUpdated: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('Gmail getSummary error:', error);
+  // email: { fromEmail, fromName, subject, labels, listUnsubscribe }
+  categorizeEmail(email) {
+    if (!this.categorizer) {
+      this.categorizer = createCategorizer(this.getCategorization());
+    }
+    return this.categorizer(email);
+  }
 
-      // Handle token expiration
-      if (error.code === 401) {
-        this.store.set('gmail.authenticated', false);
-        return { error: 'Session expired. Please re-authenticate.', authenticated: false };
-      }
+  // Run the current rules over every stored email and rebuild the threads
+  // whose category changed. Returns { updated } - how many emails changed.
+  recategorizeStored() {
+    if (!this.db) {
+      return { error: 'Database not initialized' };
+    }
 
-      return { error: error.message, authenticated: true };
+    const updates = [];
+    for (const message of this.db.getGmailMessages('all')) {
+      const category = this.categorizeEmail({
+        fromEmail: message.from_email,
+        fromName: message.from_name,
+        subject: message.subject,
+        labels: message.labels,
+        listUnsubscribe: message.list_unsubscribe
+      });
+      if (category !== message.category) {
+        updates.push({ id: message.id, threadId: message.thread_id, category });
+      }
     }
-  }
 
-  categorizeEmail(email) {
-    const from = email.from.toLowerCase();
-    const subject = email.subject.toLowerCase();
-    const labels = email.labels || [];
+    this.db.updateGmailMessageCategories(updates);
+    this.db.refreshGmailThreads(updates.map(u => u.threadId));
+    return { updated: updates.length };
+  }
 
-    // Check Gmail's built-in categories
-    if (labels.includes('CATEGORY_PROMOTIONS')) return 'promotions';
-    if (labels.includes('CATEGORY_SOCIAL')) return 'social';
-    if (labels.includes('CATEGORY_UPDATES')) return 'updates';
+  // Priority and mute settings by publication key (see newsletters.js)
+  getNewsletterSettings() {
+    return this.store.get('gmail.newsletters') || {};
+  }
 
-    // Action required detection
-    const actionKeywords = ['action required', 'urgent', 'asap', 'deadline', 'please respond',
-      'waiting for', 'reminder', 'follow up', 'approval needed', 'review needed'];
-    if (actionKeywords.some(kw => subject.includes(kw) || email.snippet?.toLowerCase().includes(kw))) {
-      return 'actionRequired';
+  // Throws if the setting is invalid
+  setNewsletterPublication(key, setting) {
+    if (typeof key !== 'string' || !key) {
+      throw new Error('Unknown publication');
     }
 
-    // Newsletter detection
-    const newsletterKeywords = ['newsletter', 'digest', 'weekly', 'monthly', 'unsubscribe',
-      'noreply', 'no-reply', 'news@', 'updates@', 'hello@'];
-    if (newsletterKeywords.some(kw => from.includes(kw) || subject.includes(kw))) {
-      return 'newsletters';
+    const normalized = normalizePublicationSetting(setting);
+    const settings = this.getNewsletterSettings();
+    if (normalized.priority === 'normal' && !normalized.muted) {
+      delete settings[key];
+    } else {
+      settings[key] = normalized;
     }
+    // Saved as a whole: publication keys have dots in them, which the store
+    // would read as nesting
+    this.store.set('gmail.newsletters', settings);
+    return normalized;
+  }
 
-    // Social detection
-    const socialDomains = ['linkedin', 'twitter', 'facebook', 'instagram', 'github', 'slack'];
-    if (socialDomains.some(domain => from.includes(domain))) {
-      return 'social';
+  // The newsletters received in timeFilter ('today' or 'week') grouped by
+  // publication - { publications, muted } as groupByPublication returns
+  // them - for the newsletter digest. accountId limits it to one account.
+  getNewsletterDigest(timeFilter = 'week', accountId = null) {
+    if (!this.store.get('gmail.authenticated')) {
+      return { error: 'Not authenticated', authenticated: false };
     }
 
-    // Promotion detection
-    const promoKeywords = ['sale', 'discount', 'offer', 'deal', 'off', 'free', 'limited time',
-      'exclusive', 'promo', 'coupon'];
-    if (promoKeywords.some(kw => subject.includes(kw))) {
-      return 'promotions';
+    if (!this.db) {
+      return { error: 'Database not initialized', authenticated: true };
     }
 
-    return 'personal';
+    const emails = this.db.getGmailNewsletters(timeFilter, { accountId });
+    return {
+      authenticated: true,
+      timeFilter,
+      period: SUMMARY_PERIODS[timeFilter],
+      issueCount: emails.length,
+      ...groupByPublication(emails, this.getNewsletterSettings())
+    };
   }
 
-  generateEmailSummaries(categorizedEmails) {
+  generateEmailSummaries(categorizedEmails, period = 'Last 7 Days', categories = BUILT_IN_CATEGORIES) {
     const summaries = {};
 
     // Action Required Summary
@@ -438,7 +1229,7 @@ class GmailService {
       summaries.actionRequired = {
         title: 'Action Required',
         count: categorizedEmails.actionRequired.length,
-        description: `You have ${categorizedEmails.actionRequired.length} email(s) that may need your attention:`,
+        description: `You have ${categorizedEmails.actionRequired.length} email thread(s) that may need your attention:`,
         items
       };
     }
@@ -449,7 +1240,7 @@ class GmailService {
       summaries.personal = {
         title: 'Personal Messages',
         count: categorizedEmails.personal.length,
-        description: `${categorizedEmails.personal.length} personal email(s) from ${senders.slice(0, 3).join(', ')}${senders.length > 3 ? ` and ${senders.length - 3} others` : ''}.`,
+        description: `${categorizedEmails.personal.length} personal conversation(s) with ${senders.slice(0, 3).join(', ')}${senders.length > 3 ? ` and ${senders.length - 3} others` : ''}.`,
         topSubjects: categorizedEmails.personal.slice(0, 3).map(e => e.subject)
       };
     }
@@ -499,17 +1290,30 @@ class GmailService {
       };
     }
 
+    // The user's own categories
+    for (const category of categories.filter(c => !c.builtIn)) {
+      const threads = categorizedEmails[category.id] || [];
+      if (threads.length === 0) continue;
+      const senders = [...new Set(threads.map(e => this.extractSenderName(e.from)))];
+      summaries[category.id] = {
+        title: category.name,
+        count: threads.length,
+        description: `${threads.length} email thread(s) from ${senders.slice(0, 3).join(', ')}${senders.length > 3 ? ` and ${senders.length - 3} others` : ''}.`,
+        topSubjects: threads.slice(0, 3).map(e => e.subject)
+      };
+    }
+
     // Overall summary
     const total = Object.values(categorizedEmails).reduce((sum, arr) => sum + arr.length, 0);
     summaries.overall = {
-      title: 'Email Overview (Last 7 Days)',
-      description: this.generateOverallSummary(categorizedEmails, total)
+      title: `Email Overview (${period})`,
+      description: this.generateOverallSummary(categorizedEmails, total, categories)
     };
 
     return summaries;
   }
 
-  generateOverallSummary(categorizedEmails, total) {
+  generateOverallSummary(categorizedEmails, total, categories = BUILT_IN_CATEGORIES) {
     const parts = [];
 
     if (categorizedEmails.actionRequired.length > 0) {
@@ -524,8 +1328,13 @@ class GmailService {
     if (categorizedEmails.promotions.length > 0) {
       parts.push(`${categorizedEmails.promotions.length} promotions`);
     }
+    for (const category of categories.filter(c => !c.builtIn)) {
+      if ((categorizedEmails[category.id] || []).length > 0) {
+        parts.push(`${categorizedEmails[category.id].length} ${category.name}`);
+      }
+    }
 
-    return `Analyzed ${total} emails: ${parts.join(', ')}.`;
+    return `Analyzed ${total} email threads: ${parts.join(', ')}.`;
   }
 
   extractSenderName(from) {
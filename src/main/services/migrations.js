@@ -0,0 +1,388 @@
+// Ordered schema migrations for mybrain.db.
+//
+// Each migration runs once, inside a transaction, and the database's
+// PRAGMA user_version is set to its version afterwards. Migrations that have
+// shipped must never be edited - add a new one with the next version instead.
+// `up` receives the DatabaseService, so runSql/queryOne/queryAll are available.
+
+// Creates an FTS4 external-content index over `table` plus the triggers that
+// keep it in sync, then indexes any rows already in the table
+function createSearchIndex(database, fts, table, columns) {
+  const columnList = columns.join(', ');
+  const newValues = columns.map(c => `new.${c}`).join(', ');
+
+  database.runSql(`CREATE VIRTUAL TABLE IF NOT EXISTS ${fts} USING fts4(content="${table}", ${columnList})`);
+  database.runSql(`
+    CREATE TRIGGER IF NOT EXISTS ${fts}_bd BEFORE DELETE ON ${table} BEGIN
+      DELETE FROM ${fts} WHERE docid = old.rowid;
+    END
+  `);
+  database.runSql(`
+    CREATE TRIGGER IF NOT EXISTS ${fts}_bu BEFORE UPDATE ON ${table} BEGIN
+      DELETE FROM ${fts} WHERE docid = old.rowid;
+    END
+  `);
+  database.runSql(`
+    CREATE TRIGGER IF NOT EXISTS ${fts}_au AFTER UPDATE ON ${table} BEGIN
+      INSERT INTO ${fts} (docid, ${columnList}) VALUES (new.rowid, ${newValues});
+    END
+  `);
+  database.runSql(`
+    CREATE TRIGGER IF NOT EXISTS ${fts}_ai AFTER INSERT ON ${table} BEGIN
+      INSERT INTO ${fts} (docid, ${columnList}) VALUES (new.rowid, ${newValues});
+    END
+  `);
+  database.runSql(`INSERT INTO ${fts} (${fts}) VALUES ('rebuild')`);
+}
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    up(database) {
+      // Databases created before migrations existed already have these
+      // tables, so everything here is IF NOT EXISTS
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS whatsapp_messages (
+          id TEXT PRIMARY KEY,
+          chat_id TEXT,
+          chat_name TEXT,
+          is_group INTEGER,
+          sender TEXT,
+          body TEXT,
+          timestamp INTEGER,
+          from_me INTEGER,
+          has_media INTEGER,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS whatsapp_chats (
+          id TEXT PRIMARY KEY,
+          name TEXT,
+          is_group INTEGER,
+          participant_count INTEGER,
+          last_message_at INTEGER,
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS gmail_messages (
+          id TEXT PRIMARY KEY,
+          thread_id TEXT,
+          from_email TEXT,
+          from_name TEXT,
+          to_email TEXT,
+          subject TEXT,
+          snippet TEXT,
+          body_preview TEXT,
+          timestamp INTEGER,
+          is_unread INTEGER,
+          labels TEXT,
+          category TEXT,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS notion_pages (
+          id TEXT PRIMARY KEY,
+          title TEXT,
+          parent_id TEXT,
+          parent_type TEXT,
+          url TEXT,
+          created_time INTEGER,
+          last_edited_time INTEGER,
+          content_preview TEXT,
+          properties TEXT,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS sync_log (
+          source TEXT PRIMARY KEY,
+          last_sync_at INTEGER,
+          records_synced INTEGER
+        )
+      `);
+
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_whatsapp_timestamp ON whatsapp_messages(timestamp)`);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_whatsapp_chat ON whatsapp_messages(chat_id)`);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_gmail_timestamp ON gmail_messages(timestamp)`);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_notion_edited ON notion_pages(last_edited_time)`);
+    }
+  },
+  {
+    version: 2,
+    description: 'Full-text search indexes',
+    up(database) {
+      createSearchIndex(database, 'whatsapp_fts', 'whatsapp_messages', ['body']);
+      createSearchIndex(database, 'gmail_fts', 'gmail_messages', ['subject', 'snippet', 'body_preview']);
+      createSearchIndex(database, 'notion_fts', 'notion_pages', ['title', 'content_preview']);
+    }
+  },
+  {
+    version: 3,
+    description: 'Ask AI conversations',
+    up(database) {
+      // summary covers every message up to and including summarized_through,
+      // so only later messages are sent to Claude in full
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS conversations (
+          id TEXT PRIMARY KEY,
+          title TEXT,
+          scope TEXT,
+          summary TEXT,
+          summarized_through INTEGER DEFAULT 0,
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS conversation_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id TEXT NOT NULL,
+          role TEXT NOT NULL,
+          content TEXT,
+          sources TEXT,
+          citations TEXT,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages(conversation_id, id)`);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_conversations_updated ON conversations(updated_at)`);
+    }
+  },
+  {
+    version: 4,
+    description: 'Structured action items',
+    up(database) {
+      // source_message_ids is a JSON array. last_seen_at is the last refresh
+      // that produced the item, so the current list is the latest refresh's items.
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS action_items (
+          id TEXT PRIMARY KEY,
+          source TEXT NOT NULL,
+          text TEXT,
+          verb TEXT,
+          person TEXT,
+          topic TEXT,
+          due_date TEXT,
+          source_message_ids TEXT,
+          confidence REAL,
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+          last_seen_at INTEGER
+        )
+      `);
+
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_action_items_source ON action_items(source, last_seen_at)`);
+    }
+  },
+  {
+    version: 5,
+    description: 'Action item lifecycle',
+    up(database) {
+      // status is open, done, snoozed or dismissed
+      database.runSql(`ALTER TABLE action_items ADD COLUMN status TEXT NOT NULL DEFAULT 'open'`);
+      database.runSql(`ALTER TABLE action_items ADD COLUMN status_changed_at INTEGER`);
+      database.runSql(`ALTER TABLE action_items ADD COLUMN snoozed_until INTEGER`);
+      database.runSql(`ALTER TABLE action_items ADD COLUMN completed_at INTEGER`);
+      database.runSql(`ALTER TABLE action_items ADD COLUMN dismissed_at INTEGER`);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_action_items_status ON action_items(status, source)`);
+
+      // Audit trail: one row per status change
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS action_item_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          item_id TEXT NOT NULL,
+          from_status TEXT,
+          to_status TEXT NOT NULL,
+          snoozed_until INTEGER,
+          actor TEXT,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_action_item_events_item ON action_item_events(item_id, id)`);
+    }
+  },
+  {
+    version: 6,
+    description: 'Action items reconciled across sources',
+    up(database) {
+      // JSON array of every source the item was found in; source stays the first
+      database.runSql(`ALTER TABLE action_items ADD COLUMN sources TEXT`);
+      database.runSql(`UPDATE action_items SET sources = json_array(source)`);
+    }
+  },
+  {
+    version: 7,
+    description: 'Sync history',
+    up(database) {
+      // sync_log held one row per source; keep one row per sync run instead,
+      // failures included, so the dashboard can show each source's history
+      database.runSql(`ALTER TABLE sync_log RENAME TO sync_log_old`);
+      database.runSql(`
+        CREATE TABLE sync_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source TEXT NOT NULL,
+          started_at INTEGER,
+          last_sync_at INTEGER,
+          records_synced INTEGER,
+          full_sync INTEGER DEFAULT 0,
+          status TEXT NOT NULL DEFAULT 'success',
+          error TEXT
+        )
+      `);
+      database.runSql(`
+        INSERT INTO sync_log (source, started_at, last_sync_at, records_synced)
+        SELECT source, last_sync_at, last_sync_at, records_synced FROM sync_log_old
+      `);
+      database.runSql(`DROP TABLE sync_log_old`);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_sync_log_source ON sync_log(source, last_sync_at)`);
+    }
+  },
+  {
+    version: 8,
+    description: 'Summary data kept by sync',
+    up(database) {
+      // Summaries are built from the database, so sync keeps what they used
+      // to fetch live: chat unread counts and the Notion databases list
+      database.runSql(`ALTER TABLE whatsapp_chats ADD COLUMN unread_count INTEGER DEFAULT 0`);
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS notion_databases (
+          id TEXT PRIMARY KEY,
+          title TEXT,
+          url TEXT,
+          icon TEXT,
+          last_edited_time INTEGER,
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_notion_parent ON notion_pages(parent_id, last_edited_time)`);
+    }
+  },
+  {
+    version: 9,
+    description: 'Gmail threads',
+    up(database) {
+      // One row per conversation, derived from gmail_messages by
+      // DatabaseService.refreshGmailThreads (which fills this table in on the
+      // next start). participants is a JSON array of { name, email }.
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS gmail_threads (
+          id TEXT PRIMARY KEY,
+          subject TEXT,
+          participants TEXT,
+          message_count INTEGER,
+          unread_count INTEGER,
+          first_message_at INTEGER,
+          last_message_at INTEGER,
+          last_message_id TEXT,
+          last_sender_email TEXT,
+          last_sender_name TEXT,
+          user_replied_last INTEGER DEFAULT 0,
+          in_inbox INTEGER DEFAULT 0,
+          category TEXT,
+          updated_at INTEGER
+        )
+      `);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_gmail_threads_last ON gmail_threads(last_message_at)`);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_gmail_thread ON gmail_messages(thread_id, timestamp)`);
+    }
+  },
+  {
+    version: 10,
+    description: 'Gmail attachments',
+    up(database) {
+      // id is "<message id>:<part id>". attachment_id is what Gmail gave at
+      // sync time, but Gmail doesn't keep those stable, so downloads look the
+      // part up again by part_id. text_content is null for kinds we can't read.
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS gmail_attachments (
+          id TEXT PRIMARY KEY,
+          message_id TEXT NOT NULL,
+          part_id TEXT,
+          attachment_id TEXT,
+          filename TEXT,
+          mime_type TEXT,
+          size INTEGER,
+          text_content TEXT,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_gmail_attachments_message ON gmail_attachments(message_id)`);
+      createSearchIndex(database, 'gmail_attachments_fts', 'gmail_attachments', ['filename', 'text_content']);
+    }
+  },
+  {
+    version: 11,
+    description: 'Gmail accounts',
+    up(database) {
+      // Which connected Gmail account each row came from (an id in the
+      // gmail.accounts setting). Everything stored so far came from the one
+      // account there was, which GmailService keeps as 'primary'.
+      for (const table of ['gmail_messages', 'gmail_threads', 'gmail_attachments', 'sync_log']) {
+        database.runSql(`ALTER TABLE ${table} ADD COLUMN account_id TEXT`);
+      }
+      database.runSql(`UPDATE gmail_messages SET account_id = 'primary'`);
+      database.runSql(`UPDATE gmail_threads SET account_id = 'primary'`);
+      database.runSql(`UPDATE gmail_attachments SET account_id = 'primary'`);
+      database.runSql(`UPDATE sync_log SET account_id = 'primary' WHERE source = 'gmail'`);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_gmail_account ON gmail_messages(account_id, timestamp)`);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_gmail_threads_account ON gmail_threads(account_id, last_message_at)`);
+    }
+  },
+  {
+    version: 12,
+    description: 'Gmail List-Unsubscribe header',
+    up(database) {
+      // Categorization rules can match mailing list mail by this header.
+      // Emails stored before now get it when they're next downloaded in full.
+      database.runSql(`ALTER TABLE gmail_messages ADD COLUMN list_unsubscribe TEXT`);
+    }
+  },
+  {
+    version: 13,
+    description: 'Gmail newsletter digest',
+    up(database) {
+      // The List-Id header, which names the publication a newsletter is from,
+      // and the headlines found in newsletters as JSON [{ text, url }]
+      database.runSql(`ALTER TABLE gmail_messages ADD COLUMN list_id TEXT`);
+      database.runSql(`ALTER TABLE gmail_messages ADD COLUMN headlines TEXT`);
+      database.runSql(`CREATE INDEX IF NOT EXISTS idx_gmail_category ON gmail_messages(category, timestamp)`);
+    }
+  },
+  {
+    version: 14,
+    description: 'Action item refresh times',
+    up(database) {
+      // When action items were last generated for each source. These were
+      // kept in sync_log as "actions:<source>" runs, where they were pruned
+      // along with real syncs.
+      database.runSql(`
+        CREATE TABLE IF NOT EXISTS action_item_refreshes (
+          source TEXT PRIMARY KEY,
+          refreshed_at INTEGER NOT NULL,
+          item_count INTEGER
+        )
+      `);
+      database.runSql(`
+        INSERT INTO action_item_refreshes (source, refreshed_at, item_count)
+        SELECT substr(source, 9), last_sync_at, records_synced FROM sync_log
+        WHERE source LIKE 'actions:%' AND status = 'success' AND id IN (
+          SELECT MAX(id) FROM sync_log WHERE source LIKE 'actions:%' AND status = 'success' GROUP BY source
+        )
+      `);
+      database.runSql(`DELETE FROM sync_log WHERE source LIKE 'actions:%'`);
+    }
+  }
+];
+
+module.exports = migrations;
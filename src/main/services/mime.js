@@ -0,0 +1,352 @@
+// Readable text from a Gmail API message payload (format 'full').
+//
+// Gmail returns the MIME tree as nested parts, each with its headers and its
+// body as base64url data. The text is usually in a text/plain or text/html
+// part somewhere inside multipart/mixed, multipart/related or
+// multipart/alternative, in whatever charset the sender used.
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', zwnj: '', zwj: '',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', euro: '€', pound: '£'
+};
+
+// Characters windows-1252 puts at 0x80-0x9F, where Latin-1 has control codes
+const WINDOWS_1252_C1 = [
+  '€', null, '‚', 'ƒ', '„', '…', '†', '‡', 'ˆ', '‰', 'Š', '‹', 'Œ', null, 'Ž', null,
+  null, '‘', '’', '“', '”', '•', '–', '—', '˜', '™', 'š', '›', 'œ', null, 'ž', 'Ÿ'
+];
+
+// Newsletter links that are about the mailing rather than its stories
+const BOILERPLATE_LINK = /unsubscribe|opt[ -]?out|preferences|view (this|it|in|as|online)|in (your|a) browser|read online|web version|privacy|terms of (service|use)|forward (this|to)|share (this|on)|follow us|advertise|sponsor|download (the|our) app|update your|contact us|manage (your )?(subscription|email)/i;
+
+// Headlines kept per message
+const MAX_HEADLINES = 15;
+
+// Where quoted history starts in HTML mail from Gmail, Apple Mail, Outlook and Yahoo
+const HTML_QUOTE_MARKERS = [
+  /<div[^>]+class="?gmail_quote/i,
+  /<blockquote[^>]+type="?cite/i,
+  /<div[^>]+id="?appendonsend/i,
+  /<div[^>]+id="?divRplyFwdMsg/i,
+  /<div[^>]+class="?yahoo_quoted/i
+];
+
+const HTML_SIGNATURE_MARKER = /<div[^>]+class="?gmail_signature/i;
+
+// The line Gmail and Apple Mail put above quoted history
+const ON_WROTE = /^On .{1,200}wrote:\s*$/;
+
+// Lines where quoted history starts in plain text mail. Forwarded messages
+// are kept - there they're the point of the email.
+const TEXT_QUOTE_MARKERS = [
+  ON_WROTE,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{10,}\s*$/
+];
+
+// Lines an "On ... wrote:" header can be wrapped over
+const QUOTE_HEADER_LINES = 3;
+
+// Lines where a signature starts
+const SIGNATURE_MARKERS = [
+  /^-- ?$/,
+  /^Sent from my (iPhone|iPad|Android|Samsung|mobile)/i,
+  /^Get Outlook for /i
+];
+
+function getHeader(part, name) {
+  const header = (part.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : '';
+}
+
+// A Content-Type parameter such as charset, or null
+function getParam(headerValue, param) {
+  const match = headerValue.match(new RegExp(`${param}\\s*=\\s*"?([^";]+)"?`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+function isAttachment(part) {
+  return !!part.filename || /^\s*attachment/i.test(getHeader(part, 'Content-Disposition'));
+}
+
+// Undo quoted-printable encoding on raw bytes
+function decodeQuotedPrintable(buffer) {
+  const text = buffer.toString('latin1').replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-F]{2}$/i.test(text.substr(i + 1, 2))) {
+      bytes.push(parseInt(text.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Bytes in charset to a string, falling back to UTF-8 for charsets this
+// build of Node doesn't know
+function decodeCharset(buffer, charset) {
+  const label = (charset || 'utf-8').toLowerCase().replace(/^cp(\d+)$/, 'windows-$1');
+  let decoder;
+  try {
+    decoder = new TextDecoder(label);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+
+  // Node decodes windows-1252 (which ISO-8859-1 and ASCII labels mean too)
+  // as Latin-1, losing the quotes, dashes and euro sign Outlook sends in
+  // 0x80-0x9F
+  if (decoder.encoding === 'windows-1252') {
+    return Array.from(buffer, byte => WINDOWS_1252_C1[byte - 0x80] || String.fromCharCode(byte)).join('');
+  }
+  return decoder.decode(buffer);
+}
+
+// A leaf part's body as a string, undoing the part's transfer encoding. Gmail
+// hands base64 parts over decoded, but quoted-printable ones (often inside
+// forwarded messages) can still arrive encoded.
+function decodePartData(part) {
+  if (!part.body?.data) return '';
+
+  let buffer = Buffer.from(part.body.data, 'base64');
+  const encoding = getHeader(part, 'Content-Transfer-Encoding').trim().toLowerCase();
+  if (encoding === 'quoted-printable') {
+    buffer = decodeQuotedPrintable(buffer);
+  }
+
+  return decodeCharset(buffer, getParam(getHeader(part, 'Content-Type'), 'charset'));
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      try {
+        return String.fromCodePoint(point);
+      } catch (error) {
+        return '';
+      }
+    }
+    const named = ENTITIES[code.toLowerCase()];
+    return named === undefined ? entity : named;
+  });
+}
+
+// Plain text from HTML, keeping paragraph and list structure. With
+// stripQuotes, quoted history and Gmail signatures are cut off first.
+function htmlToText(html, { stripQuotes = false } = {}) {
+  let body = html;
+
+  if (stripQuotes) {
+    for (const marker of [...HTML_QUOTE_MARKERS, HTML_SIGNATURE_MARKER]) {
+      const match = body.match(marker);
+      if (match) body = body.slice(0, match.index);
+    }
+  }
+
+  const text = body
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|tr|table|ul|ol|blockquote)>/gi, '\n')
+    .replace(/<(p|div|h[1-6]|tr|table)[^>]*>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return normalizeWhitespace(decodeEntities(text));
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Cut plain text at the first line of quoted history or signature
+function stripQuotedText(text) {
+  const lines = text.split('\n');
+  const kept = [];
+
+  for (const [i, line] of lines.entries()) {
+    const trimmed = line.trim();
+    if (isQuoteStart(lines, i) && kept.some(l => l.trim())) break;
+    if (SIGNATURE_MARKERS.some(marker => marker.test(trimmed))) break;
+    if (trimmed.startsWith('>')) continue;
+    kept.push(line);
+  }
+
+  return normalizeWhitespace(kept.join('\n'));
+}
+
+// Whether quoted history starts at lines[i]. Mail clients wrap a long
+// "On <date>, <name> <address> wrote:" over as many as three lines.
+function isQuoteStart(lines, i) {
+  const trimmed = lines[i].trim();
+  if (TEXT_QUOTE_MARKERS.some(marker => marker.test(trimmed))) return true;
+  if (!/^On\s/.test(trimmed)) return false;
+
+  let joined = trimmed;
+  for (const next of lines.slice(i + 1, i + QUOTE_HEADER_LINES)) {
+    if (!next.trim()) return false;
+    joined += ` ${next.trim()}`;
+    if (ON_WROTE.test(joined)) return true;
+  }
+  return false;
+}
+
+// { text, html } found under part: the text/plain and text/html bodies, each
+// joined across the inline parts of a multipart/mixed
+function collectBodies(part, bodies = { text: [], html: [] }) {
+  const type = (part.mimeType || '').toLowerCase();
+
+  if (type === 'multipart/alternative') {
+    // The same content several ways, simplest first; take the best of each kind
+    const alternatives = (part.parts || []).map(p => collectBodies(p));
+    const withText = alternatives.filter(a => a.text.length > 0).pop();
+    const withHtml = alternatives.filter(a => a.html.length > 0).pop();
+    if (withText) bodies.text.push(...withText.text);
+    if (withHtml) bodies.html.push(...withHtml.html);
+  } else if (type.startsWith('multipart/') || type === 'message/rfc822') {
+    for (const child of part.parts || []) {
+      collectBodies(child, bodies);
+    }
+  } else if (!isAttachment(part)) {
+    if (type === 'text/plain') {
+      bodies.text.push(decodePartData(part));
+    } else if (type === 'text/html') {
+      bodies.html.push(decodePartData(part));
+    }
+  }
+
+  return bodies;
+}
+
+/**
+ * The attachments in a message payload, in MIME order:
+ * [{ partId, attachmentId, filename, mimeType, size, data }]. Large
+ * attachments only have an attachmentId to fetch them by; small ones may come
+ * with their base64url data inline instead.
+ */
+function findAttachments(part, found = []) {
+  if (!part) return found;
+
+  if (part.filename && (part.body?.attachmentId || part.body?.data)) {
+    found.push({
+      partId: part.partId,
+      attachmentId: part.body.attachmentId || null,
+      filename: part.filename,
+      mimeType: (part.mimeType || 'application/octet-stream').toLowerCase(),
+      size: part.body.size || 0,
+      data: part.body.attachmentId ? null : part.body.data
+    });
+  }
+
+  for (const child of part.parts || []) {
+    findAttachments(child, found);
+  }
+  return found;
+}
+
+/**
+ * The readable body of a message: the text/plain version where there is one,
+ * otherwise the HTML converted to text, with quoted reply history and
+ * signatures removed. Returns '' for payloads without a body (e.g. format
+ * 'metadata').
+ */
+function extractBody(payload) {
+  if (!payload) return '';
+
+  const bodies = collectBodies(payload);
+  const text = bodies.text.map(t => stripQuotedText(normalizeWhitespace(t))).filter(Boolean).join('\n\n');
+  if (text) return text;
+
+  return bodies.html
+    .map(h => stripQuotedText(htmlToText(h, { stripQuotes: true })))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Whether text reads like a story headline rather than a button or a
+// footer link: a few words, not a paragraph
+function isHeadline(text) {
+  const words = text.split(/\s+/).length;
+  return text.length >= 15 && text.length <= 200 && words >= 3 && !BOILERPLATE_LINK.test(text);
+}
+
+// Headings and story links in newsletter HTML, in document order. A link
+// inside a heading gives the heading its url rather than counting twice.
+function headlinesFromHtml(html) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '');
+  const oneLine = (fragment) => htmlToText(fragment).replace(/\s+/g, ' ').trim();
+  const hrefOf = (tag) => {
+    const match = tag.match(/href\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    return match ? decodeEntities(match[1] ?? match[2]).trim() : '';
+  };
+
+  const found = [];
+  const pattern = /<(h[1-3])\b[^>]*>([\s\S]*?)<\/\1>|(<a\b[^>]*>)([\s\S]*?)<\/a>/gi;
+  let match;
+  while ((match = pattern.exec(body))) {
+    if (match[1]) {
+      const link = match[2].match(/<a\b[^>]*>/i);
+      found.push({ text: oneLine(match[2]), url: link ? hrefOf(link[0]) : '' });
+    } else {
+      const url = hrefOf(match[3]);
+      if (url) found.push({ text: oneLine(match[4]), url });
+    }
+  }
+  return found;
+}
+
+// Story links in plain text newsletters: a line followed by a url on its own
+// line, or "Title: https://..." / "Title (https://...)"
+function headlinesFromText(text) {
+  const found = [];
+  const lines = text.split('\n').map(line => line.trim());
+  lines.forEach((line, i) => {
+    const inline = line.match(/^(.+?)[\s:(<\[-]+(https?:\/\/\S+?)[)>\]]?$/);
+    if (inline) {
+      found.push({ text: inline[1].trim(), url: inline[2] });
+    } else if (/^<?https?:\/\/\S+$/.test(line) && lines[i - 1]) {
+      found.push({ text: lines[i - 1], url: line.replace(/^<|>$/g, '') });
+    }
+  });
+  return found;
+}
+
+/**
+ * The headlines in a newsletter: [{ text, url }] with url null when there's
+ * no https link to go with the text. Taken from the HTML version when there
+ * is one, since plain text versions often drop the links. Returns [] for
+ * payloads without a body.
+ */
+function extractHeadlines(payload) {
+  if (!payload) return [];
+
+  const bodies = collectBodies(payload);
+  const found = bodies.html.length > 0
+    ? bodies.html.flatMap(headlinesFromHtml)
+    : bodies.text.flatMap(t => headlinesFromText(normalizeWhitespace(t)));
+
+  const headlines = [];
+  const seen = new Set();
+  for (const { text, url } of found) {
+    const key = text.toLowerCase();
+    if (!isHeadline(text) || BOILERPLATE_LINK.test(url) || seen.has(key)) continue;
+    seen.add(key);
+    headlines.push({ text, url: /^https:\/\//i.test(url) ? url : null });
+    if (headlines.length === MAX_HEADLINES) break;
+  }
+  return headlines;
+}
+
+module.exports = { extractBody, extractHeadlines, findAttachments, htmlToText };
@@ -0,0 +1,158 @@
+// The newsletter digest: newsletters grouped by the publication they come
+// from, with the headlines found in each issue.
+//
+// A publication is identified by its List-Id header where it sends one, so
+// a publication that mails from several addresses is still one publication,
+// and a platform that sends many publications from one address (Substack,
+// Mailchimp) is still several. Without a List-Id the sender's address is used.
+// Users can mute a publication, leaving it out of the digest, or give it a
+// priority.
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Issues and headlines per publication in a digest
+const MAX_ISSUES = 5;
+const MAX_HEADLINES = 8;
+
+// { key, name } for a List-Id header such as
+// `"Morning Brew" <morningbrew.123.list-id.mcsv.net>`, or null
+function parseListId(header) {
+  if (!header) return null;
+  const match = header.match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  const key = (match ? match[2] : header).trim().toLowerCase();
+  if (!key) return null;
+  return { key, name: match ? match[1].replace(/^"|"$/g, '').trim() : '' };
+}
+
+/**
+ * The publication a stored email is from: { key, name }. email is a
+ * gmail_messages row.
+ */
+function publicationFor(email) {
+  const listId = parseListId(email.list_id);
+  const sender = (email.from_email || '').toLowerCase();
+  return {
+    key: listId ? `list:${listId.key}` : `from:${sender}`,
+    name: listId?.name || email.from_name || sender || 'Unknown publication'
+  };
+}
+
+// The https link in a List-Unsubscribe header, if it has one. The header
+// lists mailto: and http(s) links in angle brackets, e.g.
+// `<mailto:leave@example.com>, <https://example.com/unsubscribe?u=1>`
+function unsubscribeUrl(header) {
+  const match = (header || '').match(/<(https:\/\/[^>]+)>/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check a publication setting from the dashboard: { priority, muted }.
+ * Throws on anything invalid.
+ */
+function normalizePublicationSetting({ priority = 'normal', muted = false } = {}) {
+  if (!PRIORITIES.includes(priority)) {
+    throw new Error(`Unknown priority "${priority}"`);
+  }
+  return { priority, muted: !!muted };
+}
+
+/**
+ * Group newsletter emails (gmail_messages rows, newest first, with headlines
+ * parsed) into the digest's publications. settings maps publication keys to
+ * { priority, muted }. Returns { publications, muted }: publications are the
+ * unmuted ones, high priority first and then by issue count, each
+ * { key, name, priority, issueCount, unreadCount, unsubscribeUrl, issues },
+ * and muted lists the muted ones as { key, name, priority, issueCount }.
+ */
+function groupByPublication(emails, settings = {}) {
+  const byKey = new Map();
+  for (const email of emails) {
+    const { key, name } = publicationFor(email);
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        key,
+        name,
+        priority: settings[key]?.priority || 'normal',
+        muted: !!settings[key]?.muted,
+        issueCount: 0,
+        unreadCount: 0,
+        unsubscribeUrl: null,
+        latestAt: email.timestamp,
+        issues: []
+      });
+    }
+
+    const publication = byKey.get(key);
+    publication.issueCount++;
+    if (email.isUnread) publication.unreadCount++;
+    publication.unsubscribeUrl = publication.unsubscribeUrl || unsubscribeUrl(email.list_unsubscribe);
+    if (publication.issues.length < MAX_ISSUES) {
+      publication.issues.push({
+        id: email.id,
+        threadId: email.thread_id,
+        subject: email.subject,
+        date: new Date(email.timestamp * 1000).toISOString(),
+        isUnread: email.isUnread,
+        // The opening of the issue stands in for headlines when none were found
+        ...(email.headlines.length > 0
+          ? { headlines: email.headlines.slice(0, MAX_HEADLINES) }
+          : { headlines: [], preview: email.body_preview || email.snippet })
+      });
+    }
+  }
+
+  // Lists sent from one address usually share the sender's name too
+  const all = [...byKey.values()];
+  const shared = all.filter(publication => all.some(p => p !== publication && p.name === publication.name));
+  for (const publication of shared) {
+    publication.name = `${publication.name} (${publication.key.replace(/^(list|from):/, '')})`;
+  }
+
+  const rank = (p) => PRIORITIES.indexOf(p.priority);
+  const publications = all
+    .filter(p => !p.muted)
+    .sort((a, b) => rank(a) - rank(b) || b.issueCount - a.issueCount || b.latestAt - a.latestAt)
+    .map(({ muted, latestAt, ...publication }) => publication);
+  const muted = all
+    .filter(p => p.muted)
+    .map(p => ({ key: p.key, name: p.name, priority: p.priority, issueCount: p.issueCount }));
+
+  return { publications, muted };
+}
+
+/**
+ * Add what Claude wrote (see ClaudeService.generateNewsletterDigest) to a
+ * digest from groupByPublication: an overview, and each publication's summary
+ * and highlights. Highlights are kept only if they point at an issue of that
+ * publication, and their links only if the issue has them, so a made-up
+ * link can't slip into the dashboard. Publications Claude hasn't written
+ * about, e.g. ones unmuted since, keep just their headlines.
+ */
+function withDigestWriting(digest, writing) {
+  const written = new Map((writing?.publications || []).map(p => [p.key, p]));
+
+  const publications = digest.publications.map(publication => {
+    const entry = written.get(publication.key);
+    if (!entry) return { ...publication, summary: null, highlights: null };
+
+    const issues = new Map(publication.issues.map(issue => [issue.id, issue]));
+    const highlights = (entry.highlights || [])
+      .filter(h => issues.has(h.message_id) && h.text)
+      .map(h => {
+        const issue = issues.get(h.message_id);
+        const links = issue.headlines.map(headline => headline.url).filter(Boolean);
+        return { text: h.text, url: links.includes(h.url) ? h.url : null, messageId: issue.id, threadId: issue.threadId };
+      });
+    return { ...publication, summary: entry.summary || null, highlights };
+  });
+
+  return { ...digest, overview: writing?.overview || null, publications };
+}
+
+module.exports = {
+  PRIORITIES,
+  publicationFor,
+  normalizePublicationSetting,
+  groupByPublication,
+  withDigestWriting
+};
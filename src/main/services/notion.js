@@ -1,4 +1,5 @@
 const { Client } = require('@notionhq/client');
+const { emitSyncProgress } = require('./progress');
 
 class NotionService {
   constructor(store, mainWindow, database) {
@@ -60,10 +61,12 @@ class NotionService {
       return { error: 'Database not initialized' };
     }
 
+    const startedAt = Math.floor(Date.now() / 1000);
+    emitSyncProgress(this.mainWindow, 'notion', { phase: 'started', fullSync, done: 0, total: null });
+
     try {
       // Get last sync time for incremental sync
       const lastSyncTime = this.db.getLastSyncTime('notion');
-      const monthAgo = Math.floor(Date.now() / 1000) - (30 * 24 * 60 * 60);
 
       const isIncremental = !fullSync && lastSyncTime;
       console.log(`Syncing Notion data to database (${isIncremental ? 'incremental' : 'full'} sync)...`);
@@ -76,15 +79,16 @@ class NotionService {
       });
 
       const pagesToStore = [];
-      const cutoffTime = isIncremental && lastSyncTime
-        ? new Date(lastSyncTime * 1000).toISOString()
-        : new Date(monthAgo * 1000).toISOString();
-
-      for (const page of searchResponse.results) {
-        // Skip pages older than cutoff time (for incremental sync)
-        if (page.last_edited_time < cutoffTime && isIncremental) {
-          continue;
-        }
+      // Pages edited since the last sync, and never ones older than the
+      // retention window, which would be pruned as soon as they're stored
+      const cutoff = Math.max(isIncremental ? lastSyncTime : 0, this.db.getRetentionCutoff('notion') || 0);
+      const cutoffTime = new Date(cutoff * 1000).toISOString();
+
+      const pages = searchResponse.results.filter(page => page.last_edited_time >= cutoffTime);
+      let errors = 0;
+      emitSyncProgress(this.mainWindow, 'notion', { phase: 'fetching', fullSync, done: 0, total: pages.length });
+
+      for (const [index, page] of pages.entries()) {
 
         const title = this.getPageTitle(page);
         const parentInfo = this.getParentInfo(page);
@@ -106,6 +110,7 @@ class NotionService {
           }
         } catch (e) {
           // Some pages may not be accessible
+          errors++;
         }
 
         pagesToStore.push({
@@ -119,210 +124,182 @@ class NotionService {
           contentPreview: contentPreview.trim().substring(0, 500),
           properties: this.extractProperties(page)
         });
-      }
-
-      if (pagesToStore.length > 0) {
-        this.db.bulkUpsertNotionPages(pagesToStore);
-      }
-
-      this.db.updateSyncLog('notion', pagesToStore.length);
-
-      console.log(`Notion sync complete: ${pagesToStore.length} pages stored`);
-      return { success: true, pagesStored: pagesToStore.length, isIncremental };
-    } catch (error) {
-      console.error('Notion sync error:', error);
-      return { error: error.message };
-    }
-  }
-
-  async getSummary() {
-    if (!this.client || !this.store.get('notion.authenticated')) {
-      return { error: 'Not authenticated', authenticated: false };
-    }
-
-    try {
-      // Sync to database in background
-      this.syncToDatabase().catch(err => console.error('Background Notion sync error:', err));
 
-      // Search for all accessible pages
-      const searchResponse = await this.client.search({
-        filter: { property: 'object', value: 'page' },
-        sort: { direction: 'descending', timestamp: 'last_edited_time' },
-        page_size: 20
-      });
-
-      const recentPages = [];
-      for (const page of searchResponse.results.slice(0, 5)) {
-        const title = this.getPageTitle(page);
-        recentPages.push({
-          id: page.id,
-          title: title || 'Untitled',
-          url: page.url,
-          lastEdited: page.last_edited_time,
-          icon: page.icon?.emoji || page.icon?.external?.url || null,
-          parent: this.getParentInfo(page)
-        });
+        emitSyncProgress(this.mainWindow, 'notion', { phase: 'fetching', fullSync, done: index + 1, total: pages.length, errors });
       }
 
-      // Search for databases
+      // Databases, for the workspace summary and My Journey
       const dbResponse = await this.client.search({
         filter: { property: 'object', value: 'database' },
         page_size: 20
       });
-
-      const databases = [];
-      let myJourneyDb = null;
-
-      for (const db of dbResponse.results) {
-        const title = db.title?.[0]?.plain_text || 'Untitled Database';
-        const dbInfo = {
-          id: db.id,
-          title,
-          url: db.url,
-          icon: db.icon?.emoji || null
-        };
-        databases.push(dbInfo);
-
-        // Check if this is the "My Journey" database
-        if (title.toLowerCase().includes('my journey') || title.toLowerCase().includes('journey')) {
-          myJourneyDb = db;
-        }
+      const databasesToStore = dbResponse.results.map(db => ({
+        id: db.id,
+        title: db.title?.[0]?.plain_text || 'Untitled Database',
+        url: db.url,
+        icon: db.icon?.emoji || null,
+        lastEditedTime: Math.floor(new Date(db.last_edited_time).getTime() / 1000)
+      }));
+
+      emitSyncProgress(this.mainWindow, 'notion', { phase: 'saving', fullSync, done: pages.length, total: pages.length, errors });
+      if (pagesToStore.length > 0) {
+        this.db.bulkUpsertNotionPages(pagesToStore);
       }
-
-      // Get "My Journey" database summary if found
-      let myJourneySummary = null;
-      if (myJourneyDb) {
-        myJourneySummary = await this.getMyJourneySummary(myJourneyDb);
+      if (databasesToStore.length > 0) {
+        this.db.bulkUpsertNotionDatabases(databasesToStore);
       }
 
-      // Get user info
-      const user = this.store.get('notion.user', {});
+      this.db.updateSyncLog('notion', pagesToStore.length, { startedAt, fullSync });
+      this.db.applyRetention('notion');
 
-      // Generate overall workspace summary
-      const workspaceSummary = this.generateWorkspaceSummary(searchResponse.results, databases);
-
-      return {
-        authenticated: true,
-        user,
-        totalPages: searchResponse.results.length,
-        totalDatabases: dbResponse.results.length,
-        workspaceSummary,
-        myJourneySummary,
-        recentPages,
-        databases: databases.slice(0, 5),
-        lastUpdated: new Date().toISOString()
-      };
+      console.log(`Notion sync complete: ${pagesToStore.length} pages stored`);
+      emitSyncProgress(this.mainWindow, 'notion', { phase: 'complete', fullSync, done: pages.length, total: pages.length, errors, recordsSynced: pagesToStore.length });
+      return { success: true, pagesStored: pagesToStore.length, errors, isIncremental };
     } catch (error) {
-      console.error('Notion getSummary error:', error);
+      console.error('Notion sync error:', error);
 
       // Handle token expiration or invalid token
       if (error.code === 'unauthorized') {
         this.store.set('notion.authenticated', false);
-        return { error: 'Session expired. Please re-authenticate.', authenticated: false };
       }
 
-      return { error: error.message, authenticated: true };
+      this.db.recordSyncFailure('notion', error.message, { startedAt, fullSync });
+      emitSyncProgress(this.mainWindow, 'notion', { phase: 'error', fullSync, error: error.message });
+      return { error: error.message };
     }
   }
 
-  async getMyJourneySummary(database) {
-    try {
-      // Query the database for entries
-      const response = await this.client.databases.query({
-        database_id: database.id,
-        sorts: [{ timestamp: 'last_edited_time', direction: 'descending' }],
-        page_size: 50
-      });
+  // Summaries are built from the pages syncToDatabase has stored, so loading
+  // the dashboard makes no Notion API calls and works offline
+  async getSummary() {
+    if (!this.store.get('notion.authenticated')) {
+      return { error: 'Not authenticated', authenticated: false };
+    }
 
-      const entries = response.results;
-      if (entries.length === 0) {
-        return {
-          title: database.title?.[0]?.plain_text || 'My Journey',
-          summary: 'No entries found in this database.',
-          entries: []
-        };
-      }
+    if (!this.db) {
+      return { error: 'Database not initialized', authenticated: true };
+    }
+
+    const pages = this.db.getNotionPages('all');
+    const databases = this.db.getNotionDatabases().map(db => ({
+      id: db.id,
+      title: db.title || 'Untitled Database',
+      url: db.url,
+      icon: db.icon
+    }));
+
+    const recentPages = pages.slice(0, 10).map(page => ({
+      id: page.id,
+      title: page.title || 'Untitled',
+      url: page.url,
+      lastEdited: new Date(page.last_edited_time * 1000).toISOString(),
+      parent: { type: page.parent_type, id: page.parent_id },
+      preview: page.content_preview
+    }));
+
+    // Get "My Journey" database summary if found
+    const myJourneyDb = databases.find(db => db.title.toLowerCase().includes('journey'));
+    const myJourneySummary = myJourneyDb ? this.getMyJourneySummary(myJourneyDb) : null;
+
+    // Get user info
+    const user = this.store.get('notion.user', {});
+
+    // Generate overall workspace summary
+    const workspaceSummary = this.generateWorkspaceSummary(pages, databases);
+
+    const lastSyncTime = this.db.getLastSyncTime('notion');
+
+    return {
+      authenticated: true,
+      fromDatabase: true,
+      user,
+      totalPages: pages.length,
+      totalDatabases: databases.length,
+      workspaceSummary,
+      myJourneySummary,
+      recentPages,
+      databases: databases.slice(0, 5),
+      lastUpdated: lastSyncTime ? new Date(lastSyncTime * 1000).toISOString() : null
+    };
+  }
 
-      // Analyze entries
-      const analyzedEntries = [];
-      const themes = {};
-      const timeline = {
-        thisWeek: [],
-        thisMonth: [],
-        older: []
+  // Built from the database's entries that sync has stored - those edited in
+  // the synced window, not necessarily every entry
+  getMyJourneySummary(database) {
+    const entries = this.db.getNotionPagesByParent(database.id, 50);
+    if (entries.length === 0) {
+      return {
+        title: database.title,
+        summary: 'No entries found in this database.',
+        entries: []
       };
+    }
 
-      const now = new Date();
-      const weekAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
-      const monthAgo = new Date(now - 30 * 24 * 60 * 60 * 1000);
+    // Analyze entries
+    const analyzedEntries = [];
+    const themes = {};
+    const timeline = {
+      thisWeek: [],
+      thisMonth: [],
+      older: []
+    };
 
-      for (const entry of entries) {
-        const title = this.getPageTitle(entry);
-        const lastEdited = new Date(entry.last_edited_time);
-        const created = new Date(entry.created_time);
+    const now = Math.floor(Date.now() / 1000);
+    const weekAgo = now - 7 * 24 * 60 * 60;
+    const monthAgo = now - 30 * 24 * 60 * 60;
 
-        // Extract properties for analysis
-        const properties = this.extractProperties(entry);
+    for (const entry of entries) {
+      const entryInfo = {
+        id: entry.id,
+        title: entry.title || 'Untitled',
+        url: entry.url,
+        created: new Date(entry.created_time * 1000).toISOString(),
+        lastEdited: new Date(entry.last_edited_time * 1000).toISOString(),
+        properties: entry.properties,
+        preview: entry.content_preview
+      };
 
-        const entryInfo = {
-          id: entry.id,
-          title: title || 'Untitled',
-          url: entry.url,
-          created: entry.created_time,
-          lastEdited: entry.last_edited_time,
-          properties,
-          icon: entry.icon?.emoji || null
-        };
-
-        analyzedEntries.push(entryInfo);
-
-        // Categorize by time
-        if (lastEdited >= weekAgo) {
-          timeline.thisWeek.push(entryInfo);
-        } else if (lastEdited >= monthAgo) {
-          timeline.thisMonth.push(entryInfo);
-        } else {
-          timeline.older.push(entryInfo);
-        }
+      analyzedEntries.push(entryInfo);
 
-        // Extract themes from title and properties
-        this.extractThemes(title, properties, themes);
+      // Categorize by time
+      if (entry.last_edited_time >= weekAgo) {
+        timeline.thisWeek.push(entryInfo);
+      } else if (entry.last_edited_time >= monthAgo) {
+        timeline.thisMonth.push(entryInfo);
+      } else {
+        timeline.older.push(entryInfo);
       }
 
-      // Get top themes
-      const topThemes = Object.entries(themes)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10)
-        .map(([theme, count]) => ({ theme, count }));
-
-      // Generate summary text
-      const summaryText = this.generateJourneySummary(timeline, topThemes, analyzedEntries);
-
-      // Fetch content from recent entries for deeper insights
-      const recentInsights = await this.getRecentEntryInsights(timeline.thisWeek.slice(0, 5));
-
-      return {
-        title: database.title?.[0]?.plain_text || 'My Journey',
-        totalEntries: entries.length,
-        summary: summaryText,
-        recentInsights,
-        timeline: {
-          thisWeek: timeline.thisWeek.length,
-          thisMonth: timeline.thisMonth.length,
-          older: timeline.older.length
-        },
-        topThemes,
-        recentEntries: analyzedEntries.slice(0, 5),
-        hasMore: entries.length > 5
-      };
-    } catch (error) {
-      console.error('Error fetching My Journey summary:', error);
-      return {
-        title: 'My Journey',
-        error: error.message,
-        summary: 'Unable to fetch journey summary.'
-      };
+      // Extract themes from title and properties
+      this.extractThemes(entry.title, entry.properties, themes);
     }
+
+    // Get top themes
+    const topThemes = Object.entries(themes)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([theme, count]) => ({ theme, count }));
+
+    // Generate summary text
+    const summaryText = this.generateJourneySummary(timeline, topThemes, analyzedEntries);
+
+    // Content from recent entries for deeper insights
+    const recentInsights = this.getRecentEntryInsights(timeline.thisWeek.slice(0, 5));
+
+    return {
+      title: database.title,
+      totalEntries: entries.length,
+      summary: summaryText,
+      recentInsights,
+      timeline: {
+        thisWeek: timeline.thisWeek.length,
+        thisMonth: timeline.thisMonth.length,
+        older: timeline.older.length
+      },
+      topThemes,
+      recentEntries: analyzedEntries.slice(0, 5).map(({ preview, ...entry }) => entry),
+      hasMore: entries.length > 5
+    };
   }
 
   extractProperties(page) {
@@ -421,38 +398,15 @@ class NotionService {
     return parts.join('. ');
   }
 
-  async getRecentEntryInsights(entries) {
-    const insights = [];
-
-    for (const entry of entries) {
-      try {
-        // Fetch page content blocks
-        const blocks = await this.client.blocks.children.list({
-          block_id: entry.id,
-          page_size: 20
-        });
-
-        let contentPreview = '';
-        for (const block of blocks.results) {
-          const text = this.extractBlockText(block);
-          if (text) {
-            contentPreview += text + ' ';
-            if (contentPreview.length > 300) break;
-          }
-        }
-
-        insights.push({
-          title: entry.title,
-          url: entry.url,
-          preview: contentPreview.trim().substring(0, 200) + (contentPreview.length > 200 ? '...' : ''),
-          lastEdited: entry.lastEdited
-        });
-      } catch (error) {
-        console.error(`Error fetching content for ${entry.title}:`, error);
-      }
-    }
-
-    return insights;
+  getRecentEntryInsights(entries) {
+    return entries
+      .filter(entry => entry.preview)
+      .map(entry => ({
+        title: entry.title,
+        url: entry.url,
+        preview: entry.preview.substring(0, 200) + (entry.preview.length > 200 ? '...' : ''),
+        lastEdited: entry.lastEdited
+      }));
   }
 
   extractBlockText(block) {
@@ -475,12 +429,11 @@ class NotionService {
   generateWorkspaceSummary(pages, databases) {
     const parts = [];
 
-    // Page activity
-    const now = new Date();
-    const weekAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
-    const recentPages = pages.filter(p => new Date(p.last_edited_time) >= weekAgo);
+    // Page activity (pages are stored rows, times in unix seconds)
+    const weekAgo = Math.floor(Date.now() / 1000) - 7 * 24 * 60 * 60;
+    const recentPages = pages.filter(p => p.last_edited_time >= weekAgo);
 
-    parts.push(`${pages.length} pages in workspace`);
+    parts.push(`${pages.length} synced pages`);
     if (recentPages.length > 0) {
       parts.push(`${recentPages.length} edited this week`);
     }
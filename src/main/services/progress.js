@@ -0,0 +1,15 @@
+// Sync progress for the dashboard. Each service's syncToDatabase reports its
+// phases (started, fetching, saving, complete or error) as 'sync-progress'
+// events, tagged with the source they're for.
+
+/**
+ * Send one progress update for source to the renderer, if its window is
+ * still open. progress is { phase, fullSync, done, total, ... }.
+ */
+function emitSyncProgress(mainWindow, source, progress) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('sync-progress', { source, ...progress, at: Date.now() });
+  }
+}
+
+module.exports = { emitSyncProgress };
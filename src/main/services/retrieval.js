@@ -0,0 +1,320 @@
+// Picks the rows from the local database that are most relevant to a question,
+// so Ask AI can answer from the full synced history instead of a live summary.
+
+// Rough token estimate - Claude averages about 4 characters per token
+const CHARS_PER_TOKEN = 4;
+
+// Default context budget for retrieved excerpts
+const DEFAULT_TOKEN_BUDGET = 6000;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const MONTH_ALIASES = {
+  jan: 0, feb: 1, mar: 2, apr: 3, jun: 5, jul: 6, aug: 7,
+  sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+};
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been',
+  'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
+  'can', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'as', 'about', 'into',
+  'and', 'but', 'if', 'or', 'so', 'than', 'then', 'there', 'this', 'that', 'these', 'those',
+  'what', 'which', 'who', 'whom', 'when', 'where', 'why', 'how', 'any', 'all', 'some',
+  'i', 'me', 'my', 'we', 'our', 'you', 'your', 'he', 'him', 'his', 'she', 'her', 'it', 'its',
+  'they', 'them', 'their', 'say', 'said', 'says', 'tell', 'told', 'ask', 'asked', 'anyone',
+  'someone', 'anything', 'something', 'email', 'emails', 'message', 'messages', 'mention',
+  'mentioned', 'talk', 'talked', 'discuss', 'discussed', 'get', 'got', 'know', 'please',
+  'today', 'yesterday', 'week', 'month', 'last', 'past', 'this', 'days', 'ago', 'recent',
+  'recently', 'latest', 'whatsapp', 'gmail', 'notion', 'page', 'pages', 'chat', 'chats']);
+
+const DAY = 24 * 60 * 60;
+
+class RetrievalService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Find the rows most relevant to a question and pack them into a token budget.
+   * Returns { excerpts, sources, dateRange, keywords } where excerpts is the
+   * compact context for Claude and sources are the rows used (search-hit shape).
+   * For a follow-up like "and what about last week?", previousQuestion fills in
+   * whatever the new question leaves out - its keywords or its date range.
+   */
+  retrieve(question, { sources = ['whatsapp', 'gmail', 'notion'], tokenBudget = DEFAULT_TOKEN_BUDGET, previousQuestion = null } = {}) {
+    let keywords = this.extractKeywords(question);
+    let dateRange = this.extractDateRange(question);
+
+    if (previousQuestion) {
+      if (keywords.length === 0) keywords = this.extractKeywords(previousQuestion);
+      if (!dateRange) dateRange = this.extractDateRange(previousQuestion);
+    }
+
+    let hits = [];
+    if (keywords.length > 0) {
+      hits = this.db.search(keywords.join(' '), {
+        sources,
+        from: dateRange?.from,
+        to: dateRange?.to,
+        matchAny: true,
+        limit: 100
+      });
+    }
+
+    // Nothing matched (or a question like "what happened this week?"): fall
+    // back to the most recent rows in the requested window
+    if (hits.length === 0) {
+      const from = dateRange?.from || Math.floor(Date.now() / 1000) - (7 * DAY);
+      const to = dateRange?.to;
+      for (const source of sources) {
+        const rows = this.db.getRecentRecords(source, { from, to, limit: 40 });
+        hits.push(...rows.map(r => ({ source, id: r.id })));
+      }
+    }
+
+    // When searching several sources, interleave them so one busy source
+    // can't use up the whole budget
+    if (sources.length > 1) {
+      hits = this.interleaveBySource(hits, sources);
+    }
+
+    const records = this.loadRecords(hits);
+    const excerpts = [];
+    const used = [];
+    let remaining = tokenBudget;
+
+    for (const hit of hits) {
+      const record = records.get(`${hit.source}:${hit.id}`);
+      if (!record) continue;
+
+      const excerpt = this.toExcerpt(hit.source, record);
+      // Found through an attachment: include what matched in it
+      if (hit.attachment) {
+        const attachment = this.db.getGmailAttachment(hit.attachment.id);
+        excerpt.attachment = {
+          filename: hit.attachment.filename,
+          text: (attachment?.text_content || '').substring(0, 1000)
+        };
+      }
+      const cost = Math.ceil(JSON.stringify(excerpt).length / CHARS_PER_TOKEN);
+      if (cost > remaining) continue;
+
+      excerpts.push(excerpt);
+      used.push(this.toSource(hit.source, record));
+      remaining -= cost;
+    }
+
+    return {
+      keywords,
+      sourcesSearched: sources,
+      dateRange: dateRange ? { from: dateRange.from, to: dateRange.to, label: dateRange.label } : null,
+      excerpts,
+      sources: used
+    };
+  }
+
+  // Round-robin hits across sources, keeping each source's own ranking
+  interleaveBySource(hits, sources) {
+    const queues = sources.map(source => hits.filter(h => h.source === source));
+    const merged = [];
+    while (queues.some(q => q.length > 0)) {
+      for (const queue of queues) {
+        if (queue.length > 0) merged.push(queue.shift());
+      }
+    }
+    return merged;
+  }
+
+  // Load the full rows for a list of hits, keyed by "source:id"
+  loadRecords(hits) {
+    const idsBySource = {};
+    for (const hit of hits) {
+      if (!idsBySource[hit.source]) idsBySource[hit.source] = [];
+      idsBySource[hit.source].push(hit.id);
+    }
+
+    const records = new Map();
+    for (const [source, ids] of Object.entries(idsBySource)) {
+      for (const row of this.db.getRecordsByIds(source, ids)) {
+        records.set(`${source}:${row.id}`, row);
+      }
+    }
+    return records;
+  }
+
+  toExcerpt(source, r) {
+    if (source === 'whatsapp') {
+      return {
+        id: r.id,
+        source,
+        chat: r.chat_name,
+        sender: r.from_me ? 'You' : r.sender,
+        time: new Date(r.timestamp * 1000).toISOString(),
+        text: (r.body || '').substring(0, 1000)
+      };
+    }
+    if (source === 'gmail') {
+      return {
+        id: r.id,
+        source,
+        from: r.from_name ? `${r.from_name} <${r.from_email}>` : r.from_email,
+        subject: r.subject,
+        time: new Date(r.timestamp * 1000).toISOString(),
+        text: r.body_preview || r.snippet || ''
+      };
+    }
+    return {
+      id: r.id,
+      source,
+      title: r.title,
+      lastEdited: new Date(r.last_edited_time * 1000).toISOString(),
+      text: r.content_preview || ''
+    };
+  }
+
+  // Same shape as DatabaseService.search hits, so the UI can link back
+  toSource(source, r) {
+    if (source === 'whatsapp') {
+      return {
+        source,
+        id: r.id,
+        title: r.chat_name,
+        sender: r.from_me ? 'You' : r.sender,
+        timestamp: r.timestamp,
+        chatId: r.chat_id,
+        chatName: r.chat_name
+      };
+    }
+    if (source === 'gmail') {
+      return {
+        source,
+        id: r.id,
+        title: r.subject || '(no subject)',
+        sender: r.from_name || r.from_email,
+        timestamp: r.timestamp,
+        threadId: r.thread_id,
+        accountId: r.account_id
+      };
+    }
+    return {
+      source,
+      id: r.id,
+      title: r.title || 'Untitled',
+      timestamp: r.last_edited_time,
+      url: r.url
+    };
+  }
+
+  // Find the [cite:ID] markers in Claude's output and look each id up in the
+  // database, so the UI can link a citation back to the original item.
+  // Returns { [id]: source } for every id that was found.
+  resolveCitations(text) {
+    const ids = [...new Set([...(text || '').matchAll(/\[cite:([^\]\s]+)\]/g)].map(m => m[1]))];
+    return this.resolveIds(ids);
+  }
+
+  // Look up item ids from any source. Returns { [id]: source } for those found.
+  resolveIds(ids) {
+    const citations = {};
+    if (ids.length === 0) return citations;
+
+    for (const source of ['whatsapp', 'gmail', 'notion']) {
+      for (const row of this.db.getRecordsByIds(source, ids)) {
+        citations[row.id] = this.toSource(source, row);
+      }
+    }
+    return citations;
+  }
+
+  extractKeywords(question) {
+    const words = (question || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(w => w.length > 0);
+
+    const keywords = words.filter(w =>
+      (w.length > 2 || /^\d+$/.test(w)) &&
+      !STOP_WORDS.has(w) &&
+      !MONTHS.includes(w) &&
+      !(w in MONTH_ALIASES) &&
+      !/^(19|20)\d\d$/.test(w)
+    );
+
+    return [...new Set(keywords)];
+  }
+
+  /**
+   * Work out the time window a question refers to, e.g. "yesterday",
+   * "last week", "in the past 3 days" or "in September".
+   * Returns { from, to, label } in unix seconds, or null if none is mentioned.
+   */
+  extractDateRange(question, now = new Date()) {
+    const q = (question || '').toLowerCase();
+    const toSeconds = (date) => Math.floor(date.getTime() / 1000);
+    const nowSeconds = toSeconds(now);
+
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
+
+    if (/\btoday\b/.test(q)) {
+      return { from: toSeconds(startOfToday), to: nowSeconds, label: 'today' };
+    }
+
+    if (/\byesterday\b/.test(q)) {
+      const start = new Date(startOfToday);
+      start.setDate(start.getDate() - 1);
+      return { from: toSeconds(start), to: toSeconds(startOfToday) - 1, label: 'yesterday' };
+    }
+
+    const lastDays = q.match(/\b(?:last|past)\s+(\d+)\s+days?\b/);
+    if (lastDays) {
+      const days = parseInt(lastDays[1], 10);
+      return { from: nowSeconds - days * DAY, to: nowSeconds, label: `last ${days} days` };
+    }
+
+    if (/\blast week\b/.test(q)) {
+      return { from: nowSeconds - 14 * DAY, to: nowSeconds - 7 * DAY, label: 'last week' };
+    }
+
+    if (/\b(?:this|past) week\b/.test(q)) {
+      return { from: nowSeconds - 7 * DAY, to: nowSeconds, label: 'this week' };
+    }
+
+    if (/\blast month\b/.test(q)) {
+      const start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+      const end = new Date(now.getFullYear(), now.getMonth(), 1);
+      return { from: toSeconds(start), to: toSeconds(end) - 1, label: 'last month' };
+    }
+
+    if (/\b(?:this|past) month\b/.test(q)) {
+      const start = new Date(now.getFullYear(), now.getMonth(), 1);
+      return { from: toSeconds(start), to: nowSeconds, label: 'this month' };
+    }
+
+    // Named month, e.g. "in September" or "sept 2025"
+    const monthMatch = q.match(new RegExp(`\\b(${[...MONTHS, ...Object.keys(MONTH_ALIASES)].join('|')})\\b(?:\\s+(\\d{4}))?`));
+    // "may" is usually the verb, so only treat it as a month in context
+    const isMonth = monthMatch && (monthMatch[1] !== 'may' || monthMatch[2] || /\b(?:in|during|of|since|early|late|mid)\s+may\b/.test(q));
+    if (isMonth) {
+      const month = MONTHS.includes(monthMatch[1]) ? MONTHS.indexOf(monthMatch[1]) : MONTH_ALIASES[monthMatch[1]];
+      let year = monthMatch[2] ? parseInt(monthMatch[2], 10) : now.getFullYear();
+
+      // Without a year, assume the most recent such month that isn't in the future
+      if (!monthMatch[2] && month > now.getMonth()) {
+        year -= 1;
+      }
+
+      const start = new Date(year, month, 1);
+      const end = new Date(year, month + 1, 1);
+      return {
+        from: toSeconds(start),
+        to: Math.min(toSeconds(end) - 1, nowSeconds),
+        label: `${MONTHS[month].charAt(0).toUpperCase() + MONTHS[month].slice(1)} ${year}`
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = RetrievalService;
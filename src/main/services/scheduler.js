@@ -0,0 +1,209 @@
+const { powerMonitor, net } = require('electron');
+
+// Default minutes between incremental syncs per source
+const DEFAULT_INTERVALS = {
+  whatsapp: 10,
+  gmail: 15,
+  notion: 30
+};
+
+// Interval choices accepted from settings, in minutes
+const MIN_INTERVAL = 5;
+const MAX_INTERVAL = 24 * 60;
+
+// Backoff after a failed sync: doubles from BACKOFF_BASE_MS per consecutive
+// failure up to BACKOFF_MAX_MS, with "equal jitter" (half of that plus a
+// random amount up to the other half) so sources that failed together don't
+// retry together
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// How often due syncs are checked for
+const TICK_MS = 30 * 1000;
+
+// Wait a little after startup so syncing doesn't compete with the first dashboard load
+const STARTUP_DELAY_MS = 15 * 1000;
+
+/**
+ * Runs each connected source's incremental syncToDatabase on an interval.
+ *
+ * sources maps a source name to { isConnected(), sync(fullSync) }, where sync
+ * resolves to the service's syncToDatabase result ({ error } on failure).
+ * Syncs pause while the machine is offline or (by default) on battery, and a
+ * source never has two syncs running at once - including manual ones started
+ * through runNow. A full sync asked for while an incremental one runs is
+ * queued to start when it finishes.
+ */
+class SyncScheduler {
+  constructor(sources, settings = {}) {
+    this.sources = sources;
+    this.timer = null;
+    this.state = {};
+
+    const now = Date.now();
+    for (const source of Object.keys(sources)) {
+      this.state[source] = {
+        running: null, // promise of the sync in progress
+        runningFull: false,
+        queuedFull: null, // promise of a full sync waiting for running to finish
+        nextRunAt: now + STARTUP_DELAY_MS,
+        lastRunAt: null,
+        lastResult: null,
+        failures: 0
+      };
+    }
+
+    this.setSettings(settings);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // settings: { intervals: { [source]: minutes }, pauseOnBattery }
+  setSettings(settings = {}) {
+    this.settings = this.normalizeSettings(settings);
+  }
+
+  normalizeSettings(settings = {}) {
+    const intervals = {};
+    for (const source of Object.keys(this.sources)) {
+      const minutes = Number(settings.intervals?.[source]);
+      intervals[source] = Number.isFinite(minutes)
+        ? Math.min(MAX_INTERVAL, Math.max(MIN_INTERVAL, Math.round(minutes)))
+        : DEFAULT_INTERVALS[source];
+    }
+    return {
+      intervals,
+      pauseOnBattery: settings.pauseOnBattery !== false
+    };
+  }
+
+  // Why syncing is paused right now, or null if it isn't
+  getPauseReason() {
+    if (!net.isOnline()) return 'offline';
+    if (this.settings.pauseOnBattery && powerMonitor.isOnBatteryPower()) return 'battery';
+    return null;
+  }
+
+  tick() {
+    if (this.getPauseReason()) return;
+
+    const now = Date.now();
+    for (const [source, state] of Object.entries(this.state)) {
+      if (state.running || now < state.nextRunAt) continue;
+
+      if (!this.sources[source].isConnected()) {
+        // Check again next interval in case it gets connected
+        state.nextRunAt = now + this.intervalMs(source);
+        continue;
+      }
+
+      this.run(source).catch(error => console.error(`Scheduled ${source} sync error:`, error));
+    }
+  }
+
+  /**
+   * Sync a source now, outside the schedule. If a sync of that source is
+   * already running, resolves with its result instead of starting another -
+   * unless this is a full sync and that one isn't, in which case the full
+   * sync starts once it's done and this resolves with the full sync's result.
+   */
+  runNow(source, fullSync = false) {
+    if (!this.state[source]) {
+      return Promise.resolve({ error: `Unknown source: ${source}` });
+    }
+    if (!this.sources[source].isConnected()) {
+      return Promise.resolve({ error: 'Not connected' });
+    }
+    return this.run(source, fullSync);
+  }
+
+  run(source, fullSync = false) {
+    const state = this.state[source];
+    if (state.running) {
+      if (!fullSync || state.runningFull) {
+        return state.running;
+      }
+      if (!state.queuedFull) {
+        state.queuedFull = state.running.then(() => {
+          state.queuedFull = null;
+          return this.run(source, true);
+        });
+      }
+      return state.queuedFull;
+    }
+
+    state.runningFull = fullSync;
+    state.running = this.sources[source].sync(fullSync)
+      .catch(error => ({ error: error.message }))
+      .then(result => {
+        this.recordResult(source, result || {});
+        return result;
+      })
+      .finally(() => {
+        state.running = null;
+        state.runningFull = false;
+      });
+
+    return state.running;
+  }
+
+  recordResult(source, result) {
+    const state = this.state[source];
+    const now = Date.now();
+    state.lastRunAt = now;
+    state.lastResult = result;
+
+    if (result.error) {
+      state.failures += 1;
+      state.nextRunAt = now + this.backoffMs(state.failures);
+    } else {
+      state.failures = 0;
+      // +/-10% so sources with the same interval drift apart
+      state.nextRunAt = now + Math.round(this.intervalMs(source) * (0.9 + Math.random() * 0.2));
+    }
+  }
+
+  intervalMs(source) {
+    return this.settings.intervals[source] * 60 * 1000;
+  }
+
+  backoffMs(failures) {
+    const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, failures - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  getStatus() {
+    const sources = {};
+    for (const [source, state] of Object.entries(this.state)) {
+      sources[source] = {
+        connected: this.sources[source].isConnected(),
+        running: !!state.running,
+        fullSyncQueued: !!state.queuedFull,
+        intervalMinutes: this.settings.intervals[source],
+        nextRunAt: state.nextRunAt,
+        lastRunAt: state.lastRunAt,
+        lastResult: state.lastResult,
+        failures: state.failures
+      };
+    }
+
+    return {
+      paused: !!this.getPauseReason(),
+      pauseReason: this.getPauseReason(),
+      pauseOnBattery: this.settings.pauseOnBattery,
+      sources
+    };
+  }
+}
+
+SyncScheduler.DEFAULT_INTERVALS = DEFAULT_INTERVALS;
+
+module.exports = SyncScheduler;
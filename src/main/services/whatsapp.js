@@ -2,6 +2,7 @@ const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const path = require('path');
 const { app } = require('electron');
+const { emitSyncProgress } = require('./progress');
 
 class WhatsAppService {
   constructor(store, mainWindow, database) {
@@ -161,16 +162,25 @@ class WhatsAppService {
 
     let totalMessages = 0;
     let newMessages = 0;
+    let errors = 0;
+
+    const startedAt = Math.floor(Date.now() / 1000);
+    emitSyncProgress(this.mainWindow, 'whatsapp', { phase: 'started', fullSync, done: 0, total: null });
 
     try {
       const chats = await this.withTimeout(this.client.getChats(), 30000, []);
 
       if (!chats || chats.length === 0) {
         console.log('No chats available for sync');
+        this.db.recordSyncFailure('whatsapp', 'No chats available', { startedAt, fullSync });
+        emitSyncProgress(this.mainWindow, 'whatsapp', { phase: 'error', fullSync, error: 'No chats available' });
         return { error: 'No chats available', newMessages: 0 };
       }
 
-      for (const chat of chats.slice(0, 50)) {
+      const chatsToSync = chats.slice(0, 50);
+      emitSyncProgress(this.mainWindow, 'whatsapp', { phase: 'fetching', fullSync, done: 0, total: chatsToSync.length });
+
+      for (const [index, chat] of chatsToSync.entries()) {
         const chatName = chat.name || chat.id.user || 'Unknown';
         const chatId = chat.id._serialized;
 
@@ -180,13 +190,20 @@ class WhatsAppService {
           name: chatName,
           isGroup: chat.isGroup,
           participantCount: chat.participants?.length || 0,
-          lastMessageAt: chat.timestamp || 0
+          lastMessageAt: chat.timestamp || 0,
+          unreadCount: chat.unreadCount || 0
         });
 
         // For incremental sync, fetch fewer messages (most recent only)
         // For full sync, fetch more to cover the month (with timeout)
         const fetchLimit = isIncremental ? 100 : 500;
-        const messages = await this.withTimeout(chat.fetchMessages({ limit: fetchLimit }), 15000, []);
+        const messages = await this.withTimeout(chat.fetchMessages({ limit: fetchLimit }), 15000, null);
+        if (!messages) {
+          // Timed out - carry on with the other chats
+          errors++;
+          emitSyncProgress(this.mainWindow, 'whatsapp', { phase: 'fetching', fullSync, done: index + 1, total: chatsToSync.length, errors, error: `Timed out fetching ${chatName}` });
+          continue;
+        }
 
         // Filter to messages newer than sync time
         const newMsgs = messages.filter(m => m.timestamp > syncFromTime);
@@ -208,14 +225,19 @@ class WhatsAppService {
           newMessages += messagesToStore.length;
         }
         totalMessages += messages.length;
+        emitSyncProgress(this.mainWindow, 'whatsapp', { phase: 'fetching', fullSync, done: index + 1, total: chatsToSync.length, errors });
       }
 
-      this.db.updateSyncLog('whatsapp', newMessages);
+      this.db.updateSyncLog('whatsapp', newMessages, { startedAt, fullSync });
+      this.db.applyRetention('whatsapp');
 
       console.log(`WhatsApp sync complete: ${newMessages} new messages stored (${totalMessages} total checked)`);
-      return { success: true, newMessages, totalChecked: totalMessages, isIncremental };
+      emitSyncProgress(this.mainWindow, 'whatsapp', { phase: 'complete', fullSync, done: chatsToSync.length, total: chatsToSync.length, errors, recordsSynced: newMessages });
+      return { success: true, newMessages, totalChecked: totalMessages, errors, isIncremental };
     } catch (error) {
       console.error('WhatsApp sync error:', error);
+      this.db.recordSyncFailure('whatsapp', error.message, { startedAt, fullSync });
+      emitSyncProgress(this.mainWindow, 'whatsapp', { phase: 'error', fullSync, error: error.message });
       return { error: error.message };
     }
   }
@@ -229,13 +251,14 @@ class WhatsAppService {
     return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
   }
 
+  // Summaries are built from the local database, which syncToDatabase keeps
+  // current - so they work offline and never wait on the WhatsApp client
   async getSummary(timeFilter = 'all') {
-    if (!this.isReady || !this.client) {
-      // Try to return cached data from database if available
-      const dbData = this.getFromDatabase(timeFilter);
-      if (dbData && dbData.totalMessages > 0) {
-        return dbData;
-      }
+    if (!this.db) {
+      return { error: 'Database not initialized', authenticated: this.isReady };
+    }
+
+    if (!this.isReady && !this.db.getLastSyncTime('whatsapp')) {
       return {
         error: 'WhatsApp not connected',
         authenticated: false,
@@ -243,101 +266,7 @@ class WhatsAppService {
       };
     }
 
-    try {
-      // Sync to database first (in background for fresh data)
-      this.syncToDatabase().catch(err => console.error('Background sync error:', err));
-
-      // Get all chats with timeout
-      const chats = await this.withTimeout(this.client.getChats(), 30000, []);
-
-      if (!chats || chats.length === 0) {
-        const dbData = this.getFromDatabase(timeFilter);
-        if (dbData) return dbData;
-        return { error: 'Could not fetch chats', authenticated: this.isReady };
-      }
-
-      // Calculate time boundaries
-      const now = Date.now() / 1000;
-      const todayStart = new Date();
-      todayStart.setHours(0, 0, 0, 0);
-      const todayTimestamp = todayStart.getTime() / 1000;
-      const weekAgo = now - (7 * 24 * 60 * 60);
-      const monthAgo = now - (30 * 24 * 60 * 60);
-
-      // Count unread messages
-      let totalUnread = 0;
-      const groupSummaries = [];
-      const contactSummaries = [];
-
-      // Process chats for summaries
-      for (const chat of chats.slice(0, 30)) {
-        totalUnread += chat.unreadCount || 0;
-
-        // Fetch messages - get more for month view (with timeout)
-        const limit = timeFilter === 'month' ? 500 : 100;
-        const messages = await this.withTimeout(chat.fetchMessages({ limit }), 15000, []);
-
-        if (messages.length > 0) {
-          // Filter messages based on timeFilter
-          let filteredMessages = messages;
-          if (timeFilter === 'today') {
-            filteredMessages = messages.filter(m => m.timestamp >= todayTimestamp);
-          } else if (timeFilter === 'week') {
-            filteredMessages = messages.filter(m => m.timestamp >= weekAgo);
-          } else if (timeFilter === 'month') {
-            filteredMessages = messages.filter(m => m.timestamp >= monthAgo);
-          }
-
-          // Only include if there are messages in the time period
-          if (filteredMessages.length > 0) {
-            const chatSummary = await this.generateChatSummary(chat, filteredMessages, timeFilter);
-
-            if (chat.isGroup) {
-              groupSummaries.push(chatSummary);
-            } else {
-              contactSummaries.push(chatSummary);
-            }
-          }
-        }
-      }
-
-      // Sort by activity (unread first, then by timestamp)
-      groupSummaries.sort((a, b) => (b.unreadCount || 0) - (a.unreadCount || 0) || (b.lastActivity || 0) - (a.lastActivity || 0));
-      contactSummaries.sort((a, b) => (b.unreadCount || 0) - (a.unreadCount || 0) || (b.lastActivity || 0) - (a.lastActivity || 0));
-
-      // Get contact count (with timeout)
-      const contacts = await this.withTimeout(this.client.getContacts(), 10000, []);
-      const savedContacts = contacts ? contacts.filter(c => c.isMyContact).length : 0;
-
-      // Generate overall summary
-      const overallSummary = this.generateOverallSummary(groupSummaries, contactSummaries, totalUnread);
-
-      return {
-        authenticated: true,
-        timeFilter,
-        totalUnread,
-        totalChats: chats.length,
-        totalGroups: groupSummaries.length,
-        totalContacts: contactSummaries.length,
-        savedContacts,
-        overallSummary,
-        chats: [...groupSummaries.slice(0, 10), ...contactSummaries.slice(0, 10)],
-        groupSummaries: groupSummaries.slice(0, 10),
-        contactSummaries: contactSummaries.slice(0, 10),
-        lastUpdated: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('WhatsApp getSummary error:', error);
-      // If we get a protocol error, try returning cached data
-      if (error.message?.includes('Protocol error') || error.message?.includes('Promise was collected')) {
-        const dbData = this.getFromDatabase(timeFilter);
-        if (dbData && dbData.totalMessages > 0) {
-          dbData.warning = 'Using cached data due to connection issue';
-          return dbData;
-        }
-      }
-      return { error: error.message, authenticated: this.isReady };
-    }
+    return this.getFromDatabase(timeFilter);
   }
 
   // Get summary filtered for today only
@@ -355,14 +284,12 @@ class WhatsAppService {
     return this.getSummary('month');
   }
 
-  // Get data from database (for when WhatsApp is disconnected)
   getFromDatabase(timeFilter = 'all') {
-    if (!this.db) return null;
-
     const messages = this.db.getWhatsAppMessages(timeFilter);
     const chats = this.db.getWhatsAppChats();
+    const lastSyncTime = this.db.getLastSyncTime('whatsapp');
 
-    // Group messages by chat
+    // Group messages by chat (newest first)
     const chatMessages = {};
     for (const msg of messages) {
       if (!chatMessages[msg.chat_id]) {
@@ -371,59 +298,82 @@ class WhatsAppService {
       chatMessages[msg.chat_id].push(msg);
     }
 
+    let totalUnread = 0;
+    const groupSummaries = [];
+    const contactSummaries = [];
+
+    for (const chat of chats) {
+      totalUnread += chat.unread_count || 0;
+
+      // Only include chats with messages in the time period
+      if (!chatMessages[chat.id]) continue;
+
+      const chatSummary = this.generateChatSummary(chat, chatMessages[chat.id], timeFilter);
+      if (chatSummary.isGroup) {
+        groupSummaries.push(chatSummary);
+      } else {
+        contactSummaries.push(chatSummary);
+      }
+    }
+
+    // Sort by activity (unread first, then by timestamp)
+    groupSummaries.sort((a, b) => (b.unreadCount || 0) - (a.unreadCount || 0) || (b.lastActivity || 0) - (a.lastActivity || 0));
+    contactSummaries.sort((a, b) => (b.unreadCount || 0) - (a.unreadCount || 0) || (b.lastActivity || 0) - (a.lastActivity || 0));
+
+    const overallSummary = this.generateOverallSummary(groupSummaries, contactSummaries, totalUnread);
+
     return {
       authenticated: true,
       fromDatabase: true,
+      timeFilter,
+      totalUnread,
       totalMessages: messages.length,
       totalChats: chats.length,
-      chats: chats.map(c => ({
-        ...c,
-        messages: chatMessages[c.id] || []
-      })),
-      lastUpdated: new Date().toISOString()
+      totalGroups: groupSummaries.length,
+      totalContacts: contactSummaries.length,
+      overallSummary,
+      chats: [...groupSummaries.slice(0, 10), ...contactSummaries.slice(0, 10)],
+      groupSummaries: groupSummaries.slice(0, 10),
+      contactSummaries: contactSummaries.slice(0, 10),
+      lastUpdated: lastSyncTime ? new Date(lastSyncTime * 1000).toISOString() : null
     };
   }
 
-  async generateChatSummary(chat, messages, timeFilter) {
-    const name = chat.name || chat.id.user || 'Unknown';
-    const isGroup = chat.isGroup;
-    const unreadCount = chat.unreadCount || 0;
-
-    // Get participant info for groups
-    let participants = [];
-    if (isGroup && chat.participants) {
-      participants = chat.participants.map(p => p.id.user);
-    }
+  // chat is a whatsapp_chats row and messages are its stored messages, newest first
+  generateChatSummary(chat, messages, timeFilter) {
+    const isGroup = chat.is_group === 1;
 
     // Analyze messages
     const messageAnalysis = this.analyzeMessages(messages, isGroup);
 
-    // Extract actual message content for better AI summaries
+    // The latest messages, in the order they were sent, for better AI summaries
     const messageExcerpts = messages
       .filter(m => m.body && m.body.length > 5)
       .slice(0, 20)
+      .reverse()
       .map(m => ({
+        id: m.id,
         text: m.body.substring(0, 200),
-        sender: this.formatSender(m.author || m.from),
-        fromMe: m.fromMe,
+        sender: m.sender,
+        fromMe: m.from_me === 1,
         time: new Date(m.timestamp * 1000).toLocaleTimeString()
       }));
 
     // Build summary
     const summary = {
-      id: chat.id._serialized,
-      name,
+      id: chat.id,
+      name: chat.name || 'Unknown',
       isGroup,
-      unreadCount,
+      unreadCount: chat.unread_count || 0,
       timeFilter,
-      lastActivity: messages[0]?.timestamp || chat.timestamp,
+      lastActivity: messages[0]?.timestamp || chat.last_message_at,
       messageCount: messages.length,
       messageExcerpts, // Include actual messages for AI
       ...messageAnalysis
     };
 
     if (isGroup) {
-      summary.participantCount = participants.length;
+      summary.participantCount = chat.participant_count || 0;
       summary.activeParticipants = messageAnalysis.activeSenders?.slice(0, 5) || [];
     }
 
@@ -451,22 +401,22 @@ class WhatsAppService {
     const wordFrequency = {};
 
     for (const msg of recentMessages) {
+      const fromMe = msg.from_me === 1;
+
       // Track senders
-      const sender = msg.author || msg.from;
-      if (sender && !msg.fromMe) {
-        const senderName = this.formatSender(sender);
-        senderCounts[senderName] = (senderCounts[senderName] || 0) + 1;
+      if (msg.sender && !fromMe) {
+        senderCounts[msg.sender] = (senderCounts[msg.sender] || 0) + 1;
       }
 
       // Categorize message type
-      if (msg.hasMedia) {
+      if (msg.has_media === 1) {
         mediaCount++;
       } else if (msg.body) {
         textMessages.push({
           body: msg.body,
-          fromMe: msg.fromMe,
+          fromMe,
           timestamp: msg.timestamp,
-          sender: this.formatSender(msg.author || msg.from)
+          sender: msg.sender || 'Unknown'
         });
 
         // Check for links
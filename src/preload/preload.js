@@ -12,7 +12,20 @@ contextBridge.exposeInMainWorld('api', {
 
   // Gmail
   gmailAuth: () => ipcRenderer.invoke('gmail-auth'),
+  gmailCancelAuth: () => ipcRenderer.invoke('gmail-cancel-auth'),
   gmailGetSummary: () => ipcRenderer.invoke('gmail-get-summary'),
+  gmailGetReplyTracking: () => ipcRenderer.invoke('gmail-get-reply-tracking'),
+  getGmailAttachments: (filters = {}) => ipcRenderer.invoke('get-gmail-attachments', filters),
+  gmailDownloadAttachment: (id) => ipcRenderer.invoke('gmail-download-attachment', id),
+  gmailGetAccounts: () => ipcRenderer.invoke('gmail-get-accounts'),
+  gmailRemoveAccount: (accountId) => ipcRenderer.invoke('gmail-remove-account', accountId),
+  gmailSetAccountView: (accountId) => ipcRenderer.invoke('gmail-set-account-view', accountId),
+  gmailGetCategorization: () => ipcRenderer.invoke('gmail-get-categorization'),
+  gmailSetCategorization: (categorization) => ipcRenderer.invoke('gmail-set-categorization', categorization),
+  gmailResetCategorization: () => ipcRenderer.invoke('gmail-reset-categorization'),
+  gmailRecategorize: () => ipcRenderer.invoke('gmail-recategorize'),
+  gmailGetNewsletterDigest: (period, forceRefresh) => ipcRenderer.invoke('gmail-get-newsletter-digest', period, forceRefresh),
+  gmailSetNewsletterPublication: (key, setting) => ipcRenderer.invoke('gmail-set-newsletter-publication', key, setting),
   gmailDisconnect: () => ipcRenderer.invoke('gmail-disconnect'),
   gmailSetCredentials: (clientId, clientSecret) => ipcRenderer.invoke('gmail-set-credentials', clientId, clientSecret),
   gmailGetCredentialsStatus: () => ipcRenderer.invoke('gmail-get-credentials-status'),
@@ -55,6 +68,34 @@ contextBridge.exposeInMainWorld('api', {
   notionGetSummary: () => ipcRenderer.invoke('notion-get-summary'),
   notionDisconnect: () => ipcRenderer.invoke('notion-disconnect'),
 
+  // Data retention
+  getRetentionSettings: () => ipcRenderer.invoke('get-retention-settings'),
+  setRetentionSettings: (policy) => ipcRenderer.invoke('set-retention-settings', policy),
+  getDatabaseStats: () => ipcRenderer.invoke('get-database-stats'),
+
+  // Background sync
+  getSyncSettings: () => ipcRenderer.invoke('get-sync-settings'),
+  setSyncSettings: (settings) => ipcRenderer.invoke('set-sync-settings', settings),
+  getSyncStatus: () => ipcRenderer.invoke('get-sync-status'),
+  syncNow: (source, fullSync = false) => ipcRenderer.invoke('sync-now', source, fullSync),
+  getSyncHistory: (source, limit = 20) => ipcRenderer.invoke('get-sync-history', source, limit),
+  // { lastSyncedAt, age, isStale } for the data summaries are built from
+  getDataFreshness: (source) => ipcRenderer.invoke('get-data-freshness', source),
+  // progress: { source, phase, done, total, errors, error, fullSync }
+  onSyncProgress: (callback) => {
+    const listener = (event, progress) => callback(progress);
+    ipcRenderer.on('sync-progress', listener);
+    return () => ipcRenderer.removeListener('sync-progress', listener);
+  },
+
+  // Search
+  search: (query, filters = {}) => ipcRenderer.invoke('search', query, filters),
+  getWhatsAppChatMessages: (chatId, limit = 100) => ipcRenderer.invoke('get-whatsapp-chat-messages', chatId, limit),
+  getWhatsAppMessageContext: (messageId, radius = 10) => ipcRenderer.invoke('get-whatsapp-message-context', messageId, radius),
+  getGmailThread: (threadId) => ipcRenderer.invoke('get-gmail-thread', threadId),
+  getGmailThreads: (timeFilter = 'week', limit = 100) => ipcRenderer.invoke('get-gmail-threads', timeFilter, limit),
+  openExternal: (url) => ipcRenderer.invoke('open-external', url),
+
   // Dashboard
   getAllSummaries: () => ipcRenderer.invoke('get-all-summaries'),
 
@@ -63,12 +104,45 @@ contextBridge.exposeInMainWorld('api', {
   claudeIsConfigured: () => ipcRenderer.invoke('claude-is-configured'),
   claudeGetApiKeyStatus: () => ipcRenderer.invoke('claude-get-api-key-status'),
 
-  // AI Summaries (with optional forceRefresh parameter)
-  getTodaySummary: (type, forceRefresh = false) => ipcRenderer.invoke('get-today-summary', type, forceRefresh),
-  getWeekSummary: (type, forceRefresh = false) => ipcRenderer.invoke('get-week-summary', type, forceRefresh),
+  // AI Summaries (with optional forceRefresh parameter). With stream = true a
+  // fresh result comes back as { streamId } and arrives through the stream events below
+  getTodaySummary: (type, forceRefresh = false, stream = false) => ipcRenderer.invoke('get-today-summary', type, forceRefresh, stream),
+  getWeekSummary: (type, forceRefresh = false, stream = false) => ipcRenderer.invoke('get-week-summary', type, forceRefresh, stream),
   getActionItems: (type, forceRefresh = false) => ipcRenderer.invoke('get-action-items', type, forceRefresh),
-  askQuestion: (type, question) => ipcRenderer.invoke('ask-question', type, question),
-  getCombinedSummary: (forceRefresh = false) => ipcRenderer.invoke('get-combined-summary', forceRefresh),
+  askQuestion: (type, question, conversationId = null, stream = false) => ipcRenderer.invoke('ask-question', type, question, conversationId, stream),
+  getCombinedSummary: (forceRefresh = false, stream = false) => ipcRenderer.invoke('get-combined-summary', forceRefresh, stream),
+
+  // Action item lifecycle (snooze until is unix seconds)
+  getActionItemsByStatus: (status, source = null) => ipcRenderer.invoke('get-action-items-by-status', status, source),
+  completeActionItem: (id) => ipcRenderer.invoke('complete-action-item', id),
+  reopenActionItem: (id) => ipcRenderer.invoke('reopen-action-item', id),
+  snoozeActionItem: (id, until) => ipcRenderer.invoke('snooze-action-item', id, until),
+  dismissActionItem: (id) => ipcRenderer.invoke('dismiss-action-item', id),
+  getActionItemHistory: (id) => ipcRenderer.invoke('get-action-item-history', id),
+
+  // Streaming responses
+  cancelStream: (streamId) => ipcRenderer.invoke('cancel-stream', streamId),
+  onStreamChunk: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('claude-stream-chunk', listener);
+    return () => ipcRenderer.removeListener('claude-stream-chunk', listener);
+  },
+  onStreamDone: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('claude-stream-done', listener);
+    return () => ipcRenderer.removeListener('claude-stream-done', listener);
+  },
+  onStreamError: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('claude-stream-error', listener);
+    return () => ipcRenderer.removeListener('claude-stream-error', listener);
+  },
+
+  // Ask AI conversations
+  getConversations: (limit = 50) => ipcRenderer.invoke('get-conversations', limit),
+  getConversation: (conversationId) => ipcRenderer.invoke('get-conversation', conversationId),
+  renameConversation: (conversationId, title) => ipcRenderer.invoke('rename-conversation', conversationId, title),
+  deleteConversation: (conversationId) => ipcRenderer.invoke('delete-conversation', conversationId),
 
   // Topic details (real-time Claude Haiku call)
   getTopicDetails: (topic, chatName, source) => ipcRenderer.invoke('get-topic-details', topic, chatName, source)
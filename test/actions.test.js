@@ -0,0 +1,116 @@
+// Storing action items and the times they were refreshed
+const { electron, userData } = require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('../src/main/services/database');
+const ActionItemService = require('../src/main/services/actions');
+
+async function open(dir) {
+  electron.app.getPath = () => dir;
+  const db = new DatabaseService();
+  await db.ready;
+  return db;
+}
+
+function item(topic, person = 'Sam') {
+  return { source: 'gmail', text: `Reply to ${person} about ${topic}`, verb: 'Reply', person, topic, dueDate: null, sourceMessageIds: [], confidence: 0.9 };
+}
+
+test('refresh times are kept apart from the sync log', async (t) => {
+  const db = await open(fs.mkdtempSync(path.join(userData, 'actions-')));
+  t.after(() => db.close());
+  const actions = new ActionItemService(db);
+
+  assert.strictEqual(actions.getLastRefresh('gmail'), null);
+  actions.save('gmail', [item('the lease')]);
+
+  assert.ok(actions.getLastRefresh('gmail') <= Date.now() / 1000);
+  assert.strictEqual(actions.getLastRefresh('whatsapp'), null);
+  assert.deepStrictEqual(db.queryAll(`SELECT * FROM sync_log`), []);
+});
+
+test('upgrading moves refresh times out of the sync log', async () => {
+  const dir = fs.mkdtempSync(path.join(userData, 'actions-'));
+  const setup = await open(dir);
+  setup.runSql(`DROP TABLE action_item_refreshes`);
+  setup.runSql(`
+    INSERT INTO sync_log (source, started_at, last_sync_at, records_synced, full_sync, status) VALUES
+      ('actions:gmail', 100, 100, 3, 0, 'success'),
+      ('actions:gmail', 200, 200, 2, 0, 'success'),
+      ('actions:gmail', 300, 300, 0, 0, 'error'),
+      ('gmail', 400, 400, 10, 1, 'success')
+  `);
+  setup.runSql(`PRAGMA user_version = 13`);
+  setup.save();
+  setup.close();
+
+  const db = await open(dir);
+  const actions = new ActionItemService(db);
+  assert.strictEqual(actions.getLastRefresh('gmail'), 200);
+  assert.deepStrictEqual(db.queryAll(`SELECT source FROM sync_log`).map(row => row.source), ['gmail']);
+  db.close();
+});
+
+test('the list is the latest refresh, plus items reopened since', async (t) => {
+  const db = await open(fs.mkdtempSync(path.join(userData, 'actions-')));
+  t.after(() => db.close());
+  const actions = new ActionItemService(db);
+  const topics = (items) => items.map(i => i.topic).sort();
+
+  assert.deepStrictEqual(actions.getItems('gmail'), []);
+
+  const [dinner, invoice] = actions.save('gmail', [item('the lease'), item('the invoice', 'Kim'), item('dinner plans', 'Ana')])
+    .sort((a, b) => a.topic.localeCompare(b.topic));
+  actions.complete(dinner.id);
+  actions.save('whatsapp', [{ ...item('dinner plans', 'Ana'), source: 'whatsapp' }]);
+
+  // A refresh an hour later no longer finds the invoice
+  db.runSql(`UPDATE action_items SET last_seen_at = last_seen_at - 3600, status_changed_at = status_changed_at - 3600`);
+  db.runSql(`UPDATE action_item_refreshes SET refreshed_at = refreshed_at - 3600`);
+  assert.deepStrictEqual(topics(actions.save('gmail', [item('the lease')])), ['the lease']);
+  assert.deepStrictEqual(topics(actions.getItems(null)), ['the lease']);
+
+  // Reopening an item brings it back even though the refresh didn't find it
+  actions.reopen(dinner.id);
+  assert.deepStrictEqual(topics(actions.getItems('gmail')), ['dinner plans', 'the lease']);
+  assert.deepStrictEqual(topics(actions.getItems('whatsapp')), ['dinner plans']);
+  assert.ok(!actions.getItems(null).some(i => i.id === invoice.id));
+});
+
+test('two different asks in one message stay two items', async (t) => {
+  const db = await open(fs.mkdtempSync(path.join(userData, 'actions-')));
+  t.after(() => db.close());
+  const actions = new ActionItemService(db);
+
+  const lease = { ...item('the lease'), text: 'Sign and return the lease to Sam', sourceMessageIds: ['m1'] };
+  const invoice = { ...item('the deposit invoice', null), text: 'Pay the deposit invoice', dueDate: '2026-11-01', sourceMessageIds: ['m1'] };
+  const saved = actions.save('gmail', [lease, invoice]);
+
+  assert.deepStrictEqual(saved.map(i => [i.text, i.dueDate]).sort(), [
+    ['Pay the deposit invoice', '2026-11-01'],
+    ['Sign and return the lease to Sam', null]
+  ]);
+
+  // The same ask reworded still merges, and the shared message makes it sure
+  const reworded = { ...item('signing the lease'), text: 'Sign the lease for Sam', sourceMessageIds: ['m1'] };
+  const again = actions.save('gmail', [reworded, invoice]);
+  assert.strictEqual(again.length, 2);
+  assert.strictEqual(db.queryAll(`SELECT id FROM action_items`).length, 2);
+});
+
+test('a new ask citing the message of a done item is not hidden by it', async (t) => {
+  const db = await open(fs.mkdtempSync(path.join(userData, 'actions-')));
+  t.after(() => db.close());
+  const actions = new ActionItemService(db);
+
+  const [lease] = actions.save('gmail', [{ ...item('the lease'), sourceMessageIds: ['m1'] }]);
+  actions.complete(lease.id);
+
+  const keys = { ...item('the spare keys'), text: 'Send Sam the spare keys', sourceMessageIds: ['m1', 'm2'] };
+  const openItems = actions.save('gmail', [{ ...item('the lease'), sourceMessageIds: ['m1'] }, keys]);
+
+  assert.deepStrictEqual(openItems.map(i => i.text), ['Send Sam the spare keys']);
+  assert.strictEqual(actions.getItemsByStatus('done')[0].id, lease.id);
+});
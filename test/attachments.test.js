@@ -0,0 +1,40 @@
+// Text extraction from attachments, PDFs in particular
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { extractText } = require('../src/main/services/attachments');
+
+// A minimal PDF with one object per content stream, each FlateDecode'd
+function pdfWithStreams(streams) {
+  const parts = [Buffer.from('%PDF-1.4\n')];
+  streams.forEach((content, i) => {
+    const data = zlib.deflateSync(content);
+    parts.push(
+      Buffer.from(`${i + 1} 0 obj\n<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`),
+      data,
+      Buffer.from('\nendstream\nendobj\n')
+    );
+  });
+  parts.push(Buffer.from('%%EOF\n'));
+  return Buffer.concat(parts);
+}
+
+test('reads the text drawn by a compressed PDF content stream', () => {
+  const pdf = pdfWithStreams([Buffer.from('BT /F1 12 Tf 72 720 Td (Renewal terms for the lease) Tj ET')]);
+  assert.strictEqual(extractText(pdf, 'application/pdf', 'lease.pdf'), 'Renewal terms for the lease');
+});
+
+test('skips a stream that inflates past the limit and reads the rest', () => {
+  // About 36 MB of text operators, deflating to well under 1 MB
+  const bomb = Buffer.from(`BT ${'(zz) Tj '.repeat(4 * 1024 * 1024)}ET`);
+  const pdf = pdfWithStreams([bomb, Buffer.from('BT (Invoice total 120 EUR) Tj ET')]);
+  assert.ok(pdf.length < 1024 * 1024);
+
+  assert.strictEqual(extractText(pdf, 'application/pdf', 'invoice.pdf'), 'Invoice total 120 EUR');
+});
+
+test('plain text and HTML attachments', () => {
+  assert.strictEqual(extractText(Buffer.from('﻿date,kwh\n2025-03-01,412\n'), 'text/csv', 'meter.csv'), 'date,kwh\n2025-03-01,412');
+  assert.strictEqual(extractText(Buffer.from('<p>Hello <b>there</b></p>'), 'text/html', 'note.html'), 'Hello there');
+  assert.strictEqual(extractText(Buffer.from('PK'), 'application/zip', 'archive.zip'), null);
+});
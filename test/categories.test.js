@@ -0,0 +1,52 @@
+// Categorization rules: the defaults' order, and keeping subject patterns
+// from freezing the main process
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { defaultCategorization, normalizeCategorization, createCategorizer } = require('../src/main/services/categories');
+
+const subjectRule = (value) => ({ field: 'subject', value, category: 'actionRequired', priority: 10 });
+
+test('mailing list mail is a newsletter whichever Gmail tab it is in', () => {
+  const categorize = createCategorizer(defaultCategorization());
+  const issue = {
+    fromEmail: 'crew@morningbrew.com',
+    subject: 'Markets: rates on hold',
+    labels: ['INBOX', 'CATEGORY_PROMOTIONS'],
+    listUnsubscribe: '<https://morningbrew.com/u?id=1>'
+  };
+
+  assert.strictEqual(categorize(issue), 'newsletters');
+  assert.strictEqual(categorize({ ...issue, labels: ['INBOX', 'CATEGORY_UPDATES'] }), 'newsletters');
+  assert.strictEqual(categorize({ ...issue, listUnsubscribe: null }), 'promotions');
+  assert.strictEqual(categorize({ fromEmail: 'friend@example.com', subject: 'Action required: sign the lease', labels: ['INBOX'] }), 'actionRequired');
+});
+
+test('subject patterns that could backtrack without end are refused on save', () => {
+  for (const pattern of ['(a+)+$', '(a|aa)*b', '(\\w+\\s?)*$', '((ab)+)+', 'x'.repeat(301)]) {
+    assert.throws(
+      () => normalizeCategorization({ rules: [subjectRule(pattern)] }),
+      /Rule 1: invalid subject pattern/,
+      pattern
+    );
+  }
+  assert.throws(() => normalizeCategorization({ rules: [subjectRule('(unclosed')] }), /Rule 1: invalid subject pattern: Invalid regular expression/);
+
+  // Ordinary patterns, including the defaults, are fine
+  for (const pattern of ['\\b(invoice|receipt)\\b', '(re: )+meeting', 'order #\\d{3,}', '[(a+)]+', '(b{3})+']) {
+    assert.doesNotThrow(() => normalizeCategorization({ rules: [subjectRule(pattern)] }), pattern);
+  }
+  assert.doesNotThrow(() => normalizeCategorization(defaultCategorization()));
+});
+
+test('only the start of a long subject is matched', () => {
+  const categorize = createCategorizer(normalizeCategorization({ rules: [subjectRule('urgent')] }));
+  assert.strictEqual(categorize({ subject: 'urgent' }), 'actionRequired');
+  assert.strictEqual(categorize({ subject: `${'x'.repeat(400)} urgent` }), 'personal');
+});
+
+test('stored patterns saved before the check are skipped, not run', () => {
+  const categorize = createCategorizer({ rules: [subjectRule('(a+)+$'), { ...subjectRule('report'), category: 'updates' }] });
+  const started = Date.now();
+  assert.strictEqual(categorize({ subject: `${'a'.repeat(40)}! weekly report` }), 'updates');
+  assert.ok(Date.now() - started < 1000);
+});
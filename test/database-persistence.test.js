@@ -0,0 +1,64 @@
+// Coalesced writes: a full WhatsApp sync of a large fixture
+// should write mybrain.db a handful of times, not once per upsert.
+const { userData } = require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('../src/main/services/database');
+const WhatsAppService = require('../src/main/services/whatsapp');
+const { createWhatsAppClient } = require('./fixtures/whatsapp-client');
+
+const CHATS = 50;
+const MESSAGES_PER_CHAT = 200;
+
+test('a large WhatsApp sync writes the database file a handful of times', async () => {
+  const db = new DatabaseService();
+  await db.ready;
+  db.flush();
+  const writesBefore = db.writeCount;
+
+  const whatsapp = new WhatsAppService(null, null, db);
+  whatsapp.isReady = true;
+  whatsapp.client = createWhatsAppClient({ chatCount: CHATS, messagesPerChat: MESSAGES_PER_CHAT });
+
+  const started = Date.now();
+  const result = await whatsapp.syncToDatabase(true);
+  db.close();
+  const elapsed = Date.now() - started;
+  const writes = db.writeCount - writesBefore;
+
+  assert.ok(result.success, result.error);
+  assert.strictEqual(result.newMessages, CHATS * MESSAGES_PER_CHAT);
+
+  // Every upsert used to write the file: 50 chats + 50 message batches + the
+  // sync log. Now a write happens at most once per SAVE_MAX_WAIT_MS (5s)
+  // while changes keep coming, plus one on close().
+  assert.ok(writes <= Math.ceil(elapsed / 5000) + 1, `${writes} writes in ${elapsed}ms`);
+  assert.ok(writes >= 1);
+
+  // The file is complete and no temp file is left behind
+  assert.ok(!fs.existsSync(path.join(userData, 'mybrain.db.tmp')));
+  const reopened = new DatabaseService();
+  await reopened.ready;
+  assert.strictEqual(reopened.getStats().whatsapp, CHATS * MESSAGES_PER_CHAT);
+  assert.strictEqual(reopened.queryOne('SELECT COUNT(*) AS count FROM whatsapp_chats').count, CHATS);
+  reopened.close();
+});
+
+test('changes are flushed after the debounce, without close()', async () => {
+  const db = new DatabaseService();
+  await db.ready;
+  db.flush();
+  const writesBefore = db.writeCount;
+
+  for (let i = 0; i < 20; i++) {
+    db.upsertWhatsAppChat({ id: `debounce${i}@c.us`, name: `Debounce ${i}` });
+  }
+  assert.strictEqual(db.writeCount, writesBefore);
+
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  assert.strictEqual(db.writeCount, writesBefore + 1);
+  assert.strictEqual(db.dirty, false);
+  db.close();
+});
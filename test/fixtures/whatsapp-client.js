@@ -0,0 +1,35 @@
+// A fake whatsapp-web.js client with chatCount chats of messagesPerChat
+// messages each, spread over the last two weeks. fetchMessages answers after
+// delayMs, like the real client going to WhatsApp Web.
+function createWhatsAppClient({ chatCount = 50, messagesPerChat = 200, delayMs = 20 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const chats = Array.from({ length: chatCount }, (_, c) => {
+    const isGroup = c % 3 === 0;
+    const messages = Array.from({ length: messagesPerChat }, (_, m) => ({
+      id: { _serialized: `false_chat${c}@c.us_MSG${c}x${m}` },
+      author: isGroup ? `1555000${String(m % 7).padStart(4, '0')}@c.us` : undefined,
+      from: `1555${String(c).padStart(7, '0')}@c.us`,
+      body: `Message ${m} in chat ${c}: ${'lorem ipsum dolor sit amet '.repeat(1 + (m % 4))}`,
+      timestamp: now - (messagesPerChat - m) * 60 * 5,
+      fromMe: m % 5 === 0,
+      hasMedia: m % 17 === 0
+    }));
+
+    return {
+      id: { _serialized: `chat${c}@${isGroup ? 'g' : 'c'}.us`, user: `chat${c}` },
+      name: `Chat ${c}`,
+      isGroup,
+      participants: isGroup ? [{}, {}, {}] : undefined,
+      timestamp: now,
+      unreadCount: c % 4,
+      fetchMessages: ({ limit }) => new Promise(resolve => {
+        setTimeout(() => resolve(messages.slice(-limit)), delayMs);
+      })
+    };
+  });
+
+  return { getChats: async () => chats };
+}
+
+module.exports = { createWhatsAppClient };
@@ -0,0 +1,171 @@
+// Signing in to Gmail through the loopback server: the state check, PKCE,
+// denied and cancelled sign-ins, and one sign-in at a time. The browser is
+// played by the fake authorization server, through shell.openExternal.
+const { electron } = require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const GmailService = require('../src/main/services/gmail');
+const { createStore } = require('./helpers/store');
+const { createGmailServer } = require('./helpers/gmail-server');
+const { createOAuthServer } = require('./helpers/oauth-server');
+
+async function setup(t) {
+  const oauth = createOAuthServer();
+  const api = createGmailServer({ emailAddress: 'me@example.com' });
+  process.env.GMAIL_OAUTH_BASE_URL = await oauth.listen();
+  process.env.GMAIL_API_ROOT_URL = await api.listen();
+
+  // Each URL the app opens in the browser, in order
+  const opened = [];
+  let onOpen = () => {};
+  electron.shell.openExternal = async (url) => {
+    opened.push(url);
+    onOpen(url);
+  };
+  const nextOpened = () => new Promise(resolve => {
+    if (opened.length > 0) return resolve(opened.shift());
+    onOpen = (url) => {
+      onOpen = () => {};
+      resolve(opened.shift() || url);
+    };
+  });
+
+  const sent = [];
+  const mainWindow = {
+    isDestroyed: () => false,
+    webContents: { send: (channel, data) => sent.push({ channel, data }) }
+  };
+  const store = createStore({ gmail: { clientId: 'client-id', clientSecret: 'client-secret' } });
+  const gmail = new GmailService(store, mainWindow, null);
+
+  t.after(async () => {
+    gmail.cancelAuthentication();
+    await oauth.close();
+    await api.close();
+  });
+  return { oauth, gmail, store, sent, nextOpened };
+}
+
+test('signs in with state and a PKCE verifier and adds the account', async (t) => {
+  const { oauth, gmail, sent, nextOpened } = await setup(t);
+
+  const signIn = gmail.authenticate();
+  const authUrl = await nextOpened();
+  const params = new URL(authUrl).searchParams;
+  assert.match(params.get('state'), /^[0-9a-f]{64}$/);
+  assert.strictEqual(params.get('code_challenge_method'), 'S256');
+  assert.match(params.get('redirect_uri'), /^http:\/\/127\.0\.0\.1:\d+\/oauth2callback$/);
+
+  const page = await oauth.authorize(authUrl);
+  assert.strictEqual(page.status, 200);
+  const result = await signIn;
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.email, 'me@example.com');
+  // The token request carried the verifier behind the challenge
+  const [tokenRequest] = oauth.tokenRequests;
+  assert.strictEqual(
+    crypto.createHash('sha256').update(tokenRequest.code_verifier).digest('base64url'),
+    params.get('code_challenge')
+  );
+  const account = gmail.getAccount(result.accountId);
+  assert.strictEqual(account.email, 'me@example.com');
+  assert.match(account.tokens.access_token, /^access-/);
+  assert.deepStrictEqual(sent, [{ channel: 'gmail-auth-success', data: { accountId: result.accountId, email: 'me@example.com' } }]);
+  assert.strictEqual(gmail.pendingAuth, null);
+});
+
+test('ignores callbacks with the wrong state, and the right one only once', async (t) => {
+  const { oauth, gmail, nextOpened } = await setup(t);
+
+  const signIn = gmail.authenticate();
+  const authUrl = await nextOpened();
+
+  const forged = await oauth.authorize(authUrl, { state: 'not-the-state' });
+  assert.strictEqual(forged.status, 400);
+  const missing = await oauth.authorize(authUrl, { state: '' });
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(oauth.tokenRequests.length, 0);
+  assert.ok(gmail.pendingAuth, 'a forged callback should not end the sign-in');
+
+  // Send the same callback twice at once: only one is exchanged
+  const [first, second] = await Promise.all([oauth.authorize(authUrl), oauth.authorize(authUrl)]);
+  assert.deepStrictEqual([first.status, second.status].sort(), [200, 400]);
+  assert.strictEqual((await signIn).success, true);
+  assert.strictEqual(oauth.tokenRequests.length, 1);
+});
+
+test('rejects when a code is exchanged without the right verifier', async (t) => {
+  const { oauth, gmail, nextOpened } = await setup(t);
+
+  const signIn = gmail.authenticate();
+  // Swap in a challenge the app's verifier doesn't match
+  const authUrl = new URL(await nextOpened());
+  authUrl.searchParams.set('code_challenge', crypto.randomBytes(32).toString('base64url'));
+
+  // The sign-in fails before the browser gets its page, so listen first
+  const rejected = assert.rejects(signIn, /invalid_grant/);
+  const page = await oauth.authorize(authUrl.toString());
+  assert.strictEqual(page.status, 500);
+  await rejected;
+  assert.deepStrictEqual(gmail.getAccounts(), []);
+});
+
+test('rejects when the user denies access', async (t) => {
+  const { oauth, gmail, sent, nextOpened } = await setup(t);
+
+  const signIn = gmail.authenticate();
+  const rejected = assert.rejects(signIn, { message: 'Access to Gmail was denied.' });
+  const page = await oauth.authorize(await nextOpened(), { error: 'access_denied' });
+
+  assert.strictEqual(page.status, 400);
+  assert.match(await page.text(), /Access to Gmail was denied\./);
+  await rejected;
+  assert.strictEqual(oauth.tokenRequests.length, 0);
+  assert.deepStrictEqual(gmail.getAccounts(), []);
+  assert.deepStrictEqual(sent, []);
+  assert.strictEqual(gmail.pendingAuth, null);
+});
+
+test('cancelling rejects the sign-in and closes the loopback server', async (t) => {
+  const { oauth, gmail, nextOpened } = await setup(t);
+
+  const signIn = gmail.authenticate();
+  const authUrl = await nextOpened();
+
+  assert.strictEqual(gmail.cancelAuthentication(), true);
+  await assert.rejects(signIn, (error) => error.cancelled === true && /cancelled/.test(error.message));
+  assert.strictEqual(gmail.cancelAuthentication(), false);
+  assert.strictEqual(gmail.pendingAuth, null);
+
+  // The browser coming back late finds nothing listening
+  await assert.rejects(oauth.authorize(authUrl));
+  assert.strictEqual(oauth.tokenRequests.length, 0);
+});
+
+test('runs one sign-in at a time', async (t) => {
+  const { oauth, gmail, nextOpened } = await setup(t);
+
+  const first = gmail.authenticate();
+  const firstUrl = await nextOpened();
+  await assert.rejects(gmail.authenticate(), /already in progress/);
+
+  gmail.cancelAuthentication();
+  await assert.rejects(first, (error) => error.cancelled === true);
+
+  // Once the first has ended another can start
+  const second = gmail.authenticate();
+  const secondUrl = await nextOpened();
+  assert.notStrictEqual(new URL(secondUrl).searchParams.get('state'), new URL(firstUrl).searchParams.get('state'));
+  await oauth.authorize(secondUrl);
+  assert.strictEqual((await second).success, true);
+});
+
+test('refuses to start without OAuth credentials', async (t) => {
+  const { gmail, store } = await setup(t);
+  store.delete('gmail.clientSecret');
+
+  await assert.rejects(gmail.authenticate(), /credentials not configured/);
+  assert.strictEqual(gmail.pendingAuth, null);
+});
@@ -0,0 +1,173 @@
+// Gmail sync against a fake Gmail API: the first full sync, incremental syncs
+// replaying history.list, and the fall back to a full resync once Gmail no
+// longer has the history we ask for.
+const { electron, userData } = require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('../src/main/services/database');
+const GmailService = require('../src/main/services/gmail');
+const { createStore } = require('./helpers/store');
+const { createGmailServer } = require('./helpers/gmail-server');
+
+const ACCOUNT_ID = 'account-1';
+
+// A signed-in GmailService with its own database, syncing from a fake server
+async function setup(t) {
+  const server = createGmailServer();
+  process.env.GMAIL_API_ROOT_URL = await server.listen();
+
+  const dir = fs.mkdtempSync(path.join(userData, 'gmail-'));
+  electron.app.getPath = () => dir;
+  const db = new DatabaseService();
+  await db.ready;
+
+  const store = createStore({
+    gmail: {
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      accounts: {
+        [ACCOUNT_ID]: {
+          email: 'me@example.com',
+          tokens: { access_token: 'token', expiry_date: Date.now() + 60 * 60 * 1000 },
+          historyId: null,
+          labelCounts: {},
+          addedAt: Date.now()
+        }
+      }
+    }
+  });
+  const gmail = new GmailService(store, null, db);
+
+  t.after(async () => {
+    db.close();
+    await server.close();
+  });
+  return { server, db, gmail };
+}
+
+const storedIds = (db) => db.queryAll('SELECT id FROM gmail_messages ORDER BY id').map(r => r.id);
+const labelsOf = (db, id) => JSON.parse(db.queryOne('SELECT labels FROM gmail_messages WHERE id = ?', [id]).labels);
+const historyRequests = (server) => server.requests.filter(r => r.includes('/history'));
+
+test('the first sync lists the inbox and remembers the historyId', async (t) => {
+  const { server, db, gmail } = await setup(t);
+  server.addMessage('m1', { subject: 'Lunch on Friday?' });
+  server.addMessage('m2', { subject: 'Invoice 42', labelIds: ['INBOX'] });
+  server.addMessage('m3', { subject: 'Spam', labelIds: ['SPAM'] });
+
+  const result = await gmail.syncToDatabase();
+
+  assert.ok(result.success, result.error);
+  assert.strictEqual(result.isIncremental, false);
+  assert.strictEqual(result.newEmails, 2);
+  assert.deepStrictEqual(storedIds(db), ['m1', 'm2']);
+  assert.strictEqual(gmail.getAccount(ACCOUNT_ID).historyId, server.historyId);
+  assert.deepStrictEqual(historyRequests(server), []);
+});
+
+test('an incremental sync replays added and deleted messages and label changes', async (t) => {
+  const { server, db, gmail } = await setup(t);
+  server.addMessage('m1', { subject: 'Lunch on Friday?' });
+  server.addMessage('m2', { subject: 'Invoice 42' });
+  server.addMessage('m3', { subject: 'Weekly report' });
+  await gmail.syncToDatabase();
+  const startHistoryId = server.historyId;
+
+  server.addMessage('m4', { subject: 'New this morning' });
+  server.deleteMessage('m1');
+  server.setLabels('m2', ['INBOX']);
+  // Archived: still stored, just without INBOX
+  server.setLabels('m3', ['UNREAD']);
+  server.requests.length = 0;
+
+  const result = await gmail.syncToDatabase();
+
+  assert.ok(result.success, result.error);
+  assert.strictEqual(result.isIncremental, true);
+  assert.strictEqual(result.newEmails, 1);
+  assert.strictEqual(result.deleted, 1);
+  assert.strictEqual(result.labelChanges, 2);
+  assert.deepStrictEqual(storedIds(db), ['m2', 'm3', 'm4']);
+  assert.deepStrictEqual(labelsOf(db, 'm2'), ['INBOX']);
+  assert.strictEqual(db.queryOne('SELECT is_unread FROM gmail_messages WHERE id = ?', ['m2']).is_unread, 0);
+  assert.deepStrictEqual(labelsOf(db, 'm3'), ['UNREAD']);
+
+  // Four history records, one per page, all from the stored historyId
+  const pages = historyRequests(server);
+  assert.strictEqual(pages.length, 4);
+  assert.ok(pages.every(r => r.includes(`startHistoryId=${startHistoryId}`)), pages.join('\n'));
+  // Only the new message is downloaded, not the whole inbox
+  assert.deepStrictEqual(server.requests.filter(r => /\/messages\/[^/?]+\?/.test(r)).map(r => r.match(/messages\/([^/?]+)/)[1]), ['m4']);
+  assert.strictEqual(gmail.getAccount(ACCOUNT_ID).historyId, server.historyId);
+});
+
+test('a message added and deleted between syncs is not fetched', async (t) => {
+  const { server, db, gmail } = await setup(t);
+  server.addMessage('m1');
+  await gmail.syncToDatabase();
+
+  server.addMessage('m2');
+  server.deleteMessage('m2');
+  server.requests.length = 0;
+  const result = await gmail.syncToDatabase();
+
+  assert.ok(result.success, result.error);
+  assert.strictEqual(result.newEmails, 0);
+  assert.deepStrictEqual(storedIds(db), ['m1']);
+  assert.ok(!server.requests.some(r => r.includes('/messages/m2')), server.requests.join('\n'));
+});
+
+test('a message moved back into the inbox is fetched if it was never stored', async (t) => {
+  const { server, db, gmail } = await setup(t);
+  server.addMessage('m1', { labelIds: ['UNREAD'] });
+  await gmail.syncToDatabase();
+  assert.deepStrictEqual(storedIds(db), []);
+
+  server.setLabels('m1', ['INBOX', 'UNREAD']);
+  const result = await gmail.syncToDatabase();
+
+  assert.ok(result.success, result.error);
+  assert.strictEqual(result.newEmails, 1);
+  assert.deepStrictEqual(storedIds(db), ['m1']);
+});
+
+test('an expired historyId falls back to a full resync', async (t) => {
+  const { server, db, gmail } = await setup(t);
+  server.addMessage('m1');
+  server.addMessage('m2');
+  await gmail.syncToDatabase();
+
+  server.addMessage('m3');
+  server.deleteMessage('m1');
+  server.expireHistory();
+  server.requests.length = 0;
+
+  const result = await gmail.syncToDatabase();
+
+  assert.ok(result.success, result.error);
+  assert.strictEqual(result.isIncremental, false);
+  assert.strictEqual(historyRequests(server).length, 1);
+  assert.ok(server.requests.some(r => r.startsWith('GET /gmail/v1/users/me/messages?')), server.requests.join('\n'));
+  assert.ok(storedIds(db).includes('m3'));
+  assert.strictEqual(gmail.getAccount(ACCOUNT_ID).historyId, server.historyId);
+
+  // The resync logs as a full sync, and the next sync is incremental again
+  assert.strictEqual(db.queryOne(`SELECT full_sync FROM sync_log WHERE source = 'gmail' ORDER BY id DESC LIMIT 1`).full_sync, 1);
+  server.addMessage('m4');
+  const next = await gmail.syncToDatabase();
+  assert.strictEqual(next.isIncremental, true);
+  assert.ok(storedIds(db).includes('m4'));
+});
+
+test('synced emails link to their thread in the account they came from', async (t) => {
+  const { server, db, gmail } = await setup(t);
+  server.addMessage('m1', { subject: 'Lunch on Friday?' });
+  await gmail.syncToDatabase();
+
+  const [hit] = db.search('lunch', { sources: ['gmail'] });
+  assert.strictEqual(hit.accountId, ACCOUNT_ID);
+  assert.strictEqual(gmail.threadUrl(hit.accountId, hit.threadId), `https://mail.google.com/mail/?authuser=me%40example.com#all/${hit.threadId}`);
+  assert.strictEqual(gmail.threadUrl('removed', hit.threadId), `https://mail.google.com/mail/#all/${hit.threadId}`);
+});
@@ -0,0 +1,26 @@
+// Stand-in for the electron module, so the main process services can be
+// loaded under plain Node. Require this before any service. Each test file
+// runs in its own process and gets its own userData directory.
+const Module = require('module');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'mybrain-test-'));
+
+const electron = {
+  app: { getPath: () => userData, getVersion: () => '1.0.0' },
+  shell: { openExternal: async () => {} },
+  net: { isOnline: () => true },
+  powerMonitor: { isOnBatteryPower: () => false, on() {} },
+  dialog: {}
+};
+
+const load = Module._load;
+Module._load = function (request, ...args) {
+  return request === 'electron' ? electron : load.call(this, request, ...args);
+};
+
+process.on('exit', () => fs.rmSync(userData, { recursive: true, force: true }));
+
+module.exports = { electron, userData };
@@ -0,0 +1,137 @@
+// A fake Gmail API on a local port, for GMAIL_API_ROOT_URL. It serves the
+// calls a sync makes from an in-memory mailbox: the profile, messages.list
+// and messages.get, history.list and labels.get. Tests change the mailbox
+// through addMessage, deleteMessage and setLabels, which record history the
+// way Gmail does, and can expire history older than a given id.
+const http = require('http');
+
+function createGmailServer({ emailAddress = 'me@example.com' } = {}) {
+  const messages = new Map();
+  const history = [];
+  let historyId = 100;
+  // history.list returns 404 for a startHistoryId older than this
+  let oldestHistoryId = 0;
+  // Every request as "METHOD /path?query"
+  const requests = [];
+
+  const record = (change) => {
+    historyId++;
+    history.push({ id: String(historyId), ...change });
+  };
+
+  // headers are extra headers, e.g. { 'List-Unsubscribe': '<https://...>' }
+  function addMessage(id, { subject = `Message ${id}`, labelIds = ['INBOX', 'UNREAD'], daysAgo = 1, headers = {} } = {}) {
+    const date = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+    const message = {
+      id,
+      threadId: `thread-${id}`,
+      labelIds,
+      snippet: subject,
+      internalDate: String(date.getTime()),
+      payload: {
+        mimeType: 'text/plain',
+        headers: [
+          { name: 'From', value: 'Ann Lee <ann@example.org>' },
+          { name: 'To', value: emailAddress },
+          { name: 'Subject', value: subject },
+          { name: 'Date', value: date.toUTCString() },
+          ...Object.entries(headers).map(([name, value]) => ({ name, value }))
+        ],
+        body: { data: Buffer.from(`Body of ${subject}`).toString('base64url') }
+      }
+    };
+    messages.set(id, message);
+    record({ messagesAdded: [{ message: { id, threadId: message.threadId, labelIds } }] });
+    return message;
+  }
+
+  function deleteMessage(id) {
+    const message = messages.get(id);
+    messages.delete(id);
+    record({ messagesDeleted: [{ message: { id, threadId: message.threadId } }] });
+  }
+
+  function setLabels(id, labelIds) {
+    const message = messages.get(id);
+    const added = labelIds.filter(l => !message.labelIds.includes(l));
+    const removed = message.labelIds.filter(l => !labelIds.includes(l));
+    message.labelIds = labelIds;
+    const entry = { message: { id, threadId: message.threadId, labelIds } };
+    record({
+      ...(added.length > 0 ? { labelsAdded: [{ ...entry, labelIds: added }] } : {}),
+      ...(removed.length > 0 ? { labelsRemoved: [{ ...entry, labelIds: removed }] } : {})
+    });
+  }
+
+  // Forget all history so far, as Gmail does after about a week
+  function expireHistory() {
+    oldestHistoryId = historyId;
+  }
+
+  const routes = [
+    [/\/users\/me\/profile$/, () => [200, { emailAddress, historyId: String(historyId) }]],
+    [/\/users\/me\/messages$/, () => [200, {
+      messages: [...messages.values()]
+        .filter(m => m.labelIds.includes('INBOX') || m.labelIds.includes('SENT'))
+        .map(m => ({ id: m.id, threadId: m.threadId }))
+    }]],
+    [/\/users\/me\/messages\/([^/]+)$/, (url, id) => messages.has(id)
+      ? [200, messages.get(id)]
+      : [404, { error: { code: 404, message: 'Requested entity was not found.' } }]],
+    [/\/users\/me\/history$/, (url) => {
+      const start = Number(url.searchParams.get('startHistoryId'));
+      if (start < oldestHistoryId) {
+        return [404, { error: { code: 404, message: 'Requested entity was not found.' } }];
+      }
+      // One record per page, so paging is exercised too
+      const pending = history.filter(h => Number(h.id) > start);
+      const page = Number(url.searchParams.get('pageToken') || 0);
+      const body = { history: pending.slice(page, page + 1), historyId: String(historyId) };
+      if (page + 1 < pending.length) body.nextPageToken = String(page + 1);
+      return [200, body];
+    }],
+    [/\/users\/me\/labels\/([^/]+)$/, (url, id) => {
+      const labelled = [...messages.values()].filter(m => m.labelIds.includes(id));
+      return [200, {
+        id,
+        name: id,
+        messagesTotal: labelled.length,
+        messagesUnread: labelled.filter(m => m.labelIds.includes('UNREAD')).length
+      }];
+    }]
+  ];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(`${req.method} ${url.pathname}${url.search}`);
+
+    let status = 404;
+    let body = { error: { code: 404, message: `No route for ${url.pathname}` } };
+    for (const [pattern, handler] of routes) {
+      const match = url.pathname.match(pattern);
+      if (match) {
+        [status, body] = handler(url, ...match.slice(1).map(decodeURIComponent));
+        break;
+      }
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  return {
+    messages,
+    requests,
+    addMessage,
+    deleteMessage,
+    setLabels,
+    expireHistory,
+    get historyId() { return String(historyId); },
+    // Resolves with the root URL to put in GMAIL_API_ROOT_URL
+    listen: () => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/`));
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { createGmailServer };
@@ -0,0 +1,74 @@
+// A fake Google authorization server on a local port, for
+// GMAIL_OAUTH_BASE_URL. Sign-in opens its /auth URL in the browser, which
+// tests play by calling authorize() with the URL; /token exchanges a code the
+// way Google does, checking the PKCE verifier against the challenge the
+// code was issued for.
+const http = require('http');
+const crypto = require('crypto');
+
+function createOAuthServer() {
+  // code -> { challenge, redirectUri }
+  const codes = new Map();
+  // The form body of every /token request
+  const tokenRequests = [];
+
+  // What the browser does once the user has signed in: send the user back
+  // to the app's redirect_uri with a code (or with `error` if given), and
+  // the state it was sent. Resolves with the app's response.
+  async function authorize(authUrl, { error = null, state } = {}) {
+    const params = new URL(authUrl).searchParams;
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('state', state ?? params.get('state'));
+    if (error) {
+      redirect.searchParams.set('error', error);
+    } else {
+      const code = crypto.randomBytes(8).toString('hex');
+      codes.set(code, { challenge: params.get('code_challenge'), redirectUri: params.get('redirect_uri') });
+      redirect.searchParams.set('code', code);
+    }
+    return fetch(redirect);
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      if (req.method !== 'POST' || !req.url.startsWith('/token')) {
+        return send(404, { error: 'not_found' });
+      }
+
+      const form = Object.fromEntries(new URLSearchParams(body));
+      tokenRequests.push(form);
+      const issued = codes.get(form.code);
+      codes.delete(form.code);
+      const verified = issued && form.code_verifier &&
+        crypto.createHash('sha256').update(form.code_verifier).digest('base64url') === issued.challenge;
+      if (!verified || form.redirect_uri !== issued.redirectUri) {
+        return send(400, { error: 'invalid_grant', error_description: 'Bad code or code verifier' });
+      }
+      send(200, {
+        access_token: `access-${form.code}`,
+        refresh_token: `refresh-${form.code}`,
+        expires_in: 3600,
+        token_type: 'Bearer',
+        scope: 'https://www.googleapis.com/auth/gmail.readonly'
+      });
+    });
+  });
+
+  return {
+    authorize,
+    tokenRequests,
+    // Resolves with the base URL to put in GMAIL_OAUTH_BASE_URL
+    listen: () => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { createOAuthServer };
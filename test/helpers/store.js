@@ -0,0 +1,34 @@
+// In-memory stand-in for electron-store, with the same dot-path keys
+function createStore(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+
+  const get = (key, fallback) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), data);
+    return value === undefined ? fallback : value;
+  };
+
+  return {
+    data,
+    get,
+    has: (key) => get(key) !== undefined,
+    set(key, value) {
+      const parts = key.split('.');
+      let obj = data;
+      for (const part of parts.slice(0, -1)) {
+        obj = obj[part] = obj[part] || {};
+      }
+      obj[parts[parts.length - 1]] = value === undefined ? value : JSON.parse(JSON.stringify(value));
+    },
+    delete(key) {
+      const parts = key.split('.');
+      let obj = data;
+      for (const part of parts.slice(0, -1)) {
+        obj = obj[part];
+        if (!obj) return;
+      }
+      delete obj[parts[parts.length - 1]];
+    }
+  };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,124 @@
+// Opening databases left by older versions of the app. The fixtures are
+// real files: v0 was written by the app before migrations existed, and the
+// others by the migrations of their time, each with a little data in them.
+const { electron, userData } = require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('../src/main/services/database');
+const migrations = require('../src/main/services/migrations');
+
+const LATEST = migrations[migrations.length - 1].version;
+const FIXTURES = path.join(__dirname, 'fixtures', 'databases');
+// The fixtures' rows are older than any retention window
+const KEEP_EVERYTHING = { retention: { whatsapp: null, gmail: null, notion: null } };
+
+// A fresh userData directory holding a copy of the fixture as mybrain.db
+function useFixture(name) {
+  const dir = fs.mkdtempSync(path.join(userData, 'migrate-'));
+  electron.app.getPath = () => dir;
+  const dbPath = path.join(dir, 'mybrain.db');
+  if (name) fs.copyFileSync(path.join(FIXTURES, name), dbPath);
+  return dbPath;
+}
+
+async function open() {
+  const db = new DatabaseService(KEEP_EVERYTHING);
+  await db.ready;
+  return db;
+}
+
+for (const [fixture, version] of [['v0-before-migrations.db', 0], ['v3-conversations.db', 3], ['v10-attachments.db', 10]]) {
+  test(`upgrades a version ${version} database and backs it up first`, async () => {
+    const dbPath = useFixture(fixture);
+    const original = fs.readFileSync(dbPath);
+
+    const db = await open();
+    assert.strictEqual(db.getSchemaVersion(), LATEST);
+
+    const backup = `${dbPath}.v${version}.bak`;
+    assert.ok(fs.existsSync(backup), 'backup written');
+    assert.ok(fs.readFileSync(backup).equals(original), 'backup is the file as it was');
+
+    // Existing rows survive, and reach the tables and indexes added since
+    assert.strictEqual(db.getStats().gmail, 1);
+    assert.ok(db.getStats().whatsapp >= 1);
+    assert.strictEqual(db.search('dessert', { sources: ['whatsapp'] })[0]?.id, 'wa1');
+    assert.strictEqual(db.search('contract', { sources: ['gmail'] })[0]?.id, 'gm1');
+    assert.strictEqual(db.queryOne(`SELECT account_id FROM gmail_messages WHERE id = 'gm1'`).account_id, 'primary');
+    assert.ok(db.getLastSyncTime('gmail', 'primary'), 'sync log carried over');
+
+    if (version >= 3) {
+      assert.strictEqual(db.getConversationMessages('c1').length, 1);
+    }
+    if (version >= 10) {
+      const hit = db.search('lease', { sources: ['gmail'] })[0];
+      assert.strictEqual(hit?.attachment?.filename, 'contract.pdf');
+    }
+
+    db.close();
+
+    // Reopening an up to date database changes nothing and backs nothing up
+    fs.rmSync(backup);
+    const again = await open();
+    assert.strictEqual(again.getSchemaVersion(), LATEST);
+    assert.ok(!fs.existsSync(backup));
+    again.close();
+  });
+}
+
+test('a new database starts at the latest version without a backup', async () => {
+  const dbPath = useFixture(null);
+  const db = await open();
+  assert.strictEqual(db.getSchemaVersion(), LATEST);
+  db.close();
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(dbPath)), ['mybrain.db']);
+});
+
+test('refuses a database newer than the app and leaves it untouched', async () => {
+  const dbPath = useFixture('v10-attachments.db');
+  const setup = await open();
+  setup.runSql(`PRAGMA user_version = ${LATEST + 1}`);
+  setup.save();
+  setup.close();
+  fs.readdirSync(path.dirname(dbPath)).filter(f => f.endsWith('.bak')).forEach(f => fs.rmSync(path.join(path.dirname(dbPath), f)));
+  const before = fs.readFileSync(dbPath);
+
+  const db = new DatabaseService(KEEP_EVERYTHING);
+  await assert.rejects(db.ready, new RegExp(`schema version ${LATEST + 1}.*only supports up to ${LATEST}`));
+  db.close();
+
+  assert.ok(fs.readFileSync(dbPath).equals(before), 'file not rewritten');
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(dbPath)), ['mybrain.db']);
+});
+
+test('a failed migration leaves the file at its old version', async () => {
+  const dbPath = useFixture('v3-conversations.db');
+  const original = fs.readFileSync(dbPath);
+
+  migrations.push({
+    version: LATEST + 1,
+    description: 'Broken',
+    up(database) {
+      database.runSql(`CREATE TABLE half_done (id TEXT)`);
+      throw new Error('migration failed');
+    }
+  });
+  try {
+    const db = new DatabaseService(KEEP_EVERYTHING);
+    await assert.rejects(db.ready, /migration failed/);
+    db.close();
+  } finally {
+    migrations.pop();
+  }
+
+  assert.ok(fs.readFileSync(dbPath).equals(original), 'file not rewritten');
+  assert.ok(fs.existsSync(`${dbPath}.v3.bak`));
+
+  // and the next start upgrades it as usual
+  const db = await open();
+  assert.strictEqual(db.getSchemaVersion(), LATEST);
+  assert.strictEqual(db.queryOne(`SELECT name FROM sqlite_master WHERE name = 'half_done'`), null);
+  db.close();
+});
@@ -0,0 +1,29 @@
+// extractBody, extractHeadlines and findAttachments over real-world message
+// payloads from test/fixtures/messages: Gmail API responses (format 'full')
+// with the expected results alongside.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractBody, extractHeadlines, findAttachments } = require('../src/main/services/mime');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'messages');
+
+for (const file of fs.readdirSync(FIXTURES).filter(f => f.endsWith('.json')).sort()) {
+  const { description, payload, expected } = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+
+  test(`${path.basename(file, '.json')}: ${description}`, () => {
+    assert.strictEqual(extractBody(payload), expected.body);
+    if (expected.headlines) {
+      assert.deepStrictEqual(extractHeadlines(payload), expected.headlines);
+    }
+    assert.deepStrictEqual(findAttachments(payload), expected.attachments || []);
+  });
+}
+
+test('payloads without a body', () => {
+  assert.strictEqual(extractBody(null), '');
+  assert.strictEqual(extractBody({ mimeType: 'text/plain', headers: [], body: { size: 0 } }), '');
+  assert.deepStrictEqual(extractHeadlines(null), []);
+  assert.deepStrictEqual(findAttachments(null), []);
+});
@@ -0,0 +1,61 @@
+// Which synced emails make the newsletter digest
+const { electron, userData } = require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('../src/main/services/database');
+const GmailService = require('../src/main/services/gmail');
+const { createStore } = require('./helpers/store');
+const { createGmailServer } = require('./helpers/gmail-server');
+
+test('the digest takes mailing list mail whatever category the rules gave it', async (t) => {
+  const server = createGmailServer();
+  process.env.GMAIL_API_ROOT_URL = await server.listen();
+  const dir = fs.mkdtempSync(path.join(userData, 'newsletters-'));
+  electron.app.getPath = () => dir;
+  const db = new DatabaseService();
+  await db.ready;
+  t.after(async () => {
+    db.close();
+    await server.close();
+  });
+
+  const store = createStore({
+    gmail: {
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      accounts: {
+        a1: { email: 'me@example.com', tokens: { access_token: 'token', expiry_date: Date.now() + 60 * 60 * 1000 }, addedAt: Date.now() }
+      },
+      // Rules from before List-Unsubscribe outranked Gmail's tabs
+      categorization: {
+        categories: [],
+        rules: [
+          { field: 'label', value: 'CATEGORY_PROMOTIONS', category: 'promotions', priority: 100 },
+          { field: 'listUnsubscribe', value: '', category: 'newsletters', priority: 90 },
+          { field: 'subject', value: '\\bdigest\\b', category: 'newsletters', priority: 70 }
+        ]
+      }
+    }
+  });
+  const gmail = new GmailService(store, null, db);
+
+  server.addMessage('brew', {
+    subject: 'Markets: rates on hold',
+    labelIds: ['INBOX', 'CATEGORY_PROMOTIONS'],
+    headers: { 'List-Id': '"Morning Brew" <brew.list-id.example.com>', 'List-Unsubscribe': '<https://brew.example.com/u>' }
+  });
+  server.addMessage('essay', { subject: 'On gardens', headers: { 'List-Unsubscribe': '<mailto:leave@alice.example.com>' } });
+  server.addMessage('sale', { subject: 'Spring sale', labelIds: ['INBOX', 'CATEGORY_PROMOTIONS'] });
+  server.addMessage('photos', { subject: 'Your weekly photo digest' });
+
+  assert.ok((await gmail.syncToDatabase()).success);
+  const category = (id) => db.queryOne('SELECT category FROM gmail_messages WHERE id = ?', [id]).category;
+  assert.strictEqual(category('brew'), 'promotions');
+  assert.strictEqual(category('photos'), 'newsletters');
+
+  const digest = gmail.getNewsletterDigest('week');
+  assert.strictEqual(digest.issueCount, 2);
+  assert.deepStrictEqual(digest.publications.map(p => p.name).sort(), ['Ann Lee', 'Morning Brew']);
+});
@@ -0,0 +1,77 @@
+// Notion sync and the retention window: a full sync skips pages retention
+// would prune, so it doesn't store them only to delete them again
+const { electron, userData } = require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('../src/main/services/database');
+const NotionService = require('../src/main/services/notion');
+const { createStore } = require('./helpers/store');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function page(id, daysAgo) {
+  const edited = new Date(Date.now() - daysAgo * DAY).toISOString();
+  return {
+    id,
+    object: 'page',
+    url: `https://www.notion.so/${id}`,
+    created_time: edited,
+    last_edited_time: edited,
+    parent: { type: 'workspace', workspace: true },
+    properties: { title: { type: 'title', title: [{ plain_text: `Page ${id}` }] } }
+  };
+}
+
+// Just enough of the Notion client for a sync
+function fakeClient(pages) {
+  return {
+    search: async ({ filter }) => ({ results: filter.value === 'page' ? pages : [] }),
+    blocks: { children: { list: async () => ({ results: [] }) } }
+  };
+}
+
+async function setup(t, retention, mainWindow = null) {
+  electron.app.getPath = () => fs.mkdtempSync(path.join(userData, 'notion-'));
+  const db = new DatabaseService({ retention });
+  await db.ready;
+  t.after(() => db.close());
+
+  const notion = new NotionService(createStore({ notion: { authenticated: true } }), mainWindow, db);
+  return { db, notion };
+}
+
+test('a full sync stores only pages inside the retention window', async (t) => {
+  const { db, notion } = await setup(t, { notion: 30 });
+  notion.client = fakeClient([page('recent', 2), page('old', 90)]);
+
+  const result = await notion.syncToDatabase(true);
+
+  assert.ok(result.success, result.error);
+  assert.strictEqual(result.pagesStored, 1);
+  assert.deepStrictEqual(db.getNotionPages().map(p => p.id), ['recent']);
+  assert.strictEqual(db.getStats().lastPrune.totalRemoved, 0, 'nothing left to prune');
+});
+
+test('a full sync stores every page when Notion is kept forever', async (t) => {
+  const { db, notion } = await setup(t, { notion: null });
+  notion.client = fakeClient([page('recent', 2), page('old', 900)]);
+
+  await notion.syncToDatabase(true);
+
+  assert.deepStrictEqual(db.getNotionPages().map(p => p.id).sort(), ['old', 'recent']);
+});
+
+test('reports its progress to the dashboard as Notion sync events', async (t) => {
+  const events = [];
+  const mainWindow = { isDestroyed: () => false, webContents: { send: (channel, event) => events.push({ channel, ...event }) } };
+  const { notion } = await setup(t, { notion: 30 }, mainWindow);
+  notion.client = fakeClient([page('recent', 2)]);
+
+  await notion.syncToDatabase(true);
+
+  assert.ok(events.every(e => e.channel === 'sync-progress' && e.source === 'notion' && e.fullSync === true));
+  assert.deepStrictEqual([...new Set(events.map(e => e.phase))], ['started', 'fetching', 'saving', 'complete']);
+  assert.strictEqual(events.at(-1).recordsSynced, 1);
+});
@@ -0,0 +1,72 @@
+// Pruning rows older than each source's retention window
+const { electron, userData } = require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('../src/main/services/database');
+
+const DAY = 24 * 60 * 60;
+const now = () => Math.floor(Date.now() / 1000);
+
+async function open(t, options) {
+  electron.app.getPath = () => fs.mkdtempSync(path.join(userData, 'retention-'));
+  const db = new DatabaseService(options);
+  await db.ready;
+  t.after(() => db.close());
+  return db;
+}
+
+function email(id, threadId, daysAgo) {
+  return {
+    id, accountId: 'a1', threadId, fromEmail: 'sam@example.com', fromName: 'Sam', toEmail: 'me@example.com',
+    subject: `Email ${id}`, snippet: '', bodyPreview: '', timestamp: now() - daysAgo * DAY, isUnread: false, labels: ['INBOX'], category: 'primary'
+  };
+}
+
+function message(id, chatId, daysAgo) {
+  return { id, chatId, chatName: chatId, sender: 'Sam', body: `Message ${id}`, timestamp: now() - daysAgo * DAY };
+}
+
+test('prunes old rows and what they leave behind, and reports it', async (t) => {
+  const db = await open(t, { retention: { whatsapp: 7, gmail: 7, notion: null } });
+
+  db.upsertWhatsAppChat({ id: 'quiet', name: 'Quiet', lastMessageAt: now() - 20 * DAY });
+  db.upsertWhatsAppChat({ id: 'busy', name: 'Busy', lastMessageAt: now() - DAY });
+  db.bulkUpsertWhatsAppMessages([message('w1', 'quiet', 20), message('w2', 'busy', 20), message('w3', 'busy', 1)]);
+
+  db.upsertGmailMessage(email('old', 'old-thread', 20));
+  db.upsertGmailMessage(email('reply', 'mixed-thread', 20));
+  db.upsertGmailMessage(email('new', 'mixed-thread', 1));
+  db.replaceGmailAttachments('old', [{ partId: '1', attachmentId: 'x', filename: 'old.pdf', mimeType: 'application/pdf', size: 1 }], 'a1');
+  db.replaceGmailAttachments('new', [{ partId: '1', attachmentId: 'y', filename: 'new.pdf', mimeType: 'application/pdf', size: 1 }], 'a1');
+  db.refreshGmailThreads();
+
+  db.upsertNotionPage({
+    id: 'p1', title: 'Old page', parentId: null, parentType: null, url: 'https://notion.so/p1',
+    createdTime: now() - 400 * DAY, lastEditedTime: now() - 400 * DAY, contentPreview: ''
+  });
+
+  const result = db.applyRetention();
+
+  assert.deepStrictEqual(result.removed, { whatsapp: 2, gmail: 2 });
+  assert.strictEqual(result.totalRemoved, 4);
+  assert.strictEqual(result.vacuumed, true);
+  assert.deepStrictEqual(db.getStats().lastPrune, result);
+
+  assert.deepStrictEqual(db.getWhatsAppChats().map(c => c.id), ['busy']);
+  assert.deepStrictEqual(db.getGmailAttachments().map(a => a.filename), ['new.pdf']);
+  assert.deepStrictEqual(db.queryAll(`SELECT id, message_count FROM gmail_threads`), [{ id: 'mixed-thread', message_count: 1 }]);
+  assert.strictEqual(db.getStats().notion, 1, 'kept forever');
+
+  // The search index still points at the rows left after VACUUM
+  assert.deepStrictEqual(db.search('message', { sources: ['whatsapp'] }).map(h => h.id), ['w3']);
+});
+
+test('an invalid stored policy falls back to the default for that source', async (t) => {
+  const db = await open(t, { retention: { whatsapp: 'forever', gmail: 90, notion: -1 } });
+  assert.deepStrictEqual(db.getRetentionPolicy(), { whatsapp: 30, gmail: 90, notion: 30 });
+
+  assert.throws(() => db.setRetentionPolicy({ gmail: 'forever' }), /Invalid retention for gmail/);
+  assert.strictEqual(db.getRetentionPolicy().gmail, 90);
+});
@@ -0,0 +1,111 @@
+// Reading keywords and dates out of Ask AI questions
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RetrievalService = require('../src/main/services/retrieval');
+
+const retrieval = new RetrievalService(null);
+const seconds = (date) => Math.floor(date.getTime() / 1000);
+const DAY = 24 * 60 * 60;
+
+// A Wednesday afternoon, local time
+const NOW = new Date(2026, 5, 17, 15, 30);
+
+test('keywords leave out stop words, months and years', () => {
+  assert.deepStrictEqual(
+    // Short words are dropped unless they're numbers
+    retrieval.extractKeywords('Did anyone confirm the Goa dates in September 2025? Goa, flight 6E 21'),
+    ['confirm', 'goa', 'dates', 'flight', '21']
+  );
+  assert.deepStrictEqual(retrieval.extractKeywords('What did Raj say last week?'), ['raj']);
+  assert.deepStrictEqual(retrieval.extractKeywords(''), []);
+});
+
+test('relative days and weeks', () => {
+  const now = seconds(NOW);
+  const midnight = seconds(new Date(2026, 5, 17));
+
+  assert.deepStrictEqual(retrieval.extractDateRange('anything today?', NOW), { from: midnight, to: now, label: 'today' });
+  assert.deepStrictEqual(retrieval.extractDateRange('what came in yesterday', NOW),
+    { from: seconds(new Date(2026, 5, 16)), to: midnight - 1, label: 'yesterday' });
+  assert.deepStrictEqual(retrieval.extractDateRange('in the past 3 days', NOW), { from: now - 3 * DAY, to: now, label: 'last 3 days' });
+  assert.deepStrictEqual(retrieval.extractDateRange('what did Raj say last week?', NOW),
+    { from: now - 14 * DAY, to: now - 7 * DAY, label: 'last week' });
+  assert.deepStrictEqual(retrieval.extractDateRange('anything this week', NOW), { from: now - 7 * DAY, to: now, label: 'this week' });
+  assert.strictEqual(retrieval.extractDateRange('who is Raj?', NOW), null);
+});
+
+test('"in May" is a month but the verb "may" is not', () => {
+  assert.deepStrictEqual(retrieval.extractDateRange('what happened in May?', NOW),
+    { from: seconds(new Date(2026, 4, 1)), to: seconds(new Date(2026, 5, 1)) - 1, label: 'May 2026' });
+  assert.strictEqual(retrieval.extractDateRange('who may have the keys?', NOW), null);
+  assert.strictEqual(retrieval.extractDateRange('May I see the lease?', NOW), null);
+  assert.strictEqual(retrieval.extractDateRange('invoices from may 2025', NOW).label, 'May 2025');
+});
+
+test('the current month stops at now, and later months are last year', () => {
+  assert.deepStrictEqual(retrieval.extractDateRange('emails in june', NOW),
+    { from: seconds(new Date(2026, 5, 1)), to: seconds(NOW), label: 'June 2026' });
+  assert.strictEqual(retrieval.extractDateRange('the sept offsite', NOW).label, 'September 2025');
+});
+
+test('last month rolls over into the previous year in January', () => {
+  const january = new Date(2026, 0, 10, 9, 0);
+  assert.deepStrictEqual(retrieval.extractDateRange('bills from last month', january),
+    { from: seconds(new Date(2025, 11, 1)), to: seconds(new Date(2026, 0, 1)) - 1, label: 'last month' });
+  assert.strictEqual(retrieval.extractDateRange('the trip in December', january).label, 'December 2025');
+  assert.deepStrictEqual(retrieval.extractDateRange('anything this month', january),
+    { from: seconds(new Date(2026, 0, 1)), to: seconds(january), label: 'this month' });
+});
+
+test('interleaving takes turns between sources and keeps each one\'s order', () => {
+  const hits = [
+    { source: 'gmail', id: 'g1' }, { source: 'gmail', id: 'g2' }, { source: 'gmail', id: 'g3' },
+    { source: 'whatsapp', id: 'w1' }, { source: 'notion', id: 'n1' }, { source: 'whatsapp', id: 'w2' }
+  ];
+  assert.deepStrictEqual(
+    retrieval.interleaveBySource(hits, ['whatsapp', 'gmail', 'notion']).map(h => h.id),
+    ['w1', 'g1', 'n1', 'w2', 'g2', 'g3']
+  );
+  assert.deepStrictEqual(retrieval.interleaveBySource(hits, ['notion']).map(h => h.id), ['n1']);
+  assert.deepStrictEqual(retrieval.interleaveBySource([], ['gmail', 'notion']), []);
+});
+
+// Just enough of DatabaseService to see what retrieve searches for
+function fakeDatabase() {
+  const searches = [];
+  return {
+    searches,
+    search: (query, filters) => {
+      searches.push({ query, from: filters.from, to: filters.to });
+      return [];
+    },
+    getRecentRecords: () => [],
+    getRecordsByIds: () => []
+  };
+}
+
+test('a follow-up borrows the keywords or the dates its question leaves out', () => {
+  const db = fakeDatabase();
+  const followUps = new RetrievalService(db);
+
+  // "and last week?" keeps the topic of the question before it
+  const lastWeek = followUps.retrieve('and last week?', { previousQuestion: 'What did Raj say about the deposit?' });
+  assert.deepStrictEqual(lastWeek.keywords, ['raj', 'deposit']);
+  assert.strictEqual(lastWeek.dateRange.label, 'last week');
+
+  // "what about the lease?" keeps the month of the question before it
+  const lease = followUps.retrieve('what about the lease?', { previousQuestion: 'emails from Sam in March 2026' });
+  assert.deepStrictEqual(lease.keywords, ['lease']);
+  assert.strictEqual(lease.dateRange.label, 'March 2026');
+  assert.deepStrictEqual(db.searches.at(-1), { query: 'lease', from: lease.dateRange.from, to: lease.dateRange.to });
+
+  // What the new question says wins over the old one
+  const own = followUps.retrieve('flights in May 2026?', { previousQuestion: 'hotels last week' });
+  assert.deepStrictEqual(own.keywords, ['flights']);
+  assert.strictEqual(own.dateRange.label, 'May 2026');
+
+  // Without a previous question nothing is borrowed
+  const alone = followUps.retrieve('and last week?');
+  assert.deepStrictEqual(alone.keywords, []);
+  assert.strictEqual(db.searches.length, 3, 'no search without keywords');
+});
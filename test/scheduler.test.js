@@ -0,0 +1,95 @@
+// SyncScheduler: one sync per source at a time, with a full sync asked for
+// mid-sync queued behind the running one
+require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SyncScheduler = require('../src/main/services/scheduler');
+
+// A source whose syncs finish when the test says so
+function createSource() {
+  const calls = [];
+  return {
+    calls,
+    isConnected: () => true,
+    sync(fullSync) {
+      return new Promise(resolve => {
+        calls.push({ fullSync, finish: (result = { success: true, fullSync }) => resolve(result) });
+      });
+    }
+  };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('joins a sync already running instead of starting another', async () => {
+  const gmail = createSource();
+  const scheduler = new SyncScheduler({ gmail });
+
+  const first = scheduler.runNow('gmail');
+  const second = scheduler.runNow('gmail');
+  assert.strictEqual(gmail.calls.length, 1);
+
+  gmail.calls[0].finish();
+  assert.deepStrictEqual(await first, { success: true, fullSync: false });
+  assert.strictEqual(await second, await first);
+});
+
+test('queues a full sync asked for while an incremental one runs', async () => {
+  const gmail = createSource();
+  const scheduler = new SyncScheduler({ gmail });
+
+  const incremental = scheduler.runNow('gmail');
+  const full = scheduler.runNow('gmail', true);
+  // Asking again doesn't queue a second one
+  const fullAgain = scheduler.runNow('gmail', true);
+  assert.strictEqual(scheduler.getStatus().sources.gmail.fullSyncQueued, true);
+  assert.deepStrictEqual(gmail.calls.map(c => c.fullSync), [false]);
+
+  gmail.calls[0].finish();
+  assert.deepStrictEqual(await incremental, { success: true, fullSync: false });
+  await settle();
+  assert.deepStrictEqual(gmail.calls.map(c => c.fullSync), [false, true]);
+  assert.strictEqual(scheduler.getStatus().sources.gmail.fullSyncQueued, false);
+  assert.strictEqual(scheduler.getStatus().sources.gmail.running, true);
+
+  gmail.calls[1].finish();
+  assert.deepStrictEqual(await full, { success: true, fullSync: true });
+  assert.strictEqual(await fullAgain, await full);
+  assert.strictEqual(scheduler.getStatus().sources.gmail.running, false);
+});
+
+test('a queued full sync still runs if the incremental one fails', async () => {
+  const gmail = createSource();
+  const scheduler = new SyncScheduler({ gmail });
+
+  scheduler.runNow('gmail');
+  const full = scheduler.runNow('gmail', true);
+  gmail.calls[0].finish({ error: 'Network down' });
+  await settle();
+
+  gmail.calls[1].finish();
+  assert.deepStrictEqual(await full, { success: true, fullSync: true });
+});
+
+test('a full sync asked for during a full sync joins it', async () => {
+  const gmail = createSource();
+  const scheduler = new SyncScheduler({ gmail });
+
+  const first = scheduler.runNow('gmail', true);
+  const second = scheduler.runNow('gmail', true);
+  gmail.calls[0].finish();
+  await settle();
+
+  assert.strictEqual(gmail.calls.length, 1);
+  assert.strictEqual(await second, await first);
+});
+
+test('backs off with equal jitter: between half and all of the doubled delay', () => {
+  const scheduler = new SyncScheduler({ gmail: createSource() });
+  for (const [failures, ceiling] of [[1, 60 * 1000], [3, 4 * 60 * 1000], [20, 60 * 60 * 1000]]) {
+    for (let i = 0; i < 50; i++) {
+      const delay = scheduler.backoffMs(failures);
+      assert.ok(delay >= ceiling / 2 && delay <= ceiling, `${delay}ms after ${failures} failures`);
+    }
+  }
+});
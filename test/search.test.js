@@ -0,0 +1,57 @@
+// Full-text search: ranked and cut to the limit in SQL, so a short query
+// matching most rows stays cheap
+const { electron, userData } = require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('../src/main/services/database');
+
+async function open(t) {
+  electron.app.getPath = () => fs.mkdtempSync(path.join(userData, 'search-'));
+  const db = new DatabaseService();
+  await db.ready;
+  t.after(() => db.close());
+  return db;
+}
+
+function email(id, subject, body, timestamp) {
+  return {
+    id, accountId: 'a1', threadId: `t-${id}`, fromEmail: 'sam@example.com', fromName: 'Sam', toEmail: 'me@example.com',
+    subject, snippet: body, bodyPreview: body, timestamp, isUnread: false, labels: ['INBOX'], category: 'primary'
+  };
+}
+
+test('returns the best hits up to the limit, best first', async (t) => {
+  const db = await open(t);
+  db.transaction(() => {
+    for (let i = 0; i < 200; i++) {
+      db.upsertGmailMessage(email(`m${i}`, `Weekly update ${i}`, 'about the apartment', 1000 + i));
+    }
+    db.upsertGmailMessage(email('lease', 'Apartment lease', 'the apartment lease is attached', 500));
+  });
+
+  const hits = db.search('a', { sources: ['gmail'], limit: 5 });
+  assert.strictEqual(hits.length, 5);
+  // A match in the subject counts for more, then newer first
+  assert.strictEqual(hits[0].id, 'lease');
+  assert.deepStrictEqual(hits.slice(1).map(h => h.id), ['m199', 'm198', 'm197', 'm196']);
+  assert.ok(hits.every((h, i) => i === 0 || h.rank <= hits[i - 1].rank));
+  assert.match(hits[0].snippet, /\u0001apartment\u0002/i);
+  assert.deepStrictEqual(
+    Object.keys(hits[0]).sort(),
+    ['accountId', 'id', 'rank', 'sender', 'snippet', 'source', 'threadId', 'timestamp', 'title']
+  );
+});
+
+test('filters apply before the limit', async (t) => {
+  const db = await open(t);
+  db.transaction(() => {
+    for (let i = 0; i < 50; i++) {
+      db.upsertGmailMessage(email(`m${i}`, `Invoice ${i}`, 'payment due', 1000 + i));
+    }
+  });
+
+  const hits = db.search('invoice', { sources: ['gmail'], to: 1009, limit: 3 });
+  assert.deepStrictEqual(hits.map(h => h.id), ['m9', 'm8', 'm7']);
+});